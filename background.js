@@ -1,126 +1,34 @@
 // Background Service Worker - Version 1.0.0
-// Auto-saves recovery sessions when windows close
+// Auto-saves recovery sessions when windows close, auto-organizes new tabs, and learns from manual grouping corrections
 
-// Save session when window is removed
-// Inline functions to work in service worker context
-
-async function saveCurrentSessionInline(sessionName) {
-  try {
-    const windows = await chrome.windows.getAll({ populate: true });
-    const sessionData = {
-      id: Date.now().toString(),
-      name: sessionName,
-      timestamp: Date.now(),
-      windows: [],
-      groups: []
-    };
-    
-    const groupMap = new Map();
-    
-    for (const window of windows) {
-      try {
-        const windowData = {
-          id: window.id,
-          tabs: []
-        };
-        
-        if (window.tabs) {
-          for (const tab of window.tabs) {
-            try {
-              const tabData = {
-                id: tab.id,
-                url: tab.url,
-                title: tab.title,
-                pinned: tab.pinned,
-                active: tab.active,
-                groupId: tab.groupId !== chrome.tabs.TAB_ID_NONE ? tab.groupId : null
-              };
-              
-              windowData.tabs.push(tabData);
-              
-              if (tab.groupId !== chrome.tabs.TAB_ID_NONE) {
-                if (!groupMap.has(tab.groupId)) {
-                  try {
-                    const group = await chrome.tabGroups.get(tab.groupId);
-                    groupMap.set(tab.groupId, {
-                      id: group.id,
-                      title: group.title,
-                      color: group.color,
-                      collapsed: group.collapsed,
-                      tabIds: []
-                    });
-                  } catch (error) {
-                    console.warn('[Background] Error getting group info:', error);
-                    // Continue without this group's metadata
-                  }
-                }
-                
-                const groupInfo = groupMap.get(tab.groupId);
-                if (groupInfo) {
-                  groupInfo.tabIds.push(tab.id);
-                }
-              }
-            } catch (error) {
-              console.warn('[Background] Error processing tab:', error);
-              // Continue with other tabs
-            }
-          }
-        }
-        
-        sessionData.windows.push(windowData);
-      } catch (error) {
-        console.warn('[Background] Error processing window:', error);
-        // Continue with other windows
-      }
-    }
-    
-    sessionData.groups = Array.from(groupMap.values());
-    
-    try {
-      const result = await chrome.storage.local.get('sessions');
-      const sessions = result.sessions || [];
-      sessions.push(sessionData);
-      
-      await chrome.storage.local.set({ sessions: sessions });
-    } catch (storageError) {
-      console.error('[Background] Storage error saving session:', storageError);
-      // If storage fails, still return the session ID but log the error
-      // The session won't be saved but we won't crash
-    }
-    
-    return sessionData.id;
-  } catch (error) {
-    console.error('[Background] Error saving session:', error);
-    // Don't throw - background errors should be logged but not crash the extension
-    return null;
-  }
-}
-
-async function cleanupRecoverySessionsInline() {
-  try {
-    const result = await chrome.storage.local.get('sessions');
-    const sessions = result.sessions || [];
-    
-    const recoverySessions = sessions
-      .filter(s => s.name && s.name.startsWith('Recovery ('))
-      .sort((a, b) => b.timestamp - a.timestamp);
-    
-    if (recoverySessions.length > 3) {
-      const toDelete = recoverySessions.slice(3);
-      const remainingSessions = sessions.filter(s => 
-        !toDelete.find(ds => ds.id === s.id)
-      );
-      
-      await chrome.storage.local.set({ sessions: remainingSessions });
-    }
-  } catch (error) {
-    console.error('[Background] Error cleaning up recovery sessions:', error);
-    // Fail silently - cleanup is not critical
-  }
-}
+// Shared utilities (module service worker, same modules as the popup)
+import {
+  getOverrideHost,
+  recordLearnedOverride,
+  getManagedTypeGroups,
+  forgetManagedTypeGroup,
+  isProgrammaticGroupMove
+} from './utils/overrideManager.js';
+import { BACKUP_FREQUENCIES, runSessionBackup, handleBackupDownloadChanged } from './utils/sessionBackup.js';
+import { captureSession, storeSession, saveCurrentSession, cleanupRecoverySessions, findRestoredTabs } from './utils/sessionManager.js';
+import { getLatestFingerprint, pruneSessions } from './utils/sessionStore.js';
+import { loadClassifierContext, classifyTab, groupTabsByType } from './utils/tabClassifier.js';
+import {
+  loadDomainGroupingOptions,
+  DOMAIN_GROUP_COLORS,
+  setGroupLocked,
+  groupTabsByDomain,
+  buildTypeGroupPlan,
+  normalizeGroupTitle,
+  getMergeTargetGroups,
+  applyGroupPlan
+} from './utils/tabManager.js';
+import { undoLastAction } from './utils/undoManager.js';
 
 // Auto-save functionality
-let autoSaveInterval = null;
+// Runs on chrome.alarms so it keeps firing after the service worker is suspended
+const AUTO_SAVE_ALARM = 'auto-save';
+const DEFAULT_MAX_AUTO_SAVES = 20;
 
 async function setupAutoSaveTimer() {
   try {
@@ -129,54 +37,77 @@ async function setupAutoSaveTimer() {
       'autoSaveInterval'
     ]);
     
-    // Clear existing timer
-    if (autoSaveInterval) {
-      clearInterval(autoSaveInterval);
-      autoSaveInterval = null;
+    if (autoSaveEnabled === false) {
+      await chrome.alarms.clear(AUTO_SAVE_ALARM);
+      return;
     }
     
-    // Set up new timer if enabled
-    if (autoSaveEnabled !== false) {
-      const minutes = interval || 5;
-      autoSaveInterval = setInterval(async () => {
-        try {
-          await autoSaveSession();
-        } catch (error) {
-          console.error('[Background] Error in auto-save timer callback:', error);
-          // Continue running - don't crash the timer
-        }
-      }, minutes * 60 * 1000);
+    // Keep an existing alarm with the same period so re-arming does not push the next save back
+    const minutes = interval || 5;
+    const existing = await chrome.alarms.get(AUTO_SAVE_ALARM);
+    if (existing && existing.periodInMinutes === minutes) {
+      return;
     }
+    
+    await chrome.alarms.create(AUTO_SAVE_ALARM, {
+      delayInMinutes: minutes,
+      periodInMinutes: minutes
+    });
   } catch (error) {
-    console.error('[Background] Error setting up auto-save timer:', error);
+    console.error('[Background] Error setting up auto-save alarm:', error);
     // Continue without auto-save if setup fails
   }
 }
 
+// Record the outcome of each auto-save so the options page can show it
+async function recordAutoSaveStatus(error, outcome = error ? 'failed' : 'saved') {
+  try {
+    const { autoSaveStatus } = await chrome.storage.local.get(['autoSaveStatus']);
+    const now = Date.now();
+    
+    await chrome.storage.local.set({
+      autoSaveStatus: {
+        lastRun: now,
+        lastOutcome: outcome,
+        lastSuccess: error ? (autoSaveStatus && autoSaveStatus.lastSuccess) || null : now,
+        lastError: error ? (error.message || String(error)) : null,
+        lastErrorAt: error ? now : (autoSaveStatus && autoSaveStatus.lastErrorAt) || null
+      }
+    });
+  } catch (statusError) {
+    console.warn('[Background] Error recording auto-save status:', statusError);
+    // Continue - status is informational
+  }
+}
+
 async function autoSaveSession() {
   try {
-    const { showNotifications } = await chrome.storage.local.get(['showNotifications']);
+    const { showNotifications, maxAutoSaveSessions } = await chrome.storage.local.get([
+      'showNotifications',
+      'maxAutoSaveSessions'
+    ]);
     const timestamp = new Date().toLocaleString();
     const sessionName = `Auto-save (${timestamp})`;
     
-    await saveCurrentSessionInline(sessionName);
-    
-    // Clean up old auto-save sessions (keep last 5)
     try {
-      const { sessions } = await chrome.storage.local.get(['sessions']);
-      if (sessions) {
-        const autoSaveSessions = sessions
-          .filter(s => s.name && s.name.startsWith('Auto-save ('))
-          .sort((a, b) => b.timestamp - a.timestamp);
-        
-        if (autoSaveSessions.length > 5) {
-          const toDelete = autoSaveSessions.slice(5);
-          const remainingSessions = sessions.filter(s => 
-            !toDelete.find(ds => ds.id === s.id)
-          );
-          await chrome.storage.local.set({ sessions: remainingSessions });
-        }
+      const sessionData = await captureSession(sessionName, 'auto-save');
+      
+      // Nothing changed since the last auto-save, so another copy adds no history
+      if (sessionData.fingerprint === await getLatestFingerprint('auto-save')) {
+        await recordAutoSaveStatus(null, 'skipped');
+        return;
       }
+      
+      await storeSession(sessionData);
+    } catch (saveError) {
+      await recordAutoSaveStatus(saveError);
+      throw saveError;
+    }
+    await recordAutoSaveStatus(null);
+    
+    // Clean up old auto-save sessions (keep the configured number)
+    try {
+      await pruneSessions('auto-save', maxAutoSaveSessions || DEFAULT_MAX_AUTO_SAVES);
     } catch (cleanupError) {
       console.warn('[Background] Error cleaning up auto-save sessions:', cleanupError);
       // Continue - cleanup failure is not critical
@@ -203,10 +134,62 @@ async function autoSaveSession() {
   }
 }
 
+// Scheduled backups to the Downloads folder
+// After (re)arming, the first backup is timed from the last successful one so restarts do not postpone it
+const BACKUP_ALARM = 'session-backup';
+
+async function setupBackupTimer() {
+  try {
+    const { backupEnabled, backupFrequency, backupStatus } = await chrome.storage.local.get([
+      'backupEnabled',
+      'backupFrequency',
+      'backupStatus'
+    ]);
+    
+    if (backupEnabled !== true) {
+      await chrome.alarms.clear(BACKUP_ALARM);
+      return;
+    }
+    
+    const minutes = BACKUP_FREQUENCIES[backupFrequency] || BACKUP_FREQUENCIES.daily;
+    const existing = await chrome.alarms.get(BACKUP_ALARM);
+    if (existing && existing.periodInMinutes === minutes) {
+      return;
+    }
+    
+    const minutesSinceBackup = backupStatus && backupStatus.lastSuccess
+      ? (Date.now() - backupStatus.lastSuccess) / 60000
+      : minutes;
+    await chrome.alarms.create(BACKUP_ALARM, {
+      delayInMinutes: Math.max(minutes - minutesSinceBackup, 1),
+      periodInMinutes: minutes
+    });
+  } catch (error) {
+    console.error('[Background] Error setting up backup alarm:', error);
+    // Continue without scheduled backups if setup fails
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === AUTO_SAVE_ALARM) {
+    autoSaveSession();
+  } else if (alarm.name === BACKUP_ALARM) {
+    runSessionBackup().catch(() => {
+      // Already logged and recorded in backupStatus
+    });
+  }
+});
+
+// Backup downloads can still fail after they start (e.g. disk full)
+chrome.downloads.onChanged.addListener((delta) => {
+  handleBackupDownloadChanged(delta);
+});
+
 // Setup auto-save on extension load
 chrome.runtime.onInstalled.addListener(() => {
   try {
     setupAutoSaveTimer();
+    setupBackupTimer();
   } catch (error) {
     console.error('[Background] Error in onInstalled listener:', error);
   }
@@ -215,6 +198,9 @@ chrome.runtime.onInstalled.addListener(() => {
 chrome.runtime.onStartup.addListener(() => {
   try {
     setupAutoSaveTimer();
+    setupBackupTimer();
+    // Tab group IDs do not survive a browser restart
+    chrome.storage.local.remove(['managedTypeGroups', 'lockedGroupIds']).catch(() => {});
   } catch (error) {
     console.error('[Background] Error in onStartup listener:', error);
   }
@@ -226,16 +212,25 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'updateAutoSave' || message.type === 'setupAutoSave') {
       setupAutoSaveTimer();
       sendResponse({ success: true });
+    } else if (message.type === 'updateBackup') {
+      setupBackupTimer();
+      sendResponse({ success: true });
+    } else if (message.type === 'runBackup') {
+      runSessionBackup()
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      // Keep the channel open for the asynchronous response
+      return true;
     }
-    return true;
+    return false;
   } catch (error) {
     console.error('[Background] Error in message listener:', error);
     sendResponse({ success: false, error: error.message });
-    return true;
+    return false;
   }
 });
 
-// Update the window removal listener to use inline functions
+// Save a recovery snapshot whenever a window closes
 chrome.windows.onRemoved.addListener(async (windowId) => {
   try {
     const { crashRecoveryEnabled } = await chrome.storage.local.get(['crashRecoveryEnabled']);
@@ -248,31 +243,11 @@ chrome.windows.onRemoved.addListener(async (windowId) => {
           const timestamp = new Date().toLocaleString();
           const sessionName = `Recovery (${timestamp})`;
           
-          await saveCurrentSessionInline(sessionName);
+          await saveCurrentSession(sessionName, 'recovery');
           
-          // Clean up recovery sessions based on max count
-          try {
-            const { maxRecoverySessions } = await chrome.storage.local.get(['maxRecoverySessions']);
-            const maxCount = maxRecoverySessions || 3;
-            
-            const { sessions } = await chrome.storage.local.get(['sessions']);
-            if (sessions) {
-              const recoverySessions = sessions
-                .filter(s => s.name && s.name.startsWith('Recovery ('))
-                .sort((a, b) => b.timestamp - a.timestamp);
-              
-              if (recoverySessions.length > maxCount) {
-                const toDelete = recoverySessions.slice(maxCount);
-                const remainingSessions = sessions.filter(s => 
-                  !toDelete.find(ds => ds.id === s.id)
-                );
-                await chrome.storage.local.set({ sessions: remainingSessions });
-              }
-            }
-          } catch (cleanupError) {
-            console.warn('[Background] Error cleaning up recovery sessions:', cleanupError);
-            // Continue - cleanup failure is not critical
-          }
+          // Clean up recovery sessions based on max count (failures are logged and ignored)
+          const { maxRecoverySessions } = await chrome.storage.local.get(['maxRecoverySessions']);
+          await cleanupRecoverySessions(maxRecoverySessions || 3);
         }
       } catch (saveError) {
         console.error('[Background] Error saving recovery session:', saveError);
@@ -285,199 +260,179 @@ chrome.windows.onRemoved.addListener(async (windowId) => {
   }
 });
 
-// Undo Manager inline functions
-async function captureCurrentGroupsInline() {
+// Learn from manual corrections to type grouping
+// Wait for a moved tab to settle so drags that pass through a group are not recorded
+const CORRECTION_SETTLE_DELAY = 2000;
+const pendingCorrections = new Map();
+
+async function checkGroupCorrection(tabId, groupId) {
   try {
-    const windows = await chrome.windows.getAll({ populate: true });
-    const state = { windows: [] };
-    
-    for (const window of windows) {
-      try {
-        const windowState = {
-          id: window.id,
-          tabs: [],
-          groups: []
-        };
-        
-        if (window.tabs) {
-          for (const tab of window.tabs) {
-            try {
-              windowState.tabs.push({
-                id: tab.id,
-                url: tab.url,
-                title: tab.title,
-                groupId: tab.groupId !== chrome.tabs.TAB_ID_NONE ? tab.groupId : null,
-                index: tab.index,
-                pinned: tab.pinned
-              });
-            } catch (error) {
-              console.warn('[Background] Error processing tab:', error);
-              // Continue with other tabs
-            }
-          }
-          
-          const groupIds = new Set();
-          for (const tab of window.tabs) {
-            if (tab.groupId !== chrome.tabs.TAB_ID_NONE) {
-              groupIds.add(tab.groupId);
-            }
-          }
-          
-          for (const groupId of groupIds) {
-            try {
-              const group = await chrome.tabGroups.get(groupId);
-              const tabsInGroup = window.tabs.filter(t => t.groupId === groupId);
-              
-              windowState.groups.push({
-                id: groupId,
-                title: group.title,
-                color: group.color,
-                collapsed: group.collapsed,
-                tabIds: tabsInGroup.map(t => t.id)
-              });
-            } catch (error) {
-              console.warn('[Background] Error getting group:', error);
-              // Continue with other groups
-            }
-          }
-        }
-        
-        state.windows.push(windowState);
-      } catch (error) {
-        console.warn('[Background] Error processing window:', error);
-        // Continue with other windows
-      }
-    }
-    
-    return state;
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab || tab.groupId !== groupId) return;
+
+    // Tab-it's own moves (merges, restores, undo) are not corrections
+    if (await isProgrammaticGroupMove(tabId)) return;
+
+    const managedGroups = await getManagedTypeGroups();
+    const groupCategory = managedGroups[groupId];
+    if (!groupCategory) return;
+
+    const host = getOverrideHost(tab.url || tab.pendingUrl || '');
+    if (!host) return;
+
+    // Only a move that disagrees with what Tab-it would choose is a correction
+    const context = await loadClassifierContext();
+    if (classifyTab(tab, context) === groupCategory) return;
+
+    await recordLearnedOverride(host, groupCategory);
   } catch (error) {
-    console.error('[Background] Error capturing current groups:', error);
-    return { windows: [] };
+    console.warn('[Background] Error learning from group correction:', error);
+    // Continue - learning is not critical
   }
 }
 
-async function saveUndoStateInline(actionType) {
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
   try {
-    const result = await chrome.storage.local.get('undoHistory');
-    const history = result.undoHistory || [];
-    
-    const state = {
-      type: actionType,
-      timestamp: Date.now(),
-      previousGroups: await captureCurrentGroupsInline()
-    };
-    
-    history.push(state);
-    
-    if (history.length > 20) {
-      history.shift();
-    }
-    
-    await chrome.storage.local.set({ undoHistory: history });
-    return true;
+    if (changeInfo.groupId === undefined || changeInfo.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) return;
+
+    clearTimeout(pendingCorrections.get(tabId));
+    pendingCorrections.set(tabId, setTimeout(() => {
+      pendingCorrections.delete(tabId);
+      checkGroupCorrection(tabId, changeInfo.groupId);
+    }, CORRECTION_SETTLE_DELAY));
   } catch (error) {
-    console.error('[Background] Error saving undo state:', error);
-    return false;
+    console.error('[Background] Error in tab update listener:', error);
   }
+});
+
+// Auto-organize: place new and navigated tabs into groups as they appear
+// Wait for the tab to settle so redirects and drags are not acted on mid-way
+const AUTO_ORGANIZE_DELAY = 1500;
+const AUTO_ORGANIZE_RETRY_DELAY = 1000;
+const AUTO_ORGANIZE_MAX_RETRIES = 5;
+const pendingAutoOrganize = new Map();
+
+function isOrganizableUrl(url) {
+  return /^https?:\/\//.test(url || '');
+}
+
+function scheduleAutoOrganize(tabId, attempt = 0) {
+  clearTimeout(pendingAutoOrganize.get(tabId));
+  pendingAutoOrganize.set(tabId, setTimeout(() => {
+    pendingAutoOrganize.delete(tabId);
+    autoOrganizeTab(tabId, attempt);
+  }, attempt === 0 ? AUTO_ORGANIZE_DELAY : AUTO_ORGANIZE_RETRY_DELAY));
+}
+
+// Build the single-group plan a tab belongs to, including ungrouped peers in its window
+// Tabs a session restore just created are left to the restore, which applies the saved groups
+async function buildAutoOrganizeEntry(tab, strategy) {
+  const ungroupedTabs = (await chrome.tabs.query({
+    windowId: tab.windowId,
+    groupId: chrome.tabGroups.TAB_GROUP_ID_NONE
+  })).filter(t => !t.pinned && isOrganizableUrl(t.url));
+
+  const restoredTabIds = await findRestoredTabs([tab.id, ...ungroupedTabs.map(t => t.id)]);
+  if (restoredTabIds.has(tab.id)) return null;
+  const windowTabs = ungroupedTabs.filter(t => !restoredTabIds.has(t.id));
+
+  if (strategy === 'domain') {
+    const domainOptions = await loadDomainGroupingOptions();
+    const grouped = groupTabsByDomain(windowTabs, { ...domainOptions, minTabs: 1 });
+    const key = Object.keys(grouped).find(domain => grouped[domain].includes(tab.id));
+    if (!key) return null;
+
+    const groups = await chrome.tabGroups.query({ windowId: tab.windowId });
+    return {
+      title: key,
+      color: DOMAIN_GROUP_COLORS[groups.length % DOMAIN_GROUP_COLORS.length],
+      tabIds: grouped[key],
+      minNewGroupSize: 2
+    };
+  }
+
+  const context = await loadClassifierContext();
+  const grouped = groupTabsByType(windowTabs, context);
+  const category = Object.keys(grouped).find(cat => grouped[cat].includes(tab.id));
+  if (!category) return null;
+
+  const { skipSingleTabGroups } = await chrome.storage.local.get(['skipSingleTabGroups']);
+  const [entry] = buildTypeGroupPlan({ [category]: grouped[category] }, context.categories);
+  return { ...entry, minNewGroupSize: skipSingleTabGroups ? 2 : 1 };
 }
 
-async function restoreUndoStateInline(state) {
+async function autoOrganizeTab(tabId, attempt) {
   try {
-    for (const windowState of state.windows) {
-      try {
-        const window = await chrome.windows.get(windowState.id).catch(() => null);
-        if (!window) continue;
-        
-        const currentTabs = await chrome.tabs.query({ windowId: window.id });
-        for (const tab of currentTabs) {
-          if (tab.groupId !== chrome.tabs.TAB_ID_NONE) {
-            try {
-              await chrome.tabs.ungroup([tab.id]);
-            } catch (error) {
-              console.warn('[Background] Error ungrouping tab:', error);
-              // Continue with other tabs
-            }
-          }
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-        for (const group of windowState.groups) {
-          try {
-            const existingTabs = await chrome.tabs.query({ windowId: window.id });
-            const tabsToGroup = [];
-            
-            for (const savedTabId of group.tabIds) {
-              let tab = existingTabs.find(t => t.id === savedTabId);
-              
-              if (!tab) {
-                const savedTab = windowState.tabs.find(t => t.id === savedTabId);
-                if (savedTab) {
-                  tab = existingTabs.find(t => t.url === savedTab.url);
-                }
-              }
-              
-              if (tab) {
-                tabsToGroup.push(tab.id);
-              }
-            }
-            
-            if (tabsToGroup.length > 0) {
-              try {
-                const newGroupId = await chrome.tabs.group({ tabIds: tabsToGroup });
-                await chrome.tabGroups.update(newGroupId, {
-                  title: group.title,
-                  color: group.color,
-                  collapsed: group.collapsed
-                });
-              } catch (error) {
-                console.warn('[Background] Error recreating group:', error);
-                // Continue with other groups
-              }
-            }
-          } catch (error) {
-            console.warn('[Background] Error processing group in restore:', error);
-            // Continue with other groups
-          }
-        }
-      } catch (error) {
-        console.warn('[Background] Error processing window in restore:', error);
-        // Continue with other windows
-      }
-    }
-    
-    return true;
+    const { autoOrganizeEnabled, autoOrganizeStrategy } = await chrome.storage.local.get([
+      'autoOrganizeEnabled',
+      'autoOrganizeStrategy'
+    ]);
+    if (!autoOrganizeEnabled) return;
+
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+
+    // Leave pinned tabs and tabs the user already placed in a group alone
+    if (!tab || tab.pinned || tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE || !isOrganizableUrl(tab.url)) return;
+
+    const entry = await buildAutoOrganizeEntry(tab, autoOrganizeStrategy === 'domain' ? 'domain' : 'type');
+    if (!entry) return;
+
+    // An existing group only needs the new tab; a new group takes the ungrouped peers too
+    const targets = await getMergeTargetGroups(tab.windowId);
+    const tabIds = targets[normalizeGroupTitle(entry.title)] ? [tab.id] : entry.tabIds;
+
+    await applyGroupPlan([{ ...entry, tabIds }], {
+      merge: true,
+      minNewGroupSize: entry.minNewGroupSize,
+      windowId: tab.windowId
+    });
   } catch (error) {
-    console.error('[Background] Error restoring state:', error);
-    return false;
+    const message = String((error.cause && error.cause.message) || error.message || '');
+
+    // Chrome rejects tab edits while the user is dragging; try again once they let go
+    if (message.includes('dragging') && attempt < AUTO_ORGANIZE_MAX_RETRIES) {
+      scheduleAutoOrganize(tabId, attempt + 1);
+      return;
+    }
+    console.warn('[Background] Error auto-organizing tab:', error);
+    // Continue - auto-organize is not critical
   }
 }
 
-async function undoLastActionInline() {
+chrome.tabs.onCreated.addListener((tab) => {
   try {
-    const result = await chrome.storage.local.get('undoHistory');
-    const history = result.undoHistory || [];
-    
-    if (history.length === 0) {
-      return false;
+    scheduleAutoOrganize(tab.id);
+  } catch (error) {
+    console.error('[Background] Error in tab created listener:', error);
+  }
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  try {
+    if (changeInfo.url) {
+      scheduleAutoOrganize(tabId);
     }
-    
-    const lastState = history.pop();
-    await chrome.storage.local.set({ undoHistory: history });
-    
-    await restoreUndoStateInline(lastState.previousGroups);
-    return true;
   } catch (error) {
-    console.error('[Background] Error undoing action:', error);
-    return false;
+    console.error('[Background] Error in tab URL listener:', error);
   }
-}
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearTimeout(pendingAutoOrganize.get(tabId));
+  pendingAutoOrganize.delete(tabId);
+});
+
+chrome.tabGroups.onRemoved.addListener((group) => {
+  Promise.all([forgetManagedTypeGroup(group.id), setGroupLocked(group.id, false)]).catch(error => {
+    console.warn('[Background] Error forgetting removed group:', error);
+  });
+});
 
 // Listen for keyboard shortcuts
 chrome.commands.onCommand.addListener(async (command) => {
   if (command === 'undo-last-action') {
     try {
-      const success = await undoLastActionInline();
+      const success = await undoLastAction();
       try {
         if (success) {
           chrome.notifications.create({
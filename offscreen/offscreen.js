@@ -0,0 +1,26 @@
+/**
+ * Offscreen Document Script
+ * Service workers cannot create object URLs, and data URLs over 2 MB are rejected by chrome.downloads,
+ * so the service worker sends backup contents here and downloads the blob URL this page returns
+ */
+
+// Only the latest backup's URL is kept; the previous one is released when the next is made
+let backupUrl = null;
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type !== 'createBackupBlobUrl') {
+    return false;
+  }
+
+  try {
+    if (backupUrl) {
+      URL.revokeObjectURL(backupUrl);
+    }
+    backupUrl = URL.createObjectURL(new Blob([message.content], { type: `${message.mimeType};charset=utf-8` }));
+    sendResponse({ success: true, url: backupUrl });
+  } catch (error) {
+    console.error('[Offscreen] Error creating backup file:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+  return false;
+});
@@ -4,6 +4,42 @@
  * @fileoverview Options page script with input validation
  */
 
+import { MIN_BACKUP_PASSPHRASE_LENGTH, isEncryptedBackup, encryptBackup, decryptBackup } from '../utils/backupCrypto.js';
+import {
+  TAB_GROUP_COLORS,
+  FALLBACK_CATEGORY_ID,
+  MAX_CATEGORY_TITLE_LENGTH,
+  getDefaultCategories,
+  createCategoryId,
+  getCategories,
+  saveCategories,
+  resetCategories,
+  resolveCategoryId,
+  getCategoryConfig
+} from '../utils/categoryManager.js';
+import { DOMAIN_GROUPING_MODES } from '../utils/domainResolver.js';
+import { getLearnedOverrides, saveLearnedOverrides, forgetLearnedOverride } from '../utils/overrideManager.js';
+import { DEFAULT_RULE_PRIORITY, validateRule, getClassificationRules, saveClassificationRules } from '../utils/ruleManager.js';
+import {
+  BACKUP_FREQUENCIES,
+  DEFAULT_BACKUP_FOLDER,
+  DEFAULT_BACKUP_RETENTION,
+  MAX_BACKUP_RETENTION,
+  normalizeBackupFolder
+} from '../utils/sessionBackup.js';
+import { EXPORT_FORMATS, exportSessions, downloadExport } from '../utils/sessionExport.js';
+import {
+  IMPORT_FORMATS,
+  IMPORT_CONFLICT_CHOICES,
+  parseImportFile,
+  validateImportedSessions,
+  findImportConflicts,
+  resolveImportConflicts
+} from '../utils/sessionImport.js';
+import { replaceSessions, listSessionRecords, listSessions, deleteSessions } from '../utils/sessionStore.js';
+import { GROUPING_MODES } from '../utils/tabManager.js';
+import { DEFAULT_URL_NORMALIZATION } from '../utils/urlNormalizer.js';
+
 /** @constant {number} Minimum auto-save interval in minutes */
 const MIN_AUTO_SAVE_INTERVAL = 1;
 
@@ -16,6 +52,21 @@ const MIN_RECOVERY_SESSIONS = 1;
 /** @constant {number} Maximum recovery sessions to keep */
 const MAX_RECOVERY_SESSIONS = 20;
 
+/** @constant {number} Minimum auto-save sessions to keep */
+const MIN_AUTO_SAVE_SESSIONS = 1;
+
+/** @constant {number} Maximum auto-save sessions to keep */
+const MAX_AUTO_SAVE_SESSIONS = 100;
+
+/** @constant {number} Minimum subdomain depth for domain grouping */
+const MIN_DOMAIN_GROUPING_DEPTH = 1;
+
+/** @constant {number} Maximum subdomain depth for domain grouping */
+const MAX_DOMAIN_GROUPING_DEPTH = 3;
+
+/** @constant {number} Minimum scheduled backups to keep */
+const MIN_BACKUP_RETENTION = 1;
+
 /** @constant {number} Maximum import file size in bytes (5 MB) */
 const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024;
 
@@ -80,6 +131,238 @@ async function applyTheme() {
   }
 }
 
+/**
+ * Fill the export format select
+ */
+function renderExportFormats() {
+  const select = document.getElementById('export-format');
+  for (const [format, { label }] of Object.entries(EXPORT_FORMATS)) {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+}
+
+/**
+ * List saved sessions with checkboxes for choosing what to export (all ticked)
+ * @returns {Promise<void>}
+ */
+async function renderExportSessionList() {
+  const list = document.getElementById('export-session-list');
+  const sessions = await listSessionRecords();
+  list.replaceChildren();
+
+  if (sessions.length === 0) {
+    const emptyText = document.createElement('p');
+    emptyText.className = 'empty-list-text';
+    emptyText.textContent = 'No saved sessions yet.';
+    list.appendChild(emptyText);
+    return;
+  }
+
+  for (const session of sessions) {
+    const item = document.createElement('label');
+    item.className = 'rule-item checkbox-label';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = session.id;
+    checkbox.checked = true;
+
+    const summary = document.createElement('span');
+    summary.className = 'rule-item-summary';
+    summary.textContent = `${session.starred ? '★ ' : ''}${session.name || 'Unnamed Session'}`;
+
+    const meta = document.createElement('span');
+    meta.className = 'rule-item-meta';
+    meta.textContent = new Date(session.timestamp).toLocaleString();
+
+    item.appendChild(checkbox);
+    item.appendChild(summary);
+    item.appendChild(meta);
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Build the conflict line of an import preview row: what the session clashes with and a choice of what to do
+ * @param {Object} conflict - Conflict from findImportConflicts
+ * @param {number} index - Row index
+ * @returns {HTMLElement} Conflict line
+ */
+function createImportConflictLine(conflict, index) {
+  const line = document.createElement('div');
+  line.className = 'rule-item-meta import-conflict';
+
+  const existingName = conflict.existing.name || 'Unnamed Session';
+  const note = document.createElement('span');
+  if (conflict.type === 'duplicate') {
+    note.textContent = `Already saved as “${existingName}”`;
+  } else if (conflict.type === 'id') {
+    note.textContent = `Same id as saved session “${existingName}”`;
+  } else {
+    note.textContent = `Same tabs as saved session “${existingName}”`;
+  }
+
+  const select = document.createElement('select');
+  select.className = 'inline-select import-conflict-choice';
+  select.dataset.index = String(index);
+  for (const [value, label] of Object.entries(IMPORT_CONFLICT_CHOICES)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  select.value = conflict.defaultChoice;
+
+  line.appendChild(note);
+  line.appendChild(select);
+  return line;
+}
+
+/**
+ * Show sessions read from an import file, each with a checkbox
+ * Records that failed validation are listed with their errors and cannot be selected.
+ * @param {string} format - Key of IMPORT_FORMATS
+ * @param {number} skipped - Entries the parser could not read
+ * @param {Array<Object>} entries - Validation reports with their conflict (see pendingImport)
+ */
+function renderImportPreview(format, skipped, entries) {
+  const list = document.getElementById('import-session-list');
+  list.replaceChildren();
+
+  const validCount = entries.filter(entry => entry.session).length;
+  const parts = [`${IMPORT_FORMATS[format]}: ${validCount} session${validCount !== 1 ? 's' : ''} found`];
+  const invalidCount = entries.length - validCount;
+  if (invalidCount > 0) {
+    parts.push(`${invalidCount} invalid`);
+  }
+  const conflictCount = entries.filter(entry => entry.conflict).length;
+  if (conflictCount > 0) {
+    parts.push(`${conflictCount} already saved`);
+  }
+  const removedUrls = entries.reduce((count, entry) => count + entry.removedUrls, 0);
+  if (removedUrls > 0) {
+    parts.push(`${removedUrls} unsafe link${removedUrls !== 1 ? 's' : ''} removed`);
+  }
+  if (skipped > 0) {
+    parts.push(`${skipped} entr${skipped !== 1 ? 'ies' : 'y'} skipped`);
+  }
+  document.getElementById('import-preview-summary').textContent = parts.join(' · ');
+
+  entries.forEach((entry, index) => {
+    const { session } = entry;
+
+    const item = document.createElement('label');
+    item.className = 'rule-item checkbox-label';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = String(index);
+    checkbox.checked = Boolean(session);
+    checkbox.disabled = !session;
+
+    const summary = document.createElement('div');
+    summary.className = 'rule-item-summary';
+    summary.textContent = entry.name;
+
+    if (!session) {
+      item.classList.add('disabled');
+      for (const message of entry.errors) {
+        const error = document.createElement('div');
+        error.className = 'rule-item-meta import-error';
+        error.textContent = message;
+        summary.appendChild(error);
+      }
+    } else {
+      const tabs = session.windows.flatMap(windowData => windowData.tabs);
+      const windowCount = session.windows.length;
+      const groupCount = session.groups.length;
+
+      const meta = document.createElement('div');
+      meta.className = 'rule-item-meta';
+      const counts = [
+        `${tabs.length} tab${tabs.length !== 1 ? 's' : ''}`,
+        `${windowCount} window${windowCount !== 1 ? 's' : ''}`
+      ];
+      if (groupCount > 0) {
+        counts.push(`${groupCount} group${groupCount !== 1 ? 's' : ''}`);
+      }
+      if (entry.removedUrls > 0) {
+        counts.push(`${entry.removedUrls} unsafe link${entry.removedUrls !== 1 ? 's' : ''} removed`);
+      }
+      counts.push(new Date(session.timestamp).toLocaleString());
+      meta.textContent = counts.join(' · ');
+      summary.appendChild(meta);
+
+      const sample = document.createElement('div');
+      sample.className = 'rule-item-meta';
+      const titles = tabs.slice(0, 3).map(tab => tab.title || tab.url);
+      sample.textContent = `${titles.join(', ')}${tabs.length > 3 ? ', …' : ''}`;
+      summary.appendChild(sample);
+
+      if (entry.conflict) {
+        summary.appendChild(createImportConflictLine(entry.conflict, index));
+      }
+    }
+
+    item.appendChild(checkbox);
+    item.appendChild(summary);
+    list.appendChild(item);
+  });
+
+  document.getElementById('import-preview').hidden = false;
+}
+
+/**
+ * Read an import file's contents and show the preview
+ * @param {string} text - File contents (already decrypted)
+ * @returns {Promise<void>}
+ */
+async function previewImportText(text) {
+  let parsed;
+  try {
+    parsed = parseImportFile(text);
+  } catch (parseError) {
+    showNotification(parseError.message, 'error');
+    return;
+  }
+
+  const reports = validateImportedSessions(parsed.sessions);
+  if (reports.length === 0) {
+    showNotification('No sessions found in this file', 'warning');
+    return;
+  }
+
+  const validSessions = reports.filter(report => report.session).map(report => report.session);
+  const conflicts = findImportConflicts(validSessions, await listSessions());
+  let conflictIndex = 0;
+  pendingImport = reports.map(report => ({
+    ...report,
+    conflict: report.session ? conflicts[conflictIndex++] : null
+  }));
+  renderImportPreview(parsed.format, parsed.skipped, pendingImport);
+}
+
+/**
+ * Hide the passphrase prompt and drop the encrypted backup
+ */
+function closeImportUnlock() {
+  pendingEncryptedBackup = null;
+  document.getElementById('import-unlock').hidden = true;
+  document.getElementById('import-passphrase').value = '';
+}
+
+/**
+ * Hide the import preview and drop the sessions read from the file
+ */
+function closeImportPreview() {
+  pendingImport = [];
+  document.getElementById('import-preview').hidden = true;
+  document.getElementById('import-session-list').replaceChildren();
+}
+
 /**
  * Load settings from storage and populate form
  * @returns {Promise<void>}
@@ -91,9 +374,22 @@ async function loadSettings() {
       'autoSaveInterval',
       'crashRecoveryEnabled',
       'maxRecoverySessions',
+      'maxAutoSaveSessions',
+      'lazyRestore',
       'autoCollapseGroups',
       'showNotifications',
       'skipSingleTabGroups',
+      'showGroupingPreview',
+      'groupingMode',
+      'autoOrganizeEnabled',
+      'autoOrganizeStrategy',
+      'duplicateUrlOptions',
+      'domainGroupingMode',
+      'domainGroupingDepth',
+      'backupEnabled',
+      'backupFrequency',
+      'backupFolder',
+      'backupRetention',
       'theme'
     ]);
 
@@ -101,9 +397,40 @@ async function loadSettings() {
     document.getElementById('auto-save-interval').value = settings.autoSaveInterval || 5;
     document.getElementById('crash-recovery-enabled').checked = settings.crashRecoveryEnabled !== false;
     document.getElementById('max-recovery-sessions').value = settings.maxRecoverySessions || 3;
+    document.getElementById('max-auto-save-sessions').value = settings.maxAutoSaveSessions || 20;
+    document.getElementById('lazy-restore').checked = settings.lazyRestore === true;
     document.getElementById('auto-collapse-groups').checked = settings.autoCollapseGroups || false;
     document.getElementById('show-notifications').checked = settings.showNotifications !== false;
     document.getElementById('skip-single-tab-groups').checked = settings.skipSingleTabGroups !== false;
+    document.getElementById('show-grouping-preview').checked = settings.showGroupingPreview !== false;
+
+    const groupingModeRadio = document.getElementById(`grouping-mode-${settings.groupingMode || 'replace'}`);
+    if (groupingModeRadio) {
+      groupingModeRadio.checked = true;
+    }
+
+    document.getElementById('auto-organize-enabled').checked = settings.autoOrganizeEnabled || false;
+    const autoOrganizeRadio = document.getElementById(`auto-organize-${settings.autoOrganizeStrategy || 'type'}`);
+    if (autoOrganizeRadio) {
+      autoOrganizeRadio.checked = true;
+    }
+
+    const duplicateUrlOptions = { ...DEFAULT_URL_NORMALIZATION, ...(settings.duplicateUrlOptions || {}) };
+    document.getElementById('dup-ignore-fragment').checked = duplicateUrlOptions.ignoreFragment;
+    document.getElementById('dup-ignore-tracking').checked = duplicateUrlOptions.ignoreTrackingParams;
+    document.getElementById('dup-ignore-trailing-slash').checked = duplicateUrlOptions.ignoreTrailingSlash;
+    document.getElementById('dup-ignore-protocol').checked = duplicateUrlOptions.ignoreProtocol;
+
+    const domainModeRadio = document.getElementById(`domain-mode-${settings.domainGroupingMode || 'registrable'}`);
+    if (domainModeRadio) {
+      domainModeRadio.checked = true;
+    }
+    document.getElementById('domain-grouping-depth').value = settings.domainGroupingDepth || 1;
+
+    document.getElementById('backup-enabled').checked = settings.backupEnabled === true;
+    document.getElementById('backup-frequency').value = BACKUP_FREQUENCIES[settings.backupFrequency] ? settings.backupFrequency : 'daily';
+    document.getElementById('backup-folder').value = settings.backupFolder || DEFAULT_BACKUP_FOLDER;
+    document.getElementById('backup-retention').value = settings.backupRetention || DEFAULT_BACKUP_RETENTION;
 
     const theme = settings.theme || 'auto';
     const themeRadio = document.getElementById(`theme-${theme}`);
@@ -122,15 +449,20 @@ async function loadSettings() {
  */
 async function updateStorageDisplay() {
   try {
-    const { sessions } = await chrome.storage.local.get(['sessions']);
-    const sessionCount = sessions ? sessions.length : 0;
+    // Stored records, so delta-encoded snapshots count at their real size
+    const sessions = await listSessionRecords();
+    const sessionCount = sessions.length;
 
-    const storageStr = JSON.stringify(sessions || []);
+    const storageStr = JSON.stringify(sessions);
     const storageMB = (storageStr.length / 1024 / 1024).toFixed(2);
-    const storagePercent = Math.min((parseFloat(storageMB) / 10) * 100, 100);
+
+    // Sessions live in IndexedDB, which shares the browser's per-extension quota
+    const { quota } = await navigator.storage.estimate().catch(() => ({}));
+    const quotaMB = quota ? quota / 1024 / 1024 : 10;
+    const storagePercent = Math.min((parseFloat(storageMB) / quotaMB) * 100, 100);
 
     document.getElementById('storage-bar').style.width = `${storagePercent}%`;
-    document.getElementById('storage-text').textContent = `Storage used: ${storageMB} MB / 10 MB`;
+    document.getElementById('storage-text').textContent = `Storage used: ${storageMB} MB / ${quotaMB >= 1024 ? `${(quotaMB / 1024).toFixed(1)} GB` : `${Math.round(quotaMB)} MB`}`;
     document.getElementById('sessions-text').textContent = `Saved sessions: ${sessionCount} / 50`;
   } catch (error) {
     console.error('[Options] Error updating storage display:', error);
@@ -138,31 +470,513 @@ async function updateStorageDisplay() {
 }
 
 /**
- * Validate imported session data structure
- * @param {Array} sessions - Array of session objects to validate
- * @returns {boolean} True if valid
+ * Format how long ago a timestamp was
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @returns {string} Relative time such as "5 min ago"
  */
-function validateImportedSessions(sessions) {
-  if (!Array.isArray(sessions)) {
-    return false;
+function formatTimeAgo(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hr ago`;
+  return new Date(timestamp).toLocaleString();
+}
+
+/**
+ * Show when auto-save last ran and whether it failed
+ * @returns {Promise<void>}
+ */
+async function updateAutoSaveStatus() {
+  try {
+    const { autoSaveStatus } = await chrome.storage.local.get(['autoSaveStatus']);
+    const statusEl = document.getElementById('auto-save-status');
+    const errorEl = document.getElementById('auto-save-error');
+
+    if (!autoSaveStatus || !autoSaveStatus.lastRun) {
+      statusEl.textContent = 'Auto-save has not run yet.';
+      errorEl.hidden = true;
+      return;
+    }
+
+    const lastSuccess = autoSaveStatus.lastSuccess
+      ? `last successful save ${formatTimeAgo(autoSaveStatus.lastSuccess)}`
+      : 'no successful save yet';
+    const skipped = autoSaveStatus.lastOutcome === 'skipped' ? ' (skipped, nothing changed)' : '';
+    statusEl.textContent = `Last run ${formatTimeAgo(autoSaveStatus.lastRun)}${skipped} · ${lastSuccess}`;
+
+    if (autoSaveStatus.lastError) {
+      errorEl.textContent = `Last run failed: ${autoSaveStatus.lastError}`;
+      errorEl.hidden = false;
+    } else {
+      errorEl.hidden = true;
+    }
+  } catch (error) {
+    console.error('[Options] Error loading auto-save status:', error);
   }
+}
 
-  for (const session of sessions) {
-    if (!session || typeof session !== 'object') {
-      return false;
+/**
+ * Show when the last scheduled backup was written and whether the last run failed
+ * @returns {Promise<void>}
+ */
+async function updateBackupStatus() {
+  try {
+    const { backupStatus } = await chrome.storage.local.get(['backupStatus']);
+    const statusEl = document.getElementById('backup-status');
+    const errorEl = document.getElementById('backup-error');
+
+    if (!backupStatus || !backupStatus.lastRun) {
+      statusEl.textContent = 'No backup has been made yet.';
+      errorEl.hidden = true;
+      return;
     }
-    if (typeof session.id !== 'string' && typeof session.id !== 'number') {
-      return false;
+
+    const lastSuccess = backupStatus.lastSuccess
+      ? `Last successful backup ${formatTimeAgo(backupStatus.lastSuccess)}${backupStatus.lastFile ? ` (${backupStatus.lastFile})` : ''}`
+      : 'No successful backup yet';
+    const skipped = backupStatus.lastOutcome === 'skipped' ? ` · last run ${formatTimeAgo(backupStatus.lastRun)} skipped, no sessions` : '';
+    statusEl.textContent = `${lastSuccess}${skipped}`;
+
+    if (backupStatus.lastError) {
+      errorEl.textContent = `Last backup failed ${formatTimeAgo(backupStatus.lastErrorAt)}: ${backupStatus.lastError}`;
+      errorEl.hidden = false;
+    } else {
+      errorEl.hidden = true;
     }
-    if (typeof session.name !== 'string') {
-      return false;
+  } catch (error) {
+    console.error('[Options] Error loading backup status:', error);
+  }
+}
+
+/** @constant {Object<string, string>} Hex previews for tab group colors */
+const GROUP_COLOR_HEX = {
+  grey: '#9CA3AF',
+  blue: '#3B82F6',
+  red: '#EF4444',
+  yellow: '#FBBF24',
+  green: '#10B981',
+  pink: '#EC4899',
+  purple: '#8B5CF6',
+  cyan: '#06B6D4',
+  orange: '#F97316'
+};
+
+/** @type {Array<Object>} Category list being edited (saved on "Save Categories") */
+let categoryDraft = [];
+
+/** @type {string|null} ID of the rule currently loaded into the rule form */
+let editingRuleId = null;
+
+/**
+ * @type {Array<{name: string, session: Object|null, errors: string[], removedUrls: number, conflict: Object|null}>}
+ * Records read from the import file with their validation report and conflict, waiting for "Import Selected"
+ */
+let pendingImport = [];
+
+/** @type {string|null} Encrypted backup waiting for its passphrase */
+let pendingEncryptedBackup = null;
+
+/**
+ * Create an editable category row using safe DOM methods
+ * @param {Object} category - Category being edited
+ * @param {number} index - Position in the draft list
+ * @returns {HTMLElement} Category row element
+ */
+function createCategoryItemElement(category, index) {
+  const item = document.createElement('div');
+  item.className = 'rule-item';
+
+  const swatch = document.createElement('span');
+  swatch.className = 'category-color-swatch';
+  swatch.style.backgroundColor = GROUP_COLOR_HEX[category.color] || GROUP_COLOR_HEX.grey;
+
+  const titleInput = document.createElement('input');
+  titleInput.type = 'text';
+  titleInput.className = 'text-input category-title-input';
+  titleInput.value = category.title;
+  titleInput.maxLength = MAX_CATEGORY_TITLE_LENGTH;
+  titleInput.addEventListener('input', () => {
+    category.title = titleInput.value;
+  });
+
+  const colorSelect = document.createElement('select');
+  colorSelect.className = 'inline-select';
+  for (const color of TAB_GROUP_COLORS) {
+    const option = document.createElement('option');
+    option.value = color;
+    option.textContent = color;
+    colorSelect.appendChild(option);
+  }
+  colorSelect.value = category.color;
+  colorSelect.addEventListener('change', () => {
+    category.color = colorSelect.value;
+    swatch.style.backgroundColor = GROUP_COLOR_HEX[category.color];
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'rule-item-actions';
+
+  const upBtn = document.createElement('button');
+  upBtn.className = 'link-btn';
+  upBtn.textContent = '↑';
+  upBtn.title = 'Move up';
+  upBtn.disabled = index === 0;
+  upBtn.addEventListener('click', () => moveCategory(index, -1));
+
+  const downBtn = document.createElement('button');
+  downBtn.className = 'link-btn';
+  downBtn.textContent = '↓';
+  downBtn.title = 'Move down';
+  downBtn.disabled = index === categoryDraft.length - 1;
+  downBtn.addEventListener('click', () => moveCategory(index, 1));
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'link-btn danger';
+  deleteBtn.textContent = 'Delete';
+  deleteBtn.disabled = category.id === FALLBACK_CATEGORY_ID;
+  deleteBtn.title = category.id === FALLBACK_CATEGORY_ID ? '"Other" catches unmatched tabs and cannot be deleted' : '';
+  deleteBtn.addEventListener('click', () => deleteCategory(index));
+
+  actions.appendChild(colorSelect);
+  actions.appendChild(upBtn);
+  actions.appendChild(downBtn);
+  actions.appendChild(deleteBtn);
+
+  item.appendChild(swatch);
+  item.appendChild(titleInput);
+  item.appendChild(actions);
+  return item;
+}
+
+/**
+ * Render the category draft list
+ */
+function renderCategoryEditor() {
+  const list = document.getElementById('category-list');
+  list.innerHTML = '';
+
+  categoryDraft.forEach((category, index) => {
+    list.appendChild(createCategoryItemElement(category, index));
+  });
+}
+
+/**
+ * Move a category within the draft list
+ * @param {number} index - Current position
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveCategory(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= categoryDraft.length) return;
+
+  const [moved] = categoryDraft.splice(index, 1);
+  categoryDraft.splice(target, 0, moved);
+  renderCategoryEditor();
+}
+
+/**
+ * Remove a category from the draft list
+ * @param {number} index - Position of the category to remove
+ * @returns {Promise<void>}
+ */
+async function deleteCategory(index) {
+  const category = categoryDraft[index];
+  const rules = await getClassificationRules();
+  const usedBy = rules.filter(r => r.category === category.id).length;
+
+  if (usedBy > 0) {
+    showNotification(`"${category.title}" is used by ${usedBy} rule${usedBy !== 1 ? 's' : ''}. Update them first.`, 'warning');
+    return;
+  }
+
+  categoryDraft.splice(index, 1);
+  renderCategoryEditor();
+}
+
+/**
+ * Load the active categories into the editor and rule form
+ * @returns {Promise<void>}
+ */
+async function loadCategoryEditor() {
+  const categories = await getCategories();
+  categoryDraft = categories.map(c => ({ ...c }));
+  renderCategoryEditor();
+  populateRuleCategories(categories);
+}
+
+/**
+ * Populate the rule form's category dropdown
+ * @param {Array<Object>} categories - Active categories
+ */
+function populateRuleCategories(categories) {
+  const select = document.getElementById('rule-category');
+  const previous = select.value;
+  select.innerHTML = '';
+
+  for (const category of categories) {
+    const option = document.createElement('option');
+    option.value = category.id;
+    option.textContent = category.title;
+    select.appendChild(option);
+  }
+
+  if (categories.some(c => c.id === previous)) {
+    select.value = previous;
+  }
+}
+
+/**
+ * Describe a rule's conditions for display
+ * @param {Object} rule - Rule object
+ * @returns {string} Human-readable summary
+ */
+function describeRule(rule) {
+  const parts = [];
+  if (rule.hostGlob) parts.push(`host ${rule.hostGlob}`);
+  if (rule.pathRegex) parts.push(`path /${rule.pathRegex}/`);
+  if (rule.titleRegex) parts.push(`title /${rule.titleRegex}/`);
+  if (rule.query) parts.push(`query ${rule.query}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Reset the rule form to "add" mode
+ */
+function resetRuleForm() {
+  editingRuleId = null;
+  document.getElementById('rule-host-glob').value = '';
+  document.getElementById('rule-path-regex').value = '';
+  document.getElementById('rule-title-regex').value = '';
+  document.getElementById('rule-query').value = '';
+  document.getElementById('rule-priority').value = DEFAULT_RULE_PRIORITY;
+  document.getElementById('rule-category').selectedIndex = 0;
+  document.getElementById('save-rule-btn').textContent = 'Add Rule';
+  document.getElementById('cancel-rule-btn').hidden = true;
+}
+
+/**
+ * Load an existing rule into the form for editing
+ * @param {Object} rule - Rule to edit
+ */
+function editRule(rule) {
+  editingRuleId = rule.id;
+  document.getElementById('rule-host-glob').value = rule.hostGlob || '';
+  document.getElementById('rule-path-regex').value = rule.pathRegex || '';
+  document.getElementById('rule-title-regex').value = rule.titleRegex || '';
+  document.getElementById('rule-query').value = rule.query || '';
+  document.getElementById('rule-priority').value = rule.priority || 0;
+  document.getElementById('rule-category').value = rule.category;
+  document.getElementById('save-rule-btn').textContent = 'Update Rule';
+  document.getElementById('cancel-rule-btn').hidden = false;
+  document.getElementById('rule-form').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Create a rule list item element using safe DOM methods
+ * @param {Object} rule - Rule object
+ * @param {Array<Object>} categories - Active categories
+ * @param {Function} onAction - Callback receiving (action, rule)
+ * @returns {HTMLElement} Rule item element
+ */
+function createRuleItemElement(rule, categories, onAction) {
+  const item = document.createElement('div');
+  item.className = `rule-item${rule.enabled === false ? ' disabled' : ''}`;
+
+  const summary = document.createElement('div');
+  summary.className = 'rule-item-summary';
+  summary.textContent = describeRule(rule);
+
+  const meta = document.createElement('div');
+  meta.className = 'rule-item-meta';
+  const categoryTitle = getCategoryConfig(rule.category, categories).title;
+  meta.textContent = `→ ${categoryTitle} · priority ${rule.priority || 0}`;
+  summary.appendChild(meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'rule-item-actions';
+
+  const enabledLabel = document.createElement('label');
+  enabledLabel.className = 'checkbox-label';
+  const enabledInput = document.createElement('input');
+  enabledInput.type = 'checkbox';
+  enabledInput.checked = rule.enabled !== false;
+  enabledInput.title = 'Enabled';
+  enabledInput.addEventListener('change', () => onAction('toggle', rule));
+  enabledLabel.appendChild(enabledInput);
+
+  const editBtn = document.createElement('button');
+  editBtn.className = 'link-btn';
+  editBtn.textContent = 'Edit';
+  editBtn.addEventListener('click', () => onAction('edit', rule));
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'link-btn danger';
+  deleteBtn.textContent = 'Delete';
+  deleteBtn.addEventListener('click', () => onAction('delete', rule));
+
+  actions.appendChild(enabledLabel);
+  actions.appendChild(editBtn);
+  actions.appendChild(deleteBtn);
+
+  item.appendChild(summary);
+  item.appendChild(actions);
+  return item;
+}
+
+/**
+ * Handle an action on a rule list item
+ * @param {string} action - Action type ('toggle', 'edit', 'delete')
+ * @param {Object} rule - Rule the action applies to
+ * @returns {Promise<void>}
+ */
+async function handleRuleAction(action, rule) {
+  if (action === 'edit') {
+    editRule(rule);
+    return;
+  }
+
+  try {
+    const rules = await getClassificationRules();
+    let updated = rules;
+
+    if (action === 'toggle') {
+      updated = rules.map(r => r.id === rule.id ? { ...r, enabled: r.enabled === false } : r);
+    } else if (action === 'delete') {
+      if (!confirm('Delete this rule?')) return;
+      updated = rules.filter(r => r.id !== rule.id);
+      if (editingRuleId === rule.id) {
+        resetRuleForm();
+      }
     }
-    if (typeof session.timestamp !== 'number') {
-      return false;
+
+    await saveClassificationRules(updated);
+    await renderClassificationRules();
+  } catch (error) {
+    console.error('[Options] Error updating rule:', error);
+    showNotification(error.message || 'Failed to update rule', 'error');
+  }
+}
+
+/**
+ * Render the list of classification rules
+ * @returns {Promise<void>}
+ */
+async function renderClassificationRules() {
+  const list = document.getElementById('rule-list');
+
+  try {
+    const [rules, categories] = await Promise.all([getClassificationRules(), getCategories()]);
+    list.innerHTML = '';
+
+    if (rules.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'empty-list-text';
+      empty.textContent = 'No rules yet. Add one below.';
+      list.appendChild(empty);
+      return;
+    }
+
+    for (const rule of rules) {
+      list.appendChild(createRuleItemElement(rule, categories, handleRuleAction));
     }
+  } catch (error) {
+    console.error('[Options] Error rendering rules:', error);
   }
+}
+
+/**
+ * Create a learned override row using safe DOM methods
+ * @param {string} host - Host the override applies to
+ * @param {Object} override - Override entry ({category, count, updatedAt})
+ * @param {Array<Object>} categories - Active categories
+ * @returns {HTMLElement} Override item element
+ */
+function createOverrideItemElement(host, override, categories) {
+  const item = document.createElement('div');
+  item.className = 'rule-item';
 
-  return true;
+  const summary = document.createElement('div');
+  summary.className = 'rule-item-summary';
+  summary.textContent = host;
+
+  const meta = document.createElement('div');
+  meta.className = 'rule-item-meta';
+  const corrections = override.count || 1;
+  meta.textContent = `Corrected ${corrections} time${corrections !== 1 ? 's' : ''} · last ${new Date(override.updatedAt).toLocaleDateString()}`;
+  summary.appendChild(meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'rule-item-actions';
+
+  const categorySelect = document.createElement('select');
+  categorySelect.className = 'inline-select';
+  for (const category of categories) {
+    const option = document.createElement('option');
+    option.value = category.id;
+    option.textContent = category.title;
+    categorySelect.appendChild(option);
+  }
+  categorySelect.value = resolveCategoryId(override.category, categories);
+  categorySelect.addEventListener('change', async () => {
+    try {
+      const overrides = await getLearnedOverrides();
+      overrides[host] = { ...overrides[host], category: categorySelect.value, updatedAt: Date.now() };
+      await saveLearnedOverrides(overrides);
+      showNotification(`${host} now goes to ${getCategoryConfig(categorySelect.value, categories).title}`, 'success');
+    } catch (error) {
+      console.error('[Options] Error updating override:', error);
+      showNotification('Failed to update correction', 'error');
+    }
+  });
+
+  const forgetBtn = document.createElement('button');
+  forgetBtn.className = 'link-btn danger';
+  forgetBtn.textContent = 'Forget';
+  forgetBtn.addEventListener('click', async () => {
+    try {
+      await forgetLearnedOverride(host);
+      await renderLearnedOverrides();
+    } catch (error) {
+      console.error('[Options] Error forgetting override:', error);
+      showNotification('Failed to forget correction', 'error');
+    }
+  });
+
+  actions.appendChild(categorySelect);
+  actions.appendChild(forgetBtn);
+
+  item.appendChild(summary);
+  item.appendChild(actions);
+  return item;
+}
+
+/**
+ * Render the list of learned overrides
+ * @returns {Promise<void>}
+ */
+async function renderLearnedOverrides() {
+  const list = document.getElementById('override-list');
+
+  try {
+    const [overrides, categories] = await Promise.all([getLearnedOverrides(), getCategories()]);
+    const entries = Object.entries(overrides).sort((a, b) => a[0].localeCompare(b[0]));
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'empty-list-text';
+      empty.textContent = 'Nothing learned yet.';
+      list.appendChild(empty);
+      return;
+    }
+
+    for (const [host, override] of entries) {
+      list.appendChild(createOverrideItemElement(host, override, categories));
+    }
+  } catch (error) {
+    console.error('[Options] Error rendering overrides:', error);
+  }
 }
 
 /**
@@ -177,8 +991,25 @@ document.addEventListener('DOMContentLoaded', async () => {
   await applyTheme();
   await loadSettings();
   await updateStorageDisplay();
+  await updateAutoSaveStatus();
+  await updateBackupStatus();
+  await loadCategoryEditor();
+  await renderClassificationRules();
+  await renderLearnedOverrides();
+  renderExportFormats();
   setupAutoSave();
 
+  // Keep the auto-save status current while the page is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.autoSaveStatus) {
+      updateAutoSaveStatus();
+      updateStorageDisplay();
+    }
+    if (areaName === 'local' && changes.backupStatus) {
+      updateBackupStatus();
+    }
+  });
+
   // Listen for system theme changes
   window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', async () => {
     try {
@@ -210,18 +1041,78 @@ document.getElementById('save-settings-btn').addEventListener('click', async ()
       3
     );
 
+    const maxAutoSaveSessions = validateIntInput(
+      document.getElementById('max-auto-save-sessions').value,
+      MIN_AUTO_SAVE_SESSIONS,
+      MAX_AUTO_SAVE_SESSIONS,
+      20
+    );
+
+    const domainGroupingDepth = validateIntInput(
+      document.getElementById('domain-grouping-depth').value,
+      MIN_DOMAIN_GROUPING_DEPTH,
+      MAX_DOMAIN_GROUPING_DEPTH,
+      1
+    );
+
+    const backupRetention = validateIntInput(
+      document.getElementById('backup-retention').value,
+      MIN_BACKUP_RETENTION,
+      MAX_BACKUP_RETENTION,
+      DEFAULT_BACKUP_RETENTION
+    );
+    const backupFrequency = BACKUP_FREQUENCIES[document.getElementById('backup-frequency').value]
+      ? document.getElementById('backup-frequency').value
+      : 'daily';
+    const backupFolder = normalizeBackupFolder(document.getElementById('backup-folder').value);
+
+    const domainModeRadio = document.querySelector('input[name="domain-grouping-mode"]:checked');
+    const domainGroupingMode = domainModeRadio && DOMAIN_GROUPING_MODES.includes(domainModeRadio.value)
+      ? domainModeRadio.value
+      : 'registrable';
+
+    const groupingModeRadio = document.querySelector('input[name="grouping-mode"]:checked');
+    const groupingMode = groupingModeRadio && GROUPING_MODES.includes(groupingModeRadio.value)
+      ? groupingModeRadio.value
+      : 'replace';
+
+    const autoOrganizeRadio = document.querySelector('input[name="auto-organize-strategy"]:checked');
+    const autoOrganizeStrategy = autoOrganizeRadio && autoOrganizeRadio.value === 'domain' ? 'domain' : 'type';
+
     // Update input fields with validated values
     document.getElementById('auto-save-interval').value = autoSaveInterval;
     document.getElementById('max-recovery-sessions').value = maxRecoverySessions;
+    document.getElementById('max-auto-save-sessions').value = maxAutoSaveSessions;
+    document.getElementById('domain-grouping-depth').value = domainGroupingDepth;
+    document.getElementById('backup-retention').value = backupRetention;
+    document.getElementById('backup-folder').value = backupFolder;
 
     const settings = {
       autoSaveEnabled: document.getElementById('auto-save-enabled').checked,
       autoSaveInterval: autoSaveInterval,
       crashRecoveryEnabled: document.getElementById('crash-recovery-enabled').checked,
       maxRecoverySessions: maxRecoverySessions,
+      maxAutoSaveSessions: maxAutoSaveSessions,
+      lazyRestore: document.getElementById('lazy-restore').checked,
       autoCollapseGroups: document.getElementById('auto-collapse-groups').checked,
       showNotifications: document.getElementById('show-notifications').checked,
       skipSingleTabGroups: document.getElementById('skip-single-tab-groups').checked,
+      showGroupingPreview: document.getElementById('show-grouping-preview').checked,
+      groupingMode: groupingMode,
+      autoOrganizeEnabled: document.getElementById('auto-organize-enabled').checked,
+      autoOrganizeStrategy: autoOrganizeStrategy,
+      duplicateUrlOptions: {
+        ignoreFragment: document.getElementById('dup-ignore-fragment').checked,
+        ignoreTrackingParams: document.getElementById('dup-ignore-tracking').checked,
+        ignoreTrailingSlash: document.getElementById('dup-ignore-trailing-slash').checked,
+        ignoreProtocol: document.getElementById('dup-ignore-protocol').checked
+      },
+      domainGroupingMode: domainGroupingMode,
+      domainGroupingDepth: domainGroupingDepth,
+      backupEnabled: document.getElementById('backup-enabled').checked,
+      backupFrequency: backupFrequency,
+      backupFolder: backupFolder,
+      backupRetention: backupRetention,
       theme: document.querySelector('input[name="theme"]:checked').value
     };
 
@@ -232,6 +1123,7 @@ document.getElementById('save-settings-btn').addEventListener('click', async ()
 
     // Update auto-save interval if it changed
     chrome.runtime.sendMessage({ type: 'updateAutoSave' }).catch(() => {});
+    chrome.runtime.sendMessage({ type: 'updateBackup' }).catch(() => {});
 
     // Show success feedback
     const btn = document.getElementById('save-settings-btn');
@@ -249,6 +1141,113 @@ document.getElementById('save-settings-btn').addEventListener('click', async ()
   }
 });
 
+// Add or update a classification rule
+document.getElementById('save-rule-btn').addEventListener('click', async () => {
+  try {
+    const priority = parseInt(document.getElementById('rule-priority').value, 10);
+    const rule = {
+      id: editingRuleId || Date.now().toString(),
+      hostGlob: document.getElementById('rule-host-glob').value.trim(),
+      pathRegex: document.getElementById('rule-path-regex').value.trim(),
+      titleRegex: document.getElementById('rule-title-regex').value.trim(),
+      query: document.getElementById('rule-query').value.trim(),
+      category: document.getElementById('rule-category').value,
+      priority: isNaN(priority) ? DEFAULT_RULE_PRIORITY : priority,
+      enabled: true
+    };
+
+    const categories = await getCategories();
+    const validationError = validateRule(rule, categories.map(c => c.id));
+    if (validationError) {
+      showNotification(validationError, 'warning');
+      return;
+    }
+
+    const rules = await getClassificationRules();
+    const existing = rules.find(r => r.id === rule.id);
+    const updated = existing
+      ? rules.map(r => r.id === rule.id ? { ...rule, enabled: existing.enabled } : r)
+      : [...rules, rule];
+
+    await saveClassificationRules(updated);
+    showNotification(existing ? 'Rule updated' : 'Rule added', 'success');
+    resetRuleForm();
+    await renderClassificationRules();
+  } catch (error) {
+    console.error('[Options] Error saving rule:', error);
+    showNotification(error.message || 'Failed to save rule', 'error');
+  }
+});
+
+document.getElementById('cancel-rule-btn').addEventListener('click', () => {
+  resetRuleForm();
+});
+
+// Category editor
+document.getElementById('add-category-btn').addEventListener('click', () => {
+  const usedColors = new Set(categoryDraft.map(c => c.color));
+  const color = TAB_GROUP_COLORS.find(c => !usedColors.has(c)) || 'grey';
+  const title = 'New Category';
+
+  categoryDraft.push({ id: createCategoryId(title, categoryDraft), title, color });
+  renderCategoryEditor();
+
+  const inputs = document.querySelectorAll('#category-list .category-title-input');
+  const lastInput = inputs[inputs.length - 1];
+  if (lastInput) {
+    lastInput.focus();
+    lastInput.select();
+  }
+});
+
+document.getElementById('save-categories-btn').addEventListener('click', async () => {
+  try {
+    await saveCategories(categoryDraft);
+    await loadCategoryEditor();
+    await renderClassificationRules();
+    await renderLearnedOverrides();
+    showNotification('Categories saved', 'success');
+  } catch (error) {
+    console.error('[Options] Error saving categories:', error);
+    showNotification(error.message || 'Failed to save categories', 'error');
+  }
+});
+
+document.getElementById('reset-categories-btn').addEventListener('click', async () => {
+  if (!confirm('Reset categories to the built-in defaults?')) return;
+
+  try {
+    const defaultIds = new Set(getDefaultCategories().map(c => c.id));
+    const rules = await getClassificationRules();
+    if (rules.some(r => !defaultIds.has(r.category))) {
+      showNotification('Some rules use custom categories. Update them first.', 'warning');
+      return;
+    }
+
+    await resetCategories();
+    await loadCategoryEditor();
+    await renderClassificationRules();
+    await renderLearnedOverrides();
+    showNotification('Categories reset', 'success');
+  } catch (error) {
+    console.error('[Options] Error resetting categories:', error);
+    showNotification('Failed to reset categories', 'error');
+  }
+});
+
+document.getElementById('forget-all-overrides-btn').addEventListener('click', async () => {
+  if (!confirm('Forget every learned correction?')) return;
+
+  try {
+    await chrome.storage.local.remove('learnedOverrides');
+    await renderLearnedOverrides();
+    showNotification('Learned corrections cleared', 'success');
+  } catch (error) {
+    console.error('[Options] Error clearing overrides:', error);
+    showNotification('Failed to clear corrections', 'error');
+  }
+});
+
 // Theme radio buttons - apply immediately on change
 document.querySelectorAll('input[name="theme"]').forEach(radio => {
   radio.addEventListener('change', async () => {
@@ -275,35 +1274,72 @@ document.getElementById('customize-shortcuts-btn').addEventListener('click', ()
 // Export sessions
 document.getElementById('export-sessions-btn').addEventListener('click', async () => {
   try {
-    const { sessions } = await chrome.storage.local.get(['sessions']);
+    const format = document.getElementById('export-format').value;
+    const passphraseInput = document.getElementById('export-passphrase');
+    const confirmInput = document.getElementById('export-passphrase-confirm');
+    const passphrase = passphraseInput.value;
 
-    if (!sessions || sessions.length === 0) {
-      showNotification('No sessions to export', 'warning');
+    if (passphrase && passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH) {
+      showNotification(`Passphrase must be at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters`, 'warning');
+      return;
+    }
+    if (passphrase !== confirmInput.value) {
+      showNotification('Passphrases do not match', 'warning');
       return;
     }
 
-    const dataStr = JSON.stringify(sessions, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
+    let sessions = await listSessions();
+
+    // Only the ticked sessions once the picker has been opened
+    const checkboxes = document.querySelectorAll('#export-session-list input[type="checkbox"]');
+    if (checkboxes.length > 0) {
+      const selectedIds = new Set(Array.from(checkboxes).filter(checkbox => checkbox.checked).map(checkbox => checkbox.value));
+      sessions = sessions.filter(session => selectedIds.has(session.id));
+    }
+
+    if (sessions.length === 0) {
+      showNotification('No sessions to export', 'warning');
+      return;
+    }
 
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `tab-organizer-sessions-${Date.now()}.json`;
-    a.click();
+    let exported = exportSessions(sessions, format);
+    if (passphrase) {
+      exported = {
+        content: await encryptBackup(exported.content, passphrase),
+        filename: `${exported.filename}.encrypted.json`,
+        mimeType: 'application/json'
+      };
+      passphraseInput.value = '';
+      confirmInput.value = '';
+    }
 
-    URL.revokeObjectURL(url);
-    showNotification('Sessions exported successfully', 'success');
+    downloadExport(exported);
+    const encrypted = passphrase ? ' (encrypted)' : '';
+    showNotification(`Exported ${sessions.length} session${sessions.length !== 1 ? 's' : ''} as ${EXPORT_FORMATS[format].label}${encrypted}`, 'success');
   } catch (error) {
     console.error('[Options] Error exporting sessions:', error);
     showNotification('Failed to export sessions', 'error');
   }
 });
 
-// Import sessions with validation
+// Fill the export session picker the first time it is opened
+document.getElementById('export-picker').addEventListener('toggle', async (event) => {
+  if (!event.target.open || document.getElementById('export-session-list').children.length > 0) {
+    return;
+  }
+  try {
+    await renderExportSessionList();
+  } catch (error) {
+    console.error('[Options] Error listing sessions for export:', error);
+    showNotification('Failed to load sessions', 'error');
+  }
+});
+
+// Import sessions: read the file and show a preview; nothing is stored until "Import Selected"
 document.getElementById('import-sessions-btn').addEventListener('click', () => {
   const input = document.createElement('input');
   input.type = 'file';
-  input.accept = 'application/json';
+  input.accept = '.json,.html,.htm,.txt';
 
   input.onchange = async (e) => {
     try {
@@ -320,36 +1356,19 @@ document.getElementById('import-sessions-btn').addEventListener('click', () => {
       }
 
       const text = await file.text();
-      let importedSessions;
-
-      try {
-        importedSessions = JSON.parse(text);
-      } catch (parseError) {
-        showNotification('Invalid JSON file format', 'error');
-        return;
-      }
-
-      if (!validateImportedSessions(importedSessions)) {
-        showNotification('Invalid session data format', 'error');
-        return;
-      }
-
-      // Check if merged size would exceed quota
-      const { sessions } = await chrome.storage.local.get(['sessions']);
-      const existingSessions = sessions || [];
-      const merged = [...existingSessions, ...importedSessions];
+      closeImportPreview();
+      closeImportUnlock();
 
-      const estimatedSize = JSON.stringify(merged).length * 2;
-      if (estimatedSize > 10 * 1024 * 1024) {
-        showNotification('Import would exceed storage limit. Delete some sessions first.', 'error');
+      if (isEncryptedBackup(text)) {
+        pendingEncryptedBackup = text;
+        document.getElementById('import-unlock').hidden = false;
+        document.getElementById('import-passphrase').focus();
         return;
       }
 
-      await chrome.storage.local.set({ sessions: merged });
-      await updateStorageDisplay();
-      showNotification(`Successfully imported ${importedSessions.length} sessions!`, 'success');
+      await previewImportText(text);
     } catch (error) {
-      showNotification('Failed to import sessions. Please check the file format.', 'error');
+      showNotification('Failed to read the import file', 'error');
       console.error('[Options] Import error:', error);
     }
   };
@@ -357,24 +1376,132 @@ document.getElementById('import-sessions-btn').addEventListener('click', () => {
   input.click();
 });
 
+// Store the sessions ticked in the import preview, settling conflicts as chosen
+document.getElementById('import-confirm-btn').addEventListener('click', async () => {
+  try {
+    const checkboxes = document.querySelectorAll('#import-session-list input[type="checkbox"]');
+    const selected = Array.from(checkboxes)
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => pendingImport[Number(checkbox.value)])
+      .filter(entry => entry && entry.session);
+
+    if (selected.length === 0) {
+      showNotification('Select at least one session to import', 'warning');
+      return;
+    }
+
+    const choices = new Map(Array.from(document.querySelectorAll('#import-session-list .import-conflict-choice'))
+      .map(select => [pendingImport[Number(select.dataset.index)], select.value]));
+    const resolved = resolveImportConflicts(
+      selected.map(entry => entry.session),
+      selected.map(entry => entry.conflict),
+      selected.map(entry => choices.get(entry))
+    );
+
+    if (resolved.sessions.length === 0) {
+      closeImportPreview();
+      showNotification('Nothing imported: all selected sessions were skipped', 'warning');
+      return;
+    }
+
+    // Check if the import would exceed the remaining quota
+    const { usage, quota } = await navigator.storage.estimate().catch(() => ({}));
+    const estimatedSize = JSON.stringify(resolved.sessions).length * 2;
+    if (quota && estimatedSize > quota - (usage || 0)) {
+      showNotification('Import would exceed storage limit. Delete some sessions first.', 'error');
+      return;
+    }
+
+    await replaceSessions(resolved.sessions, resolved.replaceIds);
+    closeImportPreview();
+    await updateStorageDisplay();
+
+    // The export picker lists sessions; refill it now if open, otherwise the next time it opens
+    if (document.getElementById('export-picker').open) {
+      await renderExportSessionList();
+    } else {
+      document.getElementById('export-session-list').replaceChildren();
+    }
+
+    const count = resolved.sessions.length;
+    const replaced = resolved.replaceIds.length > 0 ? `, ${resolved.replaceIds.length} replaced` : '';
+    const skipped = resolved.skipped > 0 ? `, ${resolved.skipped} skipped` : '';
+    showNotification(`Successfully imported ${count} session${count !== 1 ? 's' : ''}${replaced}${skipped}!`, 'success');
+  } catch (error) {
+    showNotification('Failed to import sessions', 'error');
+    console.error('[Options] Import error:', error);
+  }
+});
+
+document.getElementById('import-cancel-btn').addEventListener('click', closeImportPreview);
+
+/**
+ * Decrypt the pending passphrase-protected backup, then preview it like any other file
+ * @returns {Promise<void>}
+ */
+async function unlockImportBackup() {
+  if (!pendingEncryptedBackup) {
+    return;
+  }
+
+  const button = document.getElementById('import-unlock-btn');
+  button.disabled = true;
+  try {
+    const text = await decryptBackup(pendingEncryptedBackup, document.getElementById('import-passphrase').value);
+    closeImportUnlock();
+    await previewImportText(text);
+  } catch (error) {
+    console.error('[Options] Error unlocking backup:', error);
+    showNotification(error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+document.getElementById('import-unlock-btn').addEventListener('click', unlockImportBackup);
+document.getElementById('import-passphrase').addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') {
+    unlockImportBackup();
+  }
+});
+document.getElementById('import-unlock-cancel-btn').addEventListener('click', closeImportUnlock);
+
+// Write a backup right away (uses the saved folder and retention)
+document.getElementById('backup-now-btn').addEventListener('click', async () => {
+  const button = document.getElementById('backup-now-btn');
+  button.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'runBackup' });
+    if (!response || !response.success) {
+      showNotification(`Backup failed: ${(response && response.error) || 'no response'}`, 'error');
+    } else if (response.outcome === 'skipped') {
+      showNotification('No sessions to back up', 'warning');
+    } else {
+      showNotification(`Backup saved to Downloads/${response.filename}`, 'success');
+    }
+  } catch (error) {
+    console.error('[Options] Error running backup:', error);
+    showNotification('Backup failed', 'error');
+  } finally {
+    button.disabled = false;
+  }
+});
+
 // Clear old sessions
 document.getElementById('clear-old-sessions-btn').addEventListener('click', async () => {
-  if (!confirm('Delete recovery sessions older than 7 days?')) return;
+  if (!confirm('Delete recovery sessions older than 7 days? Starred sessions are kept.')) return;
 
   try {
-    const { sessions } = await chrome.storage.local.get(['sessions']);
+    const recoverySessions = await listSessions('recovery');
     const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
 
-    const filtered = (sessions || []).filter(s => {
-      if (s.name && s.name.startsWith('Recovery (') && s.timestamp < sevenDaysAgo) {
-        return false;
-      }
-      return true;
-    });
+    const toDelete = recoverySessions
+      .filter(s => s.timestamp < sevenDaysAgo && !s.starred)
+      .map(s => s.id);
 
-    const removed = (sessions || []).length - filtered.length;
+    const removed = toDelete.length;
 
-    await chrome.storage.local.set({ sessions: filtered });
+    await deleteSessions(toDelete);
     await updateStorageDisplay();
     showNotification(`Removed ${removed} old recovery sessions`, 'success');
   } catch (error) {
@@ -383,6 +1510,11 @@ document.getElementById('clear-old-sessions-btn').addEventListener('click', asyn
   }
 });
 
+// Browse sessions (search and filter by star, folder or tag)
+document.getElementById('browse-sessions-btn').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('sessions/sessions.html') });
+});
+
 // Give feedback
 document.getElementById('give-feedback-btn').addEventListener('click', () => {
   chrome.tabs.create({
@@ -0,0 +1,62 @@
+/**
+ * Placeholder Page Script
+ * Shows a lazily restored tab's title and favicon, and loads the real page once the tab is opened
+ */
+
+const params = new URLSearchParams(location.search);
+const targetUrl = params.get('url') || '';
+const targetTitle = params.get('title') || targetUrl;
+
+/**
+ * Check whether the placeholder may navigate to a URL
+ * Only web and file pages are loaded, so a crafted placeholder link cannot run script URLs.
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL can be loaded
+ */
+function isLoadableUrl(url) {
+  try {
+    return ['http:', 'https:', 'file:', 'ftp:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Replace the placeholder with the real page (keeps the placeholder out of the tab's history)
+ */
+function loadPage() {
+  if (isLoadableUrl(targetUrl)) {
+    location.replace(targetUrl);
+  }
+}
+
+document.title = targetTitle;
+document.getElementById('page-title').textContent = targetTitle;
+document.getElementById('page-url').textContent = targetUrl;
+
+if (isLoadableUrl(targetUrl)) {
+  // Chrome's favicon cache, so the tab strip shows the site's icon before the page loads
+  const faviconUrl = new URL(chrome.runtime.getURL('/_favicon/'));
+  faviconUrl.searchParams.set('pageUrl', targetUrl);
+  faviconUrl.searchParams.set('size', '32');
+
+  const favicon = document.createElement('link');
+  favicon.rel = 'icon';
+  favicon.href = faviconUrl.toString();
+  document.head.appendChild(favicon);
+
+  document.getElementById('load-btn').addEventListener('click', loadPage);
+
+  // Background tabs are hidden; the page loads the first time its tab is shown
+  if (document.visibilityState === 'visible') {
+    loadPage();
+  } else {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        loadPage();
+      }
+    });
+  }
+} else {
+  document.getElementById('load-btn').hidden = true;
+}
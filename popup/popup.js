@@ -4,6 +4,30 @@
  * @fileoverview Main popup script with XSS-safe DOM manipulation
  */
 
+import { getDuplicateUrlOptions, findDuplicateClusters, describeClosedTabs, closeDuplicateTabs } from '../utils/duplicateFinder.js';
+import { unwrapPlaceholderTab } from '../utils/placeholderTabs.js';
+import { EXPORT_FORMATS, exportSessions, downloadExport } from '../utils/sessionExport.js';
+import { saveCurrentSession, getAllSessions, selectSessionTabs, restoreSession, deleteSession } from '../utils/sessionManager.js';
+import { MAX_SESSION_LABEL_LENGTH } from '../utils/sessionSchema.js';
+import { collectSessionLabels, searchSessions } from '../utils/sessionSearch.js';
+import { getSessionKind, getSession, updateSessionMetadata } from '../utils/sessionStore.js';
+import { loadClassifierContext, scoreTab, explainClassification, groupTabsByType } from '../utils/tabClassifier.js';
+import {
+  loadDomainGroupingOptions,
+  loadGroupingMode,
+  getLockedGroupIds,
+  setGroupLocked,
+  groupTabsByDomain,
+  buildDomainGroupPlan,
+  buildTypeGroupPlan,
+  normalizeGroupTitle,
+  getMergeTargetGroups,
+  applyGroupPlan,
+  ungroupAllTabs,
+  createEmptyGroup
+} from '../utils/tabManager.js';
+import { saveUndoState, undoLastAction } from '../utils/undoManager.js';
+
 // Track event listeners for cleanup
 const eventListenerCleanup = [];
 
@@ -202,6 +226,7 @@ async function initPopup() {
     await initTabScrolling();
     await updateTabCount();
     await loadActiveGroups();
+    await loadDuplicateTabs();
     await loadSavedSessions();
 
     // Listen for theme changes
@@ -247,7 +272,8 @@ function getGroupColorHex(color) {
     'green': '#10B981',
     'pink': '#EC4899',
     'purple': '#8B5CF6',
-    'cyan': '#06B6D4'
+    'cyan': '#06B6D4',
+    'orange': '#F97316'
   };
   return colorMap[color] || '#9CA3AF';
 }
@@ -256,9 +282,11 @@ function getGroupColorHex(color) {
  * Create a group item element safely using DOM methods
  * @param {Object} group - Group object
  * @param {number} tabCount - Number of tabs in group
+ * @param {boolean} [locked=false] - Whether the group is locked against regrouping
+ * @param {Function} [onToggleLock] - Called with the new locked state when the lock button is clicked
  * @returns {HTMLElement} Group item element
  */
-function createGroupItemElement(group, tabCount) {
+function createGroupItemElement(group, tabCount, locked = false, onToggleLock = null) {
   const colorHex = getGroupColorHex(group.color);
 
   const groupItem = document.createElement('div');
@@ -288,9 +316,107 @@ function createGroupItemElement(group, tabCount) {
   groupItem.appendChild(leftDiv);
   groupItem.appendChild(countDiv);
 
+  if (onToggleLock) {
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'group-item-actions';
+
+    const lockBtn = document.createElement('button');
+    lockBtn.className = 'group-action-btn lock-btn' + (locked ? ' active' : '');
+    lockBtn.textContent = locked ? '🔒' : '🔓';
+    lockBtn.title = locked ? 'Unlock group (allow regrouping)' : 'Lock group (keep when regrouping)';
+    lockBtn.addEventListener('click', (event) => {
+      event.stopPropagation();
+      onToggleLock(!locked);
+    });
+
+    actionsDiv.appendChild(lockBtn);
+    groupItem.appendChild(actionsDiv);
+  }
+
   return groupItem;
 }
 
+/**
+ * Create the "why is this tab here?" explanation for a tab
+ * @param {chrome.tabs.Tab} tab - Tab to explain
+ * @param {Object} classifierContext - Classifier context from loadClassifierContext
+ * @returns {HTMLElement} Explanation element
+ */
+function createTabExplanationElement(tab, classifierContext) {
+  const explanation = explainClassification(
+    scoreTab(tab, classifierContext),
+    classifierContext.categories,
+    classifierContext.rules
+  );
+
+  const container = document.createElement('div');
+  container.className = 'tab-explanation';
+
+  const heading = document.createElement('div');
+  heading.className = 'tab-explanation-heading';
+  heading.textContent = `Classified as ${explanation.title} · ${explanation.confidence} confidence`;
+  container.appendChild(heading);
+
+  const list = document.createElement('ul');
+  list.className = 'tab-explanation-reasons';
+  for (const reason of explanation.reasons) {
+    const li = document.createElement('li');
+    li.textContent = reason;
+    list.appendChild(li);
+  }
+  container.appendChild(list);
+
+  return container;
+}
+
+/**
+ * Create the expandable tab list shown under a group item
+ * @param {Array<chrome.tabs.Tab>} tabs - Tabs in the group
+ * @param {Object} classifierContext - Classifier context from loadClassifierContext
+ * @returns {HTMLElement} Tab list element (collapsed by default)
+ */
+function createGroupTabListElement(tabs, classifierContext) {
+  const list = document.createElement('div');
+  list.className = 'group-tab-list';
+
+  for (const tab of tabs) {
+    const row = document.createElement('div');
+    row.className = 'group-tab-row';
+
+    const header = document.createElement('div');
+    header.className = 'group-tab-header';
+
+    const title = document.createElement('span');
+    title.className = 'group-tab-title';
+    title.textContent = sanitizeText(tab.title || tab.url || 'Untitled');
+    title.title = tab.url || '';
+
+    const whyBtn = document.createElement('button');
+    whyBtn.className = 'why-btn';
+    whyBtn.textContent = '?';
+    whyBtn.title = 'Why is this tab here?';
+
+    let explanationEl = null;
+    whyBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (explanationEl) {
+        explanationEl.remove();
+        explanationEl = null;
+        return;
+      }
+      explanationEl = createTabExplanationElement(tab, classifierContext);
+      row.appendChild(explanationEl);
+    });
+
+    header.appendChild(title);
+    header.appendChild(whyBtn);
+    row.appendChild(header);
+    list.appendChild(row);
+  }
+
+  return list;
+}
+
 /**
  * Load and display active groups
  * @returns {Promise<void>}
@@ -345,18 +471,38 @@ async function loadActiveGroups() {
       return;
     }
 
-    // Count tabs per group
+    // Collect tabs per group
     const groupTabs = {};
     for (const group of groups) {
-      const tabs = await chrome.tabs.query({ groupId: group.id });
-      groupTabs[group.id] = tabs.length;
+      groupTabs[group.id] = await chrome.tabs.query({ groupId: group.id });
     }
 
-    // Create group items using safe DOM methods
+    const classifierContext = await loadClassifierContext();
+    const lockedGroupIds = await getLockedGroupIds();
+
+    // Create group items using safe DOM methods; clicking a group lists its tabs
     for (const group of groups) {
-      const tabCount = groupTabs[group.id] || 0;
-      const groupItem = createGroupItemElement(group, tabCount);
+      const tabs = groupTabs[group.id] || [];
+      const groupItem = createGroupItemElement(group, tabs.length, lockedGroupIds.includes(group.id), async (locked) => {
+        try {
+          await setGroupLocked(group.id, locked);
+          showToast(locked ? 'Group locked' : 'Group unlocked', 'success');
+          await loadActiveGroups();
+        } catch (error) {
+          console.error('[Popup] Error updating group lock:', error);
+          showToast('Failed to update group lock', 'error');
+        }
+      });
+      const tabList = createGroupTabListElement(tabs, classifierContext);
+
+      groupItem.classList.add('expandable');
+      groupItem.addEventListener('click', () => {
+        const expanded = tabList.classList.toggle('expanded');
+        groupItem.classList.toggle('expanded', expanded);
+      });
+
       groupsContainer.appendChild(groupItem);
+      groupsContainer.appendChild(tabList);
     }
   } catch (error) {
     console.error('[Popup] Error loading groups:', error);
@@ -370,12 +516,136 @@ async function loadActiveGroups() {
 }
 
 /**
- * Show rename modal for session
- * @param {string} sessionId - Session ID
- * @param {string} currentName - Current session name
- * @returns {Promise<string|null>} New name or null if cancelled
+ * Create a duplicate cluster element safely using DOM methods
+ * @param {Object} cluster - Cluster from findDuplicateClusters
+ * @param {Function} onClose - Called when the cluster's duplicates should be closed
+ * @returns {HTMLElement} Cluster element
  */
-function showRenameModal(sessionId, currentName) {
+function createDuplicateClusterElement(cluster, onClose) {
+  const item = document.createElement('div');
+  item.className = 'duplicate-item';
+
+  const infoDiv = document.createElement('div');
+  infoDiv.className = 'duplicate-item-info';
+
+  const titleDiv = document.createElement('div');
+  titleDiv.className = 'duplicate-item-title';
+  titleDiv.textContent = cluster.keep.title || cluster.keep.url;
+  titleDiv.title = cluster.keep.url || '';
+
+  const countDiv = document.createElement('div');
+  countDiv.className = 'duplicate-item-count';
+  const copies = cluster.duplicates.length + 1;
+  countDiv.textContent = `${copies} copies · keeps the most recently active`;
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'section-action-btn';
+  closeBtn.textContent = 'Close duplicates';
+  closeBtn.addEventListener('click', onClose);
+
+  infoDiv.appendChild(titleDiv);
+  infoDiv.appendChild(countDiv);
+  item.appendChild(infoDiv);
+  item.appendChild(closeBtn);
+
+  return item;
+}
+
+/**
+ * Close duplicate tabs for the given clusters, saving an undo entry first
+ * @param {Array<Object>} clusters - Clusters from findDuplicateClusters
+ * @returns {Promise<void>}
+ */
+async function closeDuplicateClusters(clusters) {
+  try {
+    const duplicates = clusters.flatMap(cluster => cluster.duplicates);
+    await saveUndoState('close-duplicates', describeClosedTabs(duplicates));
+
+    const closed = await closeDuplicateTabs(clusters);
+    showToast(`Closed ${closed} duplicate tab${closed !== 1 ? 's' : ''}`, 'success');
+    document.getElementById('undoDuplicatesBtn').hidden = false;
+  } catch (error) {
+    console.error('[Popup] Error closing duplicates:', error);
+    showToast('Failed to close duplicates. Please try again.', 'error');
+  } finally {
+    await loadDuplicateTabs();
+    await loadActiveGroups();
+    await updateTabCount();
+  }
+}
+
+/**
+ * Load and display duplicate tab clusters across all windows
+ * @returns {Promise<void>}
+ */
+async function loadDuplicateTabs() {
+  const container = document.getElementById('duplicateClusters');
+  const closeAllBtn = document.getElementById('closeAllDuplicatesBtn');
+
+  try {
+    const tabs = await chrome.tabs.query({});
+    const clusters = findDuplicateClusters(tabs, await getDuplicateUrlOptions());
+
+    container.innerHTML = '';
+    closeAllBtn.hidden = clusters.length === 0;
+    closeAllBtn.onclick = () => closeDuplicateClusters(clusters);
+
+    if (clusters.length === 0) {
+      const emptyState = document.createElement('div');
+      emptyState.className = 'empty-state';
+      emptyState.textContent = 'No duplicate tabs.';
+      container.appendChild(emptyState);
+      return;
+    }
+
+    for (const cluster of clusters) {
+      container.appendChild(createDuplicateClusterElement(cluster, () => closeDuplicateClusters([cluster])));
+    }
+  } catch (error) {
+    console.error('[Popup] Error loading duplicates:', error);
+    container.innerHTML = '';
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'empty-state';
+    errorDiv.textContent = 'Error loading duplicates. Please refresh.';
+    container.appendChild(errorDiv);
+  }
+}
+
+/**
+ * Create a labelled text input for a modal
+ * @param {string} label - Field label
+ * @param {string} value - Initial value
+ * @param {string} placeholder - Placeholder text
+ * @param {number} maxLength - Maximum length
+ * @returns {{field: HTMLElement, input: HTMLInputElement}} Label wrapper and its input
+ */
+function createModalField(label, value, placeholder, maxLength) {
+  const field = document.createElement('label');
+  field.className = 'modal-field';
+
+  const labelSpan = document.createElement('span');
+  labelSpan.className = 'modal-field-label';
+  labelSpan.textContent = label;
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'modal-input';
+  input.value = value;
+  input.maxLength = maxLength;
+  input.placeholder = placeholder;
+
+  field.appendChild(labelSpan);
+  field.appendChild(input);
+  return { field, input };
+}
+
+/**
+ * Show edit modal for a session's name, folder and tags
+ * @param {Object} session - Session being edited
+ * @param {string[]} knownFolders - Existing folder names, offered as suggestions
+ * @returns {Promise<{name: string, folder: string, tags: string}|null>} Entered values (tags comma-separated) or null if cancelled
+ */
+function showEditSessionModal(session, knownFolders) {
   return new Promise((resolve) => {
     // Create modal overlay
     const overlay = document.createElement('div');
@@ -386,14 +656,21 @@ function showRenameModal(sessionId, currentName) {
 
     const title = document.createElement('h3');
     title.className = 'modal-title';
-    title.textContent = 'Rename Session';
-
-    const input = document.createElement('input');
-    input.type = 'text';
-    input.className = 'modal-input';
-    input.value = currentName;
-    input.maxLength = 100;
-    input.placeholder = 'Enter session name';
+    title.textContent = 'Edit Session';
+
+    const nameField = createModalField('Name', session.name || '', 'Enter session name', 100);
+    const folderField = createModalField('Folder', session.folder || '', 'No folder', MAX_SESSION_LABEL_LENGTH);
+    const tagsField = createModalField('Tags', (session.tags || []).join(', '), 'Comma-separated, e.g. work, research', 400);
+
+    // Suggest folders already in use so sessions end up in the same one
+    const folderList = document.createElement('datalist');
+    folderList.id = 'session-folder-options';
+    for (const folder of knownFolders) {
+      const option = document.createElement('option');
+      option.value = folder;
+      folderList.appendChild(option);
+    }
+    folderField.input.setAttribute('list', folderList.id);
 
     const buttonContainer = document.createElement('div');
     buttonContainer.className = 'modal-buttons';
@@ -410,22 +687,26 @@ function showRenameModal(sessionId, currentName) {
       overlay.remove();
     };
 
+    const save = () => {
+      const values = {
+        name: nameField.input.value.trim(),
+        folder: folderField.input.value,
+        tags: tagsField.input.value
+      };
+      cleanup();
+      resolve(values);
+    };
+
     cancelBtn.addEventListener('click', () => {
       cleanup();
       resolve(null);
     });
 
-    saveBtn.addEventListener('click', () => {
-      const newName = input.value.trim();
-      cleanup();
-      resolve(newName || null);
-    });
+    saveBtn.addEventListener('click', save);
 
-    input.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
-        const newName = input.value.trim();
-        cleanup();
-        resolve(newName || null);
+    modal.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+        save();
       } else if (e.key === 'Escape') {
         cleanup();
         resolve(null);
@@ -442,15 +723,18 @@ function showRenameModal(sessionId, currentName) {
     buttonContainer.appendChild(cancelBtn);
     buttonContainer.appendChild(saveBtn);
     modal.appendChild(title);
-    modal.appendChild(input);
+    modal.appendChild(nameField.field);
+    modal.appendChild(folderField.field);
+    modal.appendChild(tagsField.field);
+    modal.appendChild(folderList);
     modal.appendChild(buttonContainer);
     overlay.appendChild(modal);
     document.body.appendChild(overlay);
 
     // Focus input and select text
     setTimeout(() => {
-      input.focus();
-      input.select();
+      nameField.input.focus();
+      nameField.input.select();
     }, 10);
   });
 }
@@ -563,7 +847,7 @@ function createSessionItemElement(session, onAction) {
   const sessionAge = now - session.timestamp;
   const oneHour = 60 * 60 * 1000;
   const isRecent = sessionAge < oneHour;
-  const isRecovery = session.name && session.name.toLowerCase().includes('recovery');
+  const isRecovery = getSessionKind(session) === 'recovery';
 
   let statusClass = '';
   if (isRecovery) {
@@ -598,6 +882,17 @@ function createSessionItemElement(session, onAction) {
   contentDiv.appendChild(titleDiv);
   contentDiv.appendChild(timeDiv);
 
+  const labels = [
+    ...(session.folder ? [`📁 ${session.folder}`] : []),
+    ...(session.tags || []).map(tag => `#${tag}`)
+  ];
+  if (labels.length > 0) {
+    const labelsDiv = document.createElement('div');
+    labelsDiv.className = 'session-item-labels';
+    labelsDiv.textContent = labels.join('  ');
+    contentDiv.appendChild(labelsDiv);
+  }
+
   const actionsDiv = document.createElement('div');
   actionsDiv.className = 'session-item-actions';
 
@@ -611,14 +906,34 @@ function createSessionItemElement(session, onAction) {
     onAction('restore', session.id, restoreBtn);
   });
 
-  // Rename button
+  // Restore here button
+  const restoreHereBtn = document.createElement('button');
+  restoreHereBtn.className = 'session-action-btn';
+  restoreHereBtn.title = 'Restore into this window';
+  restoreHereBtn.textContent = '⇲';
+  restoreHereBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onAction('restore-here', session.id, restoreHereBtn);
+  });
+
+  // Star button (starred sessions are never cleaned up automatically)
+  const starBtn = document.createElement('button');
+  starBtn.className = `session-action-btn star-btn${session.starred ? ' starred' : ''}`;
+  starBtn.title = session.starred ? 'Unstar' : 'Star (keep forever)';
+  starBtn.textContent = session.starred ? '★' : '☆';
+  starBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onAction('star', session.id, starBtn);
+  });
+
+  // Edit button (name, folder and tags)
   const renameBtn = document.createElement('button');
   renameBtn.className = 'session-action-btn';
-  renameBtn.title = 'Rename';
+  renameBtn.title = 'Edit name, folder and tags';
   renameBtn.textContent = '✎';
   renameBtn.addEventListener('click', (e) => {
     e.stopPropagation();
-    onAction('rename', session.id, renameBtn);
+    onAction('edit', session.id, renameBtn);
   });
 
   // Delete button
@@ -632,15 +947,307 @@ function createSessionItemElement(session, onAction) {
   });
 
   actionsDiv.appendChild(restoreBtn);
+  actionsDiv.appendChild(restoreHereBtn);
+  actionsDiv.appendChild(starBtn);
   actionsDiv.appendChild(renameBtn);
   actionsDiv.appendChild(deleteBtn);
 
   sessionItem.appendChild(contentDiv);
   sessionItem.appendChild(actionsDiv);
 
+  // Clicking the item itself opens the detail view for partial restores
+  sessionItem.title = 'Show windows, groups and tabs';
+  sessionItem.addEventListener('click', () => {
+    onAction('details', session.id, sessionItem);
+  });
+
   return sessionItem;
 }
 
+/**
+ * Describe the result of restoring into this window
+ * @param {{opened: number, skipped: number}} result - Result from restoreSession
+ * @returns {{message: string, type: string}} Toast message and type
+ */
+function describeRestoreHereResult(result) {
+  if (result.opened === 0) {
+    return { message: 'All of these tabs are already open', type: 'info' };
+  }
+
+  const skippedText = result.skipped > 0 ? `, skipped ${result.skipped} already open` : '';
+  return {
+    message: `Added ${result.opened} tab${result.opened !== 1 ? 's' : ''} to this window${skippedText}. Ctrl+Shift+Z to undo`,
+    type: 'success'
+  };
+}
+
+/**
+ * Restore part of a session and report the result
+ * @param {Object} session - Session being restored
+ * @param {Array<{windowIndex: number, tabIndex: number}>} positions - Tabs to restore
+ * @param {string} target - 'new-window' or 'current-window' (see restoreSession)
+ * @param {HTMLElement} btn - Button that started the restore
+ * @returns {Promise<void>}
+ */
+async function restoreSessionSelection(session, positions, target, btn) {
+  if (positions.length === 0) {
+    showToast('Select at least one tab to restore', 'info');
+    return;
+  }
+
+  btn.disabled = true;
+  try {
+    const result = await restoreSession(session.id, { tabs: positions, target });
+    if (target === 'current-window') {
+      const { message, type } = describeRestoreHereResult(result);
+      showToast(message, type);
+    } else {
+      showToast(`Opened ${result.opened} tab${result.opened !== 1 ? 's' : ''} in a new window`, 'success');
+    }
+  } catch (error) {
+    console.error('[Popup] Failed to restore selection:', error);
+    showToast('Failed to restore tabs. Please try again.', 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Create a small "open" button for a row in the session detail view
+ * @param {string} title - Tooltip
+ * @param {Function} onClick - Click handler, given the button
+ * @returns {HTMLElement} Button element
+ */
+function createSessionDetailOpenButton(title, onClick) {
+  const openBtn = document.createElement('button');
+  openBtn.className = 'session-detail-open-btn';
+  openBtn.title = title;
+  openBtn.textContent = '↗';
+  openBtn.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    onClick(openBtn);
+  });
+  return openBtn;
+}
+
+/**
+ * Create the expandable detail view of a session: windows, groups and tabs with checkboxes
+ * @param {Object} session - Full session object
+ * @returns {HTMLElement} Detail element
+ */
+function createSessionDetailElement(session) {
+  const details = document.createElement('div');
+  details.className = 'session-details';
+
+  const tabCheckboxes = [];
+  const parents = [];
+
+  // Window and group checkboxes mirror the tabs under them
+  const updateParents = () => {
+    for (const { checkbox, children } of parents) {
+      const checkedCount = children.filter(child => child.checked).length;
+      checkbox.checked = checkedCount === children.length;
+      checkbox.indeterminate = checkedCount > 0 && checkedCount < children.length;
+    }
+  };
+
+  const readPositions = checkboxes => checkboxes
+    .filter(checkbox => checkbox.checked)
+    .map(checkbox => ({
+      windowIndex: parseInt(checkbox.dataset.windowIndex, 10),
+      tabIndex: parseInt(checkbox.dataset.tabIndex, 10)
+    }));
+
+  const createParentCheckbox = (children) => {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.addEventListener('change', () => {
+      for (const child of children) {
+        child.checked = checkbox.checked;
+      }
+      updateParents();
+    });
+    parents.push({ checkbox, children });
+    return checkbox;
+  };
+
+  const groupsById = new Map((session.groups || []).map(group => [group.id, group]));
+
+  session.windows.forEach((windowData, windowIndex) => {
+    const windowEl = document.createElement('div');
+    windowEl.className = 'session-detail-window';
+
+    const windowCheckboxes = [];
+    const windowHeader = document.createElement('label');
+    windowHeader.className = 'session-detail-row session-detail-window-header';
+
+    const windowTitle = document.createElement('span');
+    windowTitle.className = 'session-detail-title';
+    windowTitle.textContent = `Window ${windowIndex + 1} · ${windowData.tabs.length} tab${windowData.tabs.length !== 1 ? 's' : ''}`;
+
+    windowHeader.appendChild(createParentCheckbox(windowCheckboxes));
+    windowHeader.appendChild(windowTitle);
+    windowEl.appendChild(windowHeader);
+
+    let groupList = null;
+    let groupId = null;
+    let groupCheckboxes = null;
+    let groupPositions = null;
+
+    windowData.tabs.forEach((tab, tabIndex) => {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = true;
+      checkbox.dataset.windowIndex = windowIndex;
+      checkbox.dataset.tabIndex = tabIndex;
+      checkbox.addEventListener('change', updateParents);
+      tabCheckboxes.push(checkbox);
+      windowCheckboxes.push(checkbox);
+
+      const tabRow = document.createElement('label');
+      tabRow.className = 'session-detail-row session-detail-tab';
+      tabRow.title = tab.url;
+
+      const tabTitle = document.createElement('span');
+      tabTitle.className = 'session-detail-title';
+      tabTitle.textContent = (tab.pinned ? '📌 ' : '') + (tab.title || tab.url);
+
+      tabRow.appendChild(checkbox);
+      tabRow.appendChild(tabTitle);
+      tabRow.appendChild(createSessionDetailOpenButton('Open this tab here', (btn) => {
+        restoreSessionSelection(session, [{ windowIndex, tabIndex }], 'current-window', btn);
+      }));
+
+      const group = tab.groupId !== null ? groupsById.get(tab.groupId) : null;
+      if (!group) {
+        groupList = null;
+        groupId = null;
+        windowEl.appendChild(tabRow);
+        return;
+      }
+
+      // Grouped tabs are contiguous, so a new group id starts a new group block
+      if (tab.groupId !== groupId) {
+        groupId = tab.groupId;
+        groupCheckboxes = [];
+        groupPositions = [];
+
+        const positions = groupPositions;
+        const groupEl = document.createElement('div');
+        groupEl.className = 'session-detail-group';
+
+        const groupHeader = document.createElement('label');
+        groupHeader.className = 'session-detail-row session-detail-group-header';
+
+        const colorIndicator = document.createElement('span');
+        colorIndicator.className = 'session-detail-group-color';
+        colorIndicator.style.backgroundColor = getGroupColorHex(group.color);
+
+        const groupTitle = document.createElement('span');
+        groupTitle.className = 'session-detail-title';
+        groupTitle.textContent = group.title || 'Untitled Group';
+
+        groupHeader.appendChild(createParentCheckbox(groupCheckboxes));
+        groupHeader.appendChild(colorIndicator);
+        groupHeader.appendChild(groupTitle);
+        groupHeader.appendChild(createSessionDetailOpenButton('Open this group here', (btn) => {
+          restoreSessionSelection(session, positions, 'current-window', btn);
+        }));
+
+        groupList = document.createElement('div');
+        groupList.className = 'session-detail-group-tabs';
+
+        groupEl.appendChild(groupHeader);
+        groupEl.appendChild(groupList);
+        windowEl.appendChild(groupEl);
+      }
+
+      groupCheckboxes.push(checkbox);
+      groupPositions.push({ windowIndex, tabIndex });
+      groupList.appendChild(tabRow);
+    });
+
+    details.appendChild(windowEl);
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'session-detail-actions';
+
+  const newWindowBtn = document.createElement('button');
+  newWindowBtn.className = 'section-action-btn';
+  newWindowBtn.textContent = 'Restore in new window';
+  newWindowBtn.addEventListener('click', () => {
+    restoreSessionSelection(session, readPositions(tabCheckboxes), 'new-window', newWindowBtn);
+  });
+
+  const currentWindowBtn = document.createElement('button');
+  currentWindowBtn.className = 'section-action-btn';
+  currentWindowBtn.textContent = 'Add to this window';
+  currentWindowBtn.addEventListener('click', () => {
+    restoreSessionSelection(session, readPositions(tabCheckboxes), 'current-window', currentWindowBtn);
+  });
+
+  actions.appendChild(newWindowBtn);
+  actions.appendChild(currentWindowBtn);
+  details.appendChild(actions);
+
+  // Export the ticked tabs of this session
+  const exportRow = document.createElement('div');
+  exportRow.className = 'session-detail-actions';
+
+  const formatSelect = document.createElement('select');
+  formatSelect.className = 'session-filter-select';
+  formatSelect.title = 'Export format';
+  for (const [format, { label }] of Object.entries(EXPORT_FORMATS)) {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = label;
+    formatSelect.appendChild(option);
+  }
+
+  const exportBtn = document.createElement('button');
+  exportBtn.className = 'section-action-btn';
+  exportBtn.textContent = 'Export';
+  exportBtn.addEventListener('click', () => {
+    const positions = readPositions(tabCheckboxes);
+    if (positions.length === 0) {
+      showToast('Select at least one tab to export', 'info');
+      return;
+    }
+    try {
+      downloadExport(exportSessions([selectSessionTabs(session, positions)], formatSelect.value));
+    } catch (error) {
+      console.error('[Popup] Failed to export session:', error);
+      showToast('Failed to export session. Please try again.', 'error');
+    }
+  });
+
+  exportRow.appendChild(formatSelect);
+  exportRow.appendChild(exportBtn);
+  details.appendChild(exportRow);
+
+  return details;
+}
+
+/**
+ * Show or hide the detail view under a session item
+ * @param {HTMLElement} sessionItem - Session item element
+ * @param {Object} session - Full session object
+ */
+function toggleSessionDetails(sessionItem, session) {
+  const next = sessionItem.nextElementSibling;
+  if (next && next.classList.contains('session-details')) {
+    next.remove();
+    sessionItem.classList.remove('expanded');
+    return;
+  }
+
+  sessionItem.after(createSessionDetailElement(session));
+  sessionItem.classList.add('expanded');
+}
+
 /**
  * Handle session action
  * @param {string} action - Action type
@@ -648,15 +1255,16 @@ function createSessionItemElement(session, onAction) {
  * @param {HTMLElement} btn - Button element
  */
 async function handleSessionAction(action, sessionId, btn) {
-  const sessions = await getAllSessions();
-  const session = sessions.find(s => s.id === sessionId);
+  const session = await getSession(sessionId);
 
   if (!session) {
     showToast('Session not found', 'error');
     return;
   }
 
-  if (action === 'restore') {
+  if (action === 'details') {
+    toggleSessionDetails(btn, session);
+  } else if (action === 'restore') {
     btn.disabled = true;
     const originalText = btn.textContent;
     btn.textContent = '⟳';
@@ -690,22 +1298,46 @@ async function handleSessionAction(action, sessionId, btn) {
       btn.style.opacity = '1';
       btn.classList.remove('loading');
     }
-  } else if (action === 'rename') {
-    const newName = await showRenameModal(sessionId, session.name);
-    if (newName && newName !== session.name) {
+  } else if (action === 'restore-here') {
+    btn.disabled = true;
+    try {
+      const { message, type } = describeRestoreHereResult(await restoreSession(sessionId, { target: 'current-window' }));
+      showToast(message, type);
+    } catch (error) {
+      console.error('[Popup] Failed to restore session here:', error);
+      showToast('Failed to restore session. Please try again.', 'error');
+    } finally {
+      btn.disabled = false;
+    }
+  } else if (action === 'star') {
+    btn.disabled = true;
+    try {
+      await updateSessionMetadata(sessionId, { starred: !session.starred });
+      await loadSavedSessions();
+      showToast(session.starred ? 'Session unstarred' : 'Session starred', 'success');
+    } catch (error) {
+      console.error('[Popup] Error starring session:', error);
+      showToast('Failed to update session. Please try again.', 'error');
+      btn.disabled = false;
+    }
+  } else if (action === 'edit') {
+    const { folders } = collectSessionLabels(await getAllSessions());
+    const values = await showEditSessionModal(session, folders);
+    if (values) {
       try {
-        const updatedSessions = sessions.map(s =>
-          s.id === sessionId ? { ...s, name: newName } : s
-        );
-        await chrome.storage.local.set({ sessions: updatedSessions });
+        await updateSessionMetadata(sessionId, {
+          name: values.name || session.name,
+          folder: values.folder,
+          tags: values.tags
+        });
         await loadSavedSessions();
-        showToast('Session renamed', 'success');
+        showToast('Session updated', 'success');
       } catch (error) {
-        console.error('[Popup] Error renaming session:', error);
+        console.error('[Popup] Error updating session:', error);
         if (error.message && error.message.includes('QUOTA')) {
           showToast('Could not save session. Storage might be full.', 'error');
         } else {
-          showToast('Failed to rename session. Please try again.', 'error');
+          showToast('Failed to update session. Please try again.', 'error');
         }
       }
     }
@@ -723,6 +1355,40 @@ async function handleSessionAction(action, sessionId, btn) {
   }
 }
 
+/**
+ * Fill the saved sessions filter with the folders and tags in use, keeping the current choice if it still exists
+ * Option values are '' (all), 'starred', 'folder:<name>' or 'tag:<name>'.
+ * @param {Array<Object>} sessions - All saved sessions
+ * @returns {Object} Filters for searchSessions matching the selected option
+ */
+function updateSessionFilter(sessions) {
+  const select = document.getElementById('sessionFilter');
+  const selected = select.value;
+  const { folders, tags } = collectSessionLabels(sessions);
+
+  const createOption = (value, text) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    return option;
+  };
+
+  select.replaceChildren(createOption('', 'All'), createOption('starred', '★ Starred'));
+  for (const folder of folders) {
+    select.appendChild(createOption(`folder:${folder}`, `📁 ${folder}`));
+  }
+  for (const tag of tags) {
+    select.appendChild(createOption(`tag:${tag}`, `#${tag}`));
+  }
+
+  select.value = Array.from(select.options).some(option => option.value === selected) ? selected : '';
+
+  if (select.value === 'starred') return { starred: true };
+  if (select.value.startsWith('folder:')) return { folder: select.value.slice('folder:'.length) };
+  if (select.value.startsWith('tag:')) return { tag: select.value.slice('tag:'.length) };
+  return {};
+}
+
 /**
  * Load and display saved sessions
  * @returns {Promise<void>}
@@ -747,8 +1413,17 @@ async function loadSavedSessions() {
       return;
     }
 
+    const filtered = searchSessions(sessions, updateSessionFilter(sessions)).map(result => result.session);
+    if (filtered.length === 0) {
+      const emptyState = document.createElement('div');
+      emptyState.className = 'empty-state';
+      emptyState.textContent = 'No sessions match this filter.';
+      sessionsContainer.appendChild(emptyState);
+      return;
+    }
+
     // Create session items using safe DOM methods
-    for (const session of sessions) {
+    for (const session of filtered) {
       const sessionItem = createSessionItemElement(session, handleSessionAction);
       sessionsContainer.appendChild(sessionItem);
     }
@@ -763,152 +1438,25 @@ async function loadSavedSessions() {
   }
 }
 
-/**
- * Save undo state before performing an action
- * @param {string} actionType - Type of action being performed
- * @returns {Promise<void>}
- */
-async function saveUndoState(actionType) {
-  try {
-    const result = await chrome.storage.local.get('undoHistory');
-    const history = result.undoHistory || [];
-
-    const windows = await chrome.windows.getAll({ populate: true });
-    const state = { windows: [] };
-
-    for (const window of windows) {
-      const windowState = {
-        id: window.id,
-        tabs: [],
-        groups: []
-      };
-
-      if (window.tabs) {
-        for (const tab of window.tabs) {
-          windowState.tabs.push({
-            id: tab.id,
-            url: tab.url,
-            title: tab.title,
-            groupId: tab.groupId !== chrome.tabs.TAB_ID_NONE ? tab.groupId : null,
-            index: tab.index
-          });
-        }
-
-        const groupIds = new Set();
-        for (const tab of window.tabs) {
-          if (tab.groupId !== chrome.tabs.TAB_ID_NONE) {
-            groupIds.add(tab.groupId);
-          }
-        }
-
-        for (const groupId of groupIds) {
-          try {
-            const group = await chrome.tabGroups.get(groupId);
-            const tabsInGroup = window.tabs.filter(t => t.groupId === groupId);
-            windowState.groups.push({
-              id: groupId,
-              title: group.title,
-              color: group.color,
-              collapsed: group.collapsed,
-              tabIds: tabsInGroup.map(t => t.id)
-            });
-          } catch (error) {
-            console.warn('Error getting group:', error);
-          }
-        }
-      }
-
-      state.windows.push(windowState);
-    }
-
-    history.push({
-      type: actionType,
-      timestamp: Date.now(),
-      previousGroups: state
-    });
-
-    if (history.length > 20) {
-      history.shift();
-    }
-
-    await chrome.storage.local.set({ undoHistory: history });
-  } catch (error) {
-    console.error('Error saving undo state:', error);
-  }
-}
-
 /**
  * Perform undo of last action
  * @returns {Promise<boolean>} True if undo was successful
  */
 async function performUndo() {
   try {
-    const result = await chrome.storage.local.get('undoHistory');
-    const history = result.undoHistory || [];
+    const undone = await undoLastAction();
 
-    if (history.length === 0) {
+    if (!undone) {
       showToast('Nothing to undo', 'info');
       return false;
     }
 
-    const lastState = history.pop();
-    await chrome.storage.local.set({ undoHistory: history });
-
-    for (const windowState of lastState.previousGroups.windows) {
-      const window = await chrome.windows.get(windowState.id).catch(() => null);
-      if (!window) continue;
-
-      const currentTabs = await chrome.tabs.query({ windowId: window.id });
-      for (const tab of currentTabs) {
-        if (tab.groupId !== chrome.tabs.TAB_ID_NONE) {
-          try {
-            await chrome.tabs.ungroup([tab.id]);
-          } catch (error) {
-            console.warn('Error ungrouping tab:', error);
-          }
-        }
-      }
-
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      for (const group of windowState.groups) {
-        const existingTabs = await chrome.tabs.query({ windowId: window.id });
-        const tabsToGroup = [];
-
-        for (const savedTabId of group.tabIds) {
-          let tab = existingTabs.find(t => t.id === savedTabId);
-          if (!tab) {
-            const savedTab = windowState.tabs.find(t => t.id === savedTabId);
-            if (savedTab) {
-              tab = existingTabs.find(t => t.url === savedTab.url);
-            }
-          }
-          if (tab) {
-            tabsToGroup.push(tab.id);
-          }
-        }
-
-        if (tabsToGroup.length > 0) {
-          try {
-            const newGroupId = await chrome.tabs.group({ tabIds: tabsToGroup });
-            await chrome.tabGroups.update(newGroupId, {
-              title: group.title,
-              color: group.color,
-              collapsed: group.collapsed
-            });
-          } catch (error) {
-            console.warn('Error recreating group:', error);
-          }
-        }
-      }
-    }
-
     await loadActiveGroups();
     showToast('Action undone', 'success');
     return true;
   } catch (error) {
     console.error('[Popup] Error undoing:', error);
-    showToast('Failed to undo action. Please try again.', 'error');
+    showToast(error.message || 'Failed to undo action. Please try again.', 'error');
     return false;
   }
 }
@@ -993,72 +1541,329 @@ async function showButtonSuccess(btn, state, successText = 'Done!', duration = 1
 }
 
 // Button click handlers
-document.getElementById('groupByDomainBtn').addEventListener('click', async () => {
-  const btn = document.getElementById('groupByDomainBtn');
-  const state = setButtonLoading(btn, true, 'Grouping...');
+/**
+ * Build the grouping plan for a strategy without touching any tabs
+ * @param {string} strategy - 'domain' or 'type'
+ * @returns {Promise<Object>} Plan info: {strategy, plan, merge, minNewGroupSize, lockedGroupIds, tabsById, mergeTargets}
+ */
+async function buildGroupingPlan(strategy) {
+  const merge = (await loadGroupingMode()) === 'merge';
+  const lockedGroupIds = await getLockedGroupIds();
+  // Placeholders from a lazy restore are planned (and previewed) as the page they stand in for
+  const tabs = (await chrome.tabs.query({ currentWindow: true })).map(unwrapPlaceholderTab);
+
+  // Replace mode regroups every tab outside locked groups; merge mode only places ungrouped tabs
+  const candidates = tabs.filter(tab => merge
+    ? tab.groupId === chrome.tabs.TAB_ID_NONE
+    : !lockedGroupIds.includes(tab.groupId)
+  );
+
+  let plan;
+  let minNewGroupSize;
+
+  if (strategy === 'domain') {
+    const domainOptions = await loadDomainGroupingOptions();
+    plan = buildDomainGroupPlan(groupTabsByDomain(candidates, { ...domainOptions, minTabs: merge ? 1 : 2 }));
+    minNewGroupSize = 2;
+  } else {
+    const validTabs = candidates.filter(tab =>
+      tab.url &&
+      !tab.url.startsWith('chrome://') &&
+      !tab.url.startsWith('chrome-extension://') &&
+      !tab.url.startsWith('about:') &&
+      !tab.url.startsWith('data:')
+    );
 
-  try {
-    await saveUndoState('group-by-domain');
-    await ungroupAllTabs();
+    const classifierContext = await loadClassifierContext();
+    const { skipSingleTabGroups } = await chrome.storage.local.get(['skipSingleTabGroups']);
+    plan = buildTypeGroupPlan(groupTabsByType(validTabs, classifierContext), classifierContext.categories);
+    minNewGroupSize = skipSingleTabGroups ? 2 : 1;
+  }
 
-    const tabs = await chrome.tabs.query({ currentWindow: true });
-    const groupedTabs = groupTabsByDomain(tabs);
+  const mergeTargets = merge ? await getMergeTargetGroups() : {};
+
+  // Leave out groups that would neither be created nor merged
+  plan = plan.filter(entry =>
+    entry.tabIds.length >= minNewGroupSize || mergeTargets[normalizeGroupTitle(entry.title)]
+  );
+
+  return {
+    strategy,
+    plan,
+    merge,
+    minNewGroupSize,
+    lockedGroupIds,
+    tabsById: new Map(tabs.map(tab => [tab.id, tab])),
+    mergeTargets
+  };
+}
 
-    await createTabGroups(groupedTabs);
-    await loadActiveGroups();
+/**
+ * Apply a (possibly edited) grouping plan to the current window
+ * @param {Object} planInfo - Plan info from buildGroupingPlan
+ * @param {Array<Object>} plan - Groups to create
+ * @returns {Promise<{created: number, merged: number}>} Group counts from applyGroupPlan
+ */
+async function applyGroupingPlan(planInfo, plan) {
+  await saveUndoState(planInfo.strategy === 'domain' ? 'group-by-domain' : 'group-by-type');
 
-    const { showNotifications } = await chrome.storage.local.get(['showNotifications']);
-    if (showNotifications !== false) {
-      showToast('Tabs grouped by domain', 'success');
-    }
+  if (!planInfo.merge) {
+    await ungroupAllTabs({ keepGroupIds: planInfo.lockedGroupIds });
+  }
 
-    // Show success checkmark animation
-    await showButtonSuccess(btn, state, 'Grouped!');
-  } catch (error) {
-    console.error('[Popup] Error grouping by domain:', error);
-    showToast('Failed to group tabs. Please try again.', 'error');
-    await loadActiveGroups();
-    restoreButton(btn, state);
-  } finally {
-    await updateTabCount();
+  // Tabs may have closed while the preview was open
+  const openTabIds = new Set((await chrome.tabs.query({ currentWindow: true })).map(tab => tab.id));
+  const livePlan = plan.map(entry => ({
+    ...entry,
+    tabIds: entry.tabIds.filter(tabId => openTabIds.has(tabId))
+  }));
+
+  return applyGroupPlan(livePlan, {
+    merge: planInfo.merge,
+    minNewGroupSize: planInfo.minNewGroupSize
+  });
+}
+
+/**
+ * Create the preview element for one planned group
+ * @param {Object} entry - Planned group {title, color, tabIds}
+ * @param {Object} planInfo - Plan info from buildGroupingPlan
+ * @param {Function} onChange - Called when a tab is included or excluded
+ * @returns {{element: HTMLElement, read: Function}} Element and a reader returning the edited entry
+ */
+function createPreviewGroupElement(entry, planInfo, onChange) {
+  const groupDiv = document.createElement('div');
+  groupDiv.className = 'preview-group';
+
+  const header = document.createElement('div');
+  header.className = 'preview-group-header';
+
+  const colorIndicator = document.createElement('div');
+  colorIndicator.className = 'group-color-indicator';
+  colorIndicator.style.backgroundColor = getGroupColorHex(entry.color);
+
+  const titleInput = document.createElement('input');
+  titleInput.type = 'text';
+  titleInput.className = 'preview-group-title';
+  titleInput.value = entry.title;
+  titleInput.maxLength = 100;
+  titleInput.title = 'Rename group';
+
+  const countSpan = document.createElement('span');
+  countSpan.className = 'preview-group-count';
+
+  header.appendChild(colorIndicator);
+  header.appendChild(titleInput);
+
+  if (planInfo.mergeTargets[normalizeGroupTitle(entry.title)]) {
+    const badge = document.createElement('span');
+    badge.className = 'preview-group-badge';
+    badge.textContent = 'existing';
+    badge.title = 'Tabs will be added to the existing group with this title';
+    header.appendChild(badge);
   }
-});
 
-document.getElementById('groupByTypeBtn').addEventListener('click', async () => {
-  const btn = document.getElementById('groupByTypeBtn');
+  header.appendChild(countSpan);
+  groupDiv.appendChild(header);
+
+  const tabList = document.createElement('div');
+  tabList.className = 'preview-tab-list';
+  const checkboxes = [];
+
+  const updateCount = () => {
+    const included = checkboxes.filter(cb => cb.checked).length;
+    countSpan.textContent = `${included} tab${included !== 1 ? 's' : ''}`;
+    groupDiv.classList.toggle('excluded', included === 0);
+  };
+
+  for (const tabId of entry.tabIds) {
+    const tab = planInfo.tabsById.get(tabId);
+
+    const label = document.createElement('label');
+    label.className = 'preview-tab';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.dataset.tabId = String(tabId);
+    checkbox.addEventListener('change', () => {
+      updateCount();
+      onChange();
+    });
+
+    const titleSpan = document.createElement('span');
+    titleSpan.className = 'preview-tab-title';
+    titleSpan.textContent = (tab && (tab.title || tab.url)) || 'Untitled';
+    titleSpan.title = (tab && tab.url) || '';
+
+    label.appendChild(checkbox);
+    label.appendChild(titleSpan);
+    tabList.appendChild(label);
+    checkboxes.push(checkbox);
+  }
+
+  groupDiv.appendChild(tabList);
+  updateCount();
+
+  const read = () => ({
+    ...entry,
+    title: titleInput.value.trim() || entry.title,
+    tabIds: checkboxes.filter(cb => cb.checked).map(cb => parseInt(cb.dataset.tabId, 10))
+  });
+
+  return { element: groupDiv, read };
+}
+
+/**
+ * Show the grouping preview so groups can be renamed and tabs excluded before applying
+ * @param {Object} planInfo - Plan info from buildGroupingPlan
+ * @returns {Promise<Array<Object>|null>} Edited plan, or null if cancelled
+ */
+function showGroupingPreviewModal(planInfo) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    const modal = document.createElement('div');
+    modal.className = 'modal preview-modal';
+
+    const title = document.createElement('h3');
+    title.className = 'modal-title';
+    title.textContent = planInfo.strategy === 'domain' ? 'Preview: Group by Domain' : 'Preview: Group by Type';
+
+    const summary = document.createElement('div');
+    summary.className = 'preview-summary';
+
+    const groupList = document.createElement('div');
+    groupList.className = 'preview-group-list';
+
+    const readers = [];
+    const updateSummary = () => {
+      const entries = readers.map(read => read()).filter(entry => entry.tabIds.length > 0);
+      const tabCount = entries.reduce((sum, entry) => sum + entry.tabIds.length, 0);
+      const mode = planInfo.merge ? 'existing groups kept' : 'existing groups replaced';
+      summary.textContent = `${entries.length} group${entries.length !== 1 ? 's' : ''} · ${tabCount} tab${tabCount !== 1 ? 's' : ''} · ${mode}`;
+    };
+
+    for (const entry of planInfo.plan) {
+      const { element, read } = createPreviewGroupElement(entry, planInfo, updateSummary);
+      readers.push(read);
+      groupList.appendChild(element);
+    }
+    updateSummary();
+
+    const buttonContainer = document.createElement('div');
+    buttonContainer.className = 'modal-buttons';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'modal-btn modal-btn-cancel';
+    cancelBtn.textContent = 'Cancel';
+
+    const applyBtn = document.createElement('button');
+    applyBtn.className = 'modal-btn modal-btn-save';
+    applyBtn.textContent = 'Apply';
+
+    const close = (result) => {
+      document.removeEventListener('keydown', onKeydown);
+      overlay.remove();
+      resolve(result);
+    };
+
+    const onKeydown = (e) => {
+      if (e.key === 'Escape') {
+        close(null);
+      }
+    };
+
+    cancelBtn.addEventListener('click', () => close(null));
+    applyBtn.addEventListener('click', () => {
+      close(readers.map(read => read()).filter(entry => entry.tabIds.length > 0));
+    });
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        close(null);
+      }
+    });
+    document.addEventListener('keydown', onKeydown);
+
+    buttonContainer.appendChild(cancelBtn);
+    buttonContainer.appendChild(applyBtn);
+    modal.appendChild(title);
+    modal.appendChild(summary);
+    modal.appendChild(groupList);
+    modal.appendChild(buttonContainer);
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+
+    setTimeout(() => {
+      applyBtn.focus();
+    }, 10);
+  });
+}
+
+/**
+ * Plan, optionally preview, and apply a grouping strategy
+ * @param {HTMLElement} btn - Button that started the grouping
+ * @param {string} strategy - 'domain' or 'type'
+ * @returns {Promise<void>}
+ */
+async function runGrouping(btn, strategy) {
   const state = setButtonLoading(btn, true, 'Grouping...');
 
   try {
-    await saveUndoState('group-by-type');
-    await ungroupAllTabs();
+    const planInfo = await buildGroupingPlan(strategy);
 
-    const tabs = await chrome.tabs.query({ currentWindow: true });
-    const validTabs = tabs.filter(tab =>
-      tab.url &&
-      !tab.url.startsWith('chrome://') &&
-      !tab.url.startsWith('chrome-extension://') &&
-      !tab.url.startsWith('about:') &&
-      !tab.url.startsWith('data:')
-    );
+    if (planInfo.plan.length === 0) {
+      showToast('No tabs to group', 'info');
+      restoreButton(btn, state);
+      return;
+    }
 
-    const groupedTabs = groupTabsByType(validTabs);
-    await createTabGroupsByType(groupedTabs);
+    let plan = planInfo.plan;
+    const { showGroupingPreview } = await chrome.storage.local.get(['showGroupingPreview']);
+    if (showGroupingPreview !== false) {
+      plan = await showGroupingPreviewModal(planInfo);
+      if (!plan) {
+        restoreButton(btn, state);
+        return;
+      }
+    }
+
+    const result = await applyGroupingPlan(planInfo, plan);
     await loadActiveGroups();
 
-    const groupCount = Object.keys(groupedTabs).filter(cat => groupedTabs[cat].length > 0).length;
     const { showNotifications } = await chrome.storage.local.get(['showNotifications']);
     if (showNotifications !== false) {
-      showToast(`Tabs grouped into ${groupCount} categories`, 'success');
+      const groupCount = result.created + result.merged;
+      showToast(strategy === 'domain' ? 'Tabs grouped by domain' : `Tabs grouped into ${groupCount} categories`, 'success');
     }
 
     // Show success checkmark animation
     await showButtonSuccess(btn, state, 'Grouped!');
   } catch (error) {
-    console.error('[Popup] Error grouping by type:', error);
+    console.error(`[Popup] Error grouping by ${strategy}:`, error);
     showToast('Failed to group tabs. Please try again.', 'error');
     await loadActiveGroups();
     restoreButton(btn, state);
+  } finally {
+    await updateTabCount();
   }
+}
+
+document.getElementById('groupByDomainBtn').addEventListener('click', async () => {
+  await runGrouping(document.getElementById('groupByDomainBtn'), 'domain');
+});
+
+document.getElementById('groupByTypeBtn').addEventListener('click', async () => {
+  await runGrouping(document.getElementById('groupByTypeBtn'), 'type');
+});
+
+document.getElementById('undoDuplicatesBtn').addEventListener('click', async () => {
+  const btn = document.getElementById('undoDuplicatesBtn');
+  btn.hidden = true;
+  await performUndo();
+  await loadDuplicateTabs();
+  await updateTabCount();
 });
 
 document.getElementById('ungroupAllBtn').addEventListener('click', async () => {
@@ -1072,10 +1877,11 @@ document.getElementById('ungroupAllBtn').addEventListener('click', async () => {
     if (iconEl) iconEl.textContent = '⟳';
 
     await saveUndoState('ungroup-all');
-    await ungroupAllTabs();
+    const lockedGroupIds = await getLockedGroupIds();
+    await ungroupAllTabs({ keepGroupIds: lockedGroupIds });
     await loadActiveGroups();
     await updateTabCount();
-    showToast('All tabs ungrouped', 'success');
+    showToast(lockedGroupIds.length > 0 ? 'Tabs ungrouped (locked groups kept)' : 'All tabs ungrouped', 'success');
 
     // Show success checkmark
     btn.classList.remove('loading');
@@ -1228,6 +2034,19 @@ document.getElementById('settingsBtn').addEventListener('click', () => {
   }
 });
 
+// Saved sessions filter
+document.getElementById('sessionFilter').addEventListener('change', () => {
+  loadSavedSessions();
+});
+
+// Browse sessions button - open the sessions page
+document.getElementById('browseSessionsBtn').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('sessions/sessions.html') }).catch(error => {
+    console.error('[Popup] Error opening sessions page:', error);
+    showToast('Failed to open sessions. Please try again.', 'error');
+  });
+});
+
 // Tip banner dismissal
 chrome.storage.local.get(['tipDismissed'], (result) => {
   if (result.tipDismissed) {
@@ -0,0 +1,685 @@
+/**
+ * Sessions Page - Version 1.0.0
+ * Browse and search every saved session
+ * @fileoverview Full-text search with kind, date, star, folder and tag filters; results jump to the matching tab or open it.
+ * Any two sessions can be compared, and the tabs one of them lost can be restored.
+ */
+
+import { getDuplicateUrlOptions } from '../utils/duplicateFinder.js';
+import { diffSessions } from '../utils/sessionDiff.js';
+import { restoreSession } from '../utils/sessionManager.js';
+import { getSearchTerms, collectSessionLabels, searchSessions } from '../utils/sessionSearch.js';
+import { getSessionKind, listSessions, updateSessionMetadata } from '../utils/sessionStore.js';
+
+/** @constant {number} Matching tabs listed per session before the rest are folded away */
+const MAX_MATCHES_SHOWN = 20;
+
+/** @constant {number} Delay in ms between the last keystroke and running the search */
+const SEARCH_DELAY = 150;
+
+/** @constant {Object<string, string>} Display names of session kinds */
+const KIND_LABELS = {
+  manual: 'Saved',
+  'auto-save': 'Auto-save',
+  recovery: 'Recovery'
+};
+
+/** @type {Array<Object>} Every saved session, newest first */
+let allSessions = [];
+
+/** @type {number|null} Pending search timer */
+let searchTimer = null;
+
+/**
+ * Show notification toast
+ * @param {string} message - Message to display
+ * @param {string} type - Notification type ('info', 'success', 'warning', 'error')
+ */
+function showNotification(message, type = 'info') {
+  const notification = document.createElement('div');
+  notification.className = `notification notification-${type}`;
+  notification.textContent = message;
+  document.body.appendChild(notification);
+
+  setTimeout(() => notification.classList.add('show'), 10);
+  setTimeout(() => {
+    notification.classList.remove('show');
+    setTimeout(() => notification.remove(), 300);
+  }, 3000);
+}
+
+/**
+ * Apply theme to page based on settings
+ * @returns {Promise<void>}
+ */
+async function applyTheme() {
+  try {
+    const { theme } = await chrome.storage.local.get(['theme']);
+    const selectedTheme = theme || 'auto';
+
+    if (selectedTheme === 'auto') {
+      const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+      document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
+    } else {
+      document.documentElement.setAttribute('data-theme', selectedTheme);
+    }
+  } catch (error) {
+    console.error('[Sessions] Error applying theme:', error);
+    document.documentElement.setAttribute('data-theme', 'light');
+  }
+}
+
+/**
+ * Append text to an element with every occurrence of the search terms marked
+ * @param {HTMLElement} element - Element to fill
+ * @param {string} text - Text to show
+ * @param {string[]} terms - Lowercase search terms
+ */
+function appendHighlighted(element, text, terms) {
+  const lowerText = text.toLowerCase();
+  const marked = new Array(text.length).fill(false);
+
+  for (const term of terms) {
+    let index = lowerText.indexOf(term);
+    while (index !== -1) {
+      marked.fill(true, index, index + term.length);
+      index = lowerText.indexOf(term, index + term.length);
+    }
+  }
+
+  let start = 0;
+  while (start < text.length) {
+    let end = start;
+    while (end < text.length && marked[end] === marked[start]) {
+      end++;
+    }
+
+    const part = text.slice(start, end);
+    if (marked[start]) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      element.appendChild(mark);
+    } else {
+      element.appendChild(document.createTextNode(part));
+    }
+    start = end;
+  }
+}
+
+/**
+ * Fill a folder or tag filter with the names in use, keeping the current choice if it still exists
+ * @param {HTMLSelectElement} select - Filter select; its first option means "any"
+ * @param {string[]} names - Folder or tag names
+ */
+function fillLabelFilter(select, names) {
+  const selected = select.value;
+  const anyOption = select.options[0];
+
+  select.replaceChildren(anyOption);
+  for (const name of names) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    select.appendChild(option);
+  }
+  select.value = names.includes(selected) ? selected : '';
+}
+
+/**
+ * Read the search box and filters
+ * @returns {Object} Filters for searchSessions
+ */
+function readFilters() {
+  const fromValue = document.getElementById('date-from').value;
+  const toValue = document.getElementById('date-to').value;
+
+  return {
+    query: document.getElementById('search-input').value,
+    kinds: Array.from(document.querySelectorAll('.kind-filter:checked')).map(input => input.value),
+    // Date inputs are local calendar days; "To" includes the whole day
+    from: fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : null,
+    to: toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : null,
+    starred: document.getElementById('starred-filter').checked,
+    folder: document.getElementById('folder-filter').value || null,
+    tag: document.getElementById('tag-filter').value || null
+  };
+}
+
+/**
+ * Format a session's kind, date and size
+ * @param {Object} session - Full session
+ * @returns {string} Metadata line
+ */
+function formatSessionMeta(session) {
+  const tabCount = (session.windows || []).reduce((count, windowData) => count + (windowData.tabs || []).length, 0);
+  const date = new Date(session.timestamp).toLocaleString(undefined, {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+  return `${KIND_LABELS[getSessionKind(session)]} · ${date} · ${tabCount} tab${tabCount !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Open one saved tab in this window
+ * @param {Object} session - Session the tab belongs to
+ * @param {number} windowIndex - Window position in the session
+ * @param {number} tabIndex - Tab position in the window
+ * @param {HTMLElement} btn - Button that was clicked
+ * @returns {Promise<void>}
+ */
+async function openSessionTab(session, windowIndex, tabIndex, btn) {
+  btn.disabled = true;
+  try {
+    const { opened } = await restoreSession(session.id, {
+      tabs: [{ windowIndex, tabIndex }],
+      target: 'current-window'
+    });
+    if (opened === 0) {
+      showNotification('This tab is already open in this window', 'info');
+    }
+  } catch (error) {
+    console.error('[Sessions] Failed to open tab:', error);
+    showNotification(error.message || 'Failed to open tab. Please try again.', 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Create a row for one saved tab
+ * @param {Object} session - Session the tab belongs to
+ * @param {Object} match - Tab position and details
+ * @param {number} match.windowIndex - Window position in the session
+ * @param {number} match.tabIndex - Tab position in the window
+ * @param {Object} match.tab - Saved tab
+ * @param {string|null} match.groupTitle - Title of the tab's group
+ * @param {string} [match.label] - Chip text to show instead of the group title
+ * @param {string[]} terms - Search terms to highlight
+ * @param {Function} [onSelect] - Called when the row is clicked
+ * @returns {HTMLElement} Tab row
+ */
+function createTabRow(session, match, terms, onSelect) {
+  const row = document.createElement('div');
+  row.className = 'session-tab-row';
+  row.dataset.position = `${match.windowIndex}:${match.tabIndex}`;
+
+  const textDiv = document.createElement('div');
+  textDiv.className = 'session-tab-text';
+
+  const titleDiv = document.createElement('div');
+  titleDiv.className = 'session-tab-title';
+  if (match.tab.pinned) {
+    titleDiv.appendChild(document.createTextNode('📌 '));
+  }
+  appendHighlighted(titleDiv, match.tab.title || 'Untitled', terms);
+
+  const urlDiv = document.createElement('div');
+  urlDiv.className = 'session-tab-url';
+  appendHighlighted(urlDiv, match.tab.url || '', terms);
+
+  textDiv.appendChild(titleDiv);
+  textDiv.appendChild(urlDiv);
+  row.appendChild(textDiv);
+
+  if (match.label !== undefined || match.groupTitle !== null) {
+    const groupChip = document.createElement('span');
+    groupChip.className = 'session-tab-group';
+    appendHighlighted(groupChip, match.label !== undefined ? match.label : match.groupTitle || 'Untitled Group', terms);
+    row.appendChild(groupChip);
+  }
+
+  const openBtn = document.createElement('button');
+  openBtn.className = 'link-btn';
+  openBtn.textContent = 'Open';
+  openBtn.title = 'Open this tab in this window';
+  openBtn.addEventListener('click', (event) => {
+    event.stopPropagation();
+    openSessionTab(session, match.windowIndex, match.tabIndex, openBtn);
+  });
+  row.appendChild(openBtn);
+
+  if (onSelect) {
+    row.classList.add('selectable');
+    row.title = 'Show in session';
+    row.addEventListener('click', onSelect);
+  }
+
+  return row;
+}
+
+/**
+ * Create the full tab list of a session, window by window
+ * @param {Object} session - Full session
+ * @param {string[]} terms - Search terms to highlight
+ * @returns {HTMLElement} Tab list
+ */
+function createSessionTabList(session, terms) {
+  const groupTitles = new Map((session.groups || []).map(group => [group.id, group.title || '']));
+  const list = document.createElement('div');
+  list.className = 'session-tab-list';
+
+  (session.windows || []).forEach((windowData, windowIndex) => {
+    const windowHeader = document.createElement('div');
+    windowHeader.className = 'session-window-header';
+    windowHeader.textContent = `Window ${windowIndex + 1}`;
+    list.appendChild(windowHeader);
+
+    (windowData.tabs || []).forEach((tab, tabIndex) => {
+      const groupTitle = tab.groupId !== null && groupTitles.has(tab.groupId) ? groupTitles.get(tab.groupId) : null;
+      list.appendChild(createTabRow(session, { windowIndex, tabIndex, tab, groupTitle }, terms));
+    });
+  });
+
+  return list;
+}
+
+/**
+ * Show a session's full tab list, optionally scrolling to and marking one tab
+ * @param {HTMLElement} card - Session result card
+ * @param {Object} session - Full session
+ * @param {string[]} terms - Search terms to highlight
+ * @param {string} [position] - "windowIndex:tabIndex" of the tab to jump to
+ */
+function showSessionTabs(card, session, terms, position) {
+  let list = card.querySelector('.session-tab-list');
+  if (!list) {
+    list = createSessionTabList(session, terms);
+    card.appendChild(list);
+    card.querySelector('.show-all-btn').textContent = 'Hide tabs';
+  }
+
+  list.querySelectorAll('.session-tab-row.highlighted').forEach(row => row.classList.remove('highlighted'));
+  if (position) {
+    const row = list.querySelector(`.session-tab-row[data-position="${position}"]`);
+    if (row) {
+      row.classList.add('highlighted');
+      row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }
+}
+
+/**
+ * Star or unstar a session
+ * @param {Object} session - Session to change
+ * @param {HTMLElement} btn - Star button
+ * @returns {Promise<void>}
+ */
+async function toggleStarred(session, btn) {
+  btn.disabled = true;
+  try {
+    await updateSessionMetadata(session.id, { starred: !session.starred });
+    session.starred = !session.starred;
+    renderResults();
+  } catch (error) {
+    console.error('[Sessions] Error starring session:', error);
+    showNotification('Failed to update session. Please try again.', 'error');
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Create the folder and tag chips of a session
+ * @param {Object} session - Full session
+ * @param {string[]} terms - Search terms to highlight
+ * @returns {HTMLElement|null} Label row, or null if the session has no folder or tags
+ */
+function createSessionLabels(session, terms) {
+  const tags = session.tags || [];
+  if (!session.folder && tags.length === 0) {
+    return null;
+  }
+
+  const labelsDiv = document.createElement('div');
+  labelsDiv.className = 'session-labels';
+
+  if (session.folder) {
+    const folderChip = document.createElement('span');
+    folderChip.className = 'session-label folder';
+    appendHighlighted(folderChip, `📁 ${session.folder}`, terms);
+    labelsDiv.appendChild(folderChip);
+  }
+
+  for (const tag of tags) {
+    const tagChip = document.createElement('span');
+    tagChip.className = 'session-label';
+    appendHighlighted(tagChip, `#${tag}`, terms);
+    labelsDiv.appendChild(tagChip);
+  }
+
+  return labelsDiv;
+}
+
+/**
+ * Create a result card for one session
+ * @param {Object} result - Result from searchSessions
+ * @param {string[]} terms - Search terms to highlight
+ * @returns {HTMLElement} Result card
+ */
+function createSessionResult(result, terms) {
+  const { session } = result;
+  const card = document.createElement('div');
+  card.className = 'session-result';
+
+  const header = document.createElement('div');
+  header.className = 'session-result-header';
+
+  const headerText = document.createElement('div');
+  const nameDiv = document.createElement('div');
+  nameDiv.className = 'session-result-name';
+  appendHighlighted(nameDiv, session.name || 'Unnamed Session', result.labelMatch ? terms : []);
+
+  const metaDiv = document.createElement('div');
+  metaDiv.className = 'rule-item-meta';
+  metaDiv.textContent = formatSessionMeta(session);
+
+  headerText.appendChild(nameDiv);
+  headerText.appendChild(metaDiv);
+
+  const labelsDiv = createSessionLabels(session, result.labelMatch ? terms : []);
+  if (labelsDiv) {
+    headerText.appendChild(labelsDiv);
+  }
+
+  const actionsDiv = document.createElement('div');
+  actionsDiv.className = 'rule-item-actions';
+
+  const starBtn = document.createElement('button');
+  starBtn.className = `link-btn star-btn${session.starred ? ' starred' : ''}`;
+  starBtn.textContent = session.starred ? '★' : '☆';
+  starBtn.title = session.starred ? 'Unstar (allow cleanup to remove it)' : 'Star (never remove automatically)';
+  starBtn.addEventListener('click', () => toggleStarred(session, starBtn));
+
+  const showAllBtn = document.createElement('button');
+  showAllBtn.className = 'link-btn show-all-btn';
+  showAllBtn.textContent = 'Show all tabs';
+  showAllBtn.addEventListener('click', () => {
+    const list = card.querySelector('.session-tab-list');
+    if (list) {
+      list.remove();
+      showAllBtn.textContent = 'Show all tabs';
+    } else {
+      showSessionTabs(card, session, terms);
+    }
+  });
+
+  actionsDiv.appendChild(starBtn);
+  actionsDiv.appendChild(showAllBtn);
+
+  header.appendChild(headerText);
+  header.appendChild(actionsDiv);
+  card.appendChild(header);
+
+  if (result.tabs.length > 0) {
+    const matchList = document.createElement('div');
+    matchList.className = 'session-match-list';
+
+    for (const match of result.tabs.slice(0, MAX_MATCHES_SHOWN)) {
+      const position = `${match.windowIndex}:${match.tabIndex}`;
+      matchList.appendChild(createTabRow(session, match, terms, () => showSessionTabs(card, session, terms, position)));
+    }
+
+    if (result.tabs.length > MAX_MATCHES_SHOWN) {
+      const moreDiv = document.createElement('div');
+      moreDiv.className = 'empty-list-text';
+      moreDiv.textContent = `${result.tabs.length - MAX_MATCHES_SHOWN} more matching tabs`;
+      matchList.appendChild(moreDiv);
+    }
+
+    card.appendChild(matchList);
+  }
+
+  return card;
+}
+
+/**
+ * Describe a session for the compare selects
+ * @param {Object} session - Full session
+ * @returns {string} Option text
+ */
+function formatSessionOption(session) {
+  const date = new Date(session.timestamp).toLocaleString(undefined, {
+    day: 'numeric',
+    month: 'short',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+  return `${session.starred ? '★ ' : ''}${session.name || 'Unnamed Session'} · ${date}`;
+}
+
+/**
+ * Fill the compare selects, keeping the current choices if those sessions still exist
+ * By default the newest session is compared with the one before it.
+ */
+function fillCompareSelects() {
+  const fromSelect = document.getElementById('compare-from');
+  const toSelect = document.getElementById('compare-to');
+  const ids = allSessions.map(session => session.id);
+  const previous = { from: fromSelect.value, to: toSelect.value };
+
+  for (const select of [fromSelect, toSelect]) {
+    select.replaceChildren();
+    for (const session of allSessions) {
+      const option = document.createElement('option');
+      option.value = session.id;
+      option.textContent = formatSessionOption(session);
+      select.appendChild(option);
+    }
+  }
+
+  fromSelect.value = ids.includes(previous.from) ? previous.from : (ids[1] || ids[0] || '');
+  toSelect.value = ids.includes(previous.to) ? previous.to : (ids[0] || '');
+  document.getElementById('compare-btn').disabled = ids.length < 2;
+}
+
+/**
+ * Create one section of the diff view
+ * @param {string} title - Section title
+ * @param {Array<HTMLElement>} rows - Rows to list
+ * @param {HTMLElement} [action] - Button shown next to the title
+ * @returns {HTMLElement|null} Section, or null if there are no rows
+ */
+function createDiffSection(title, rows, action) {
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const section = document.createElement('div');
+  section.className = 'session-diff-section';
+
+  const header = document.createElement('div');
+  header.className = 'session-result-header';
+
+  const titleDiv = document.createElement('div');
+  titleDiv.className = 'session-result-name';
+  titleDiv.textContent = `${title} (${rows.length})`;
+  header.appendChild(titleDiv);
+  if (action) {
+    header.appendChild(action);
+  }
+
+  const list = document.createElement('div');
+  list.className = 'session-match-list';
+  for (const row of rows) {
+    list.appendChild(row);
+  }
+
+  section.appendChild(header);
+  section.appendChild(list);
+  return section;
+}
+
+/**
+ * Create a one-line row for a group change
+ * @param {string} text - Description
+ * @returns {HTMLElement} Row
+ */
+function createGroupChangeRow(text) {
+  const row = document.createElement('div');
+  row.className = 'session-tab-row';
+  const textDiv = document.createElement('div');
+  textDiv.className = 'session-tab-title';
+  textDiv.textContent = text;
+  row.appendChild(textDiv);
+  return row;
+}
+
+/**
+ * Restore the tabs a later session no longer has, in a new window
+ * @param {Object} fromSession - Earlier session the tabs are restored from
+ * @param {Array<Object>} removed - Removed tabs from diffSessions
+ * @param {HTMLElement} btn - Button that was clicked
+ * @returns {Promise<void>}
+ */
+async function restoreRemovedTabs(fromSession, removed, btn) {
+  btn.disabled = true;
+  try {
+    const { opened } = await restoreSession(fromSession.id, {
+      tabs: removed.map(({ windowIndex, tabIndex }) => ({ windowIndex, tabIndex })),
+      target: 'new-window'
+    });
+    showNotification(`Restored ${opened} tab${opened !== 1 ? 's' : ''} in a new window`, 'success');
+  } catch (error) {
+    console.error('[Sessions] Failed to restore removed tabs:', error);
+    showNotification(error.message || 'Failed to restore tabs. Please try again.', 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Compare the two selected sessions and show what changed
+ * @returns {Promise<void>}
+ */
+async function compareSelectedSessions() {
+  const fromSession = allSessions.find(session => session.id === document.getElementById('compare-from').value);
+  const toSession = allSessions.find(session => session.id === document.getElementById('compare-to').value);
+  const container = document.getElementById('session-diff');
+
+  if (!fromSession || !toSession) {
+    return;
+  }
+  if (fromSession === toSession) {
+    showNotification('Choose two different sessions to compare', 'info');
+    return;
+  }
+
+  const diff = diffSessions(fromSession, toSession, await getDuplicateUrlOptions());
+  const ungrouped = title => (title === null ? 'Ungrouped' : title || 'Untitled Group');
+
+  const restoreBtn = document.createElement('button');
+  restoreBtn.className = 'link-btn';
+  restoreBtn.textContent = 'Restore removed tabs';
+  restoreBtn.title = `Open these tabs from "${fromSession.name || 'Unnamed Session'}" in a new window`;
+  restoreBtn.addEventListener('click', () => restoreRemovedTabs(fromSession, diff.removed, restoreBtn));
+
+  const sections = [
+    createDiffSection('Removed tabs', diff.removed.map(match => createTabRow(fromSession, match, [])), restoreBtn),
+    createDiffSection('Added tabs', diff.added.map(match => createTabRow(toSession, match, []))),
+    createDiffSection('Moved between groups', diff.moved.map(match =>
+      createTabRow(toSession, { ...match, label: `${ungrouped(match.fromGroup)} → ${ungrouped(match.groupTitle)}` }, [])
+    )),
+    createDiffSection('Pinned changes', diff.pinned.map(match =>
+      createTabRow(toSession, { ...match, label: match.wasPinned ? 'Unpinned' : 'Pinned' }, [])
+    )),
+    createDiffSection('Group changes', [
+      ...diff.renamedGroups.map(change => createGroupChangeRow(`Renamed "${change.from}" → "${change.to}"`)),
+      ...diff.recoloredGroups.map(change => createGroupChangeRow(`Recolored "${change.title}": ${change.from} → ${change.to}`))
+    ])
+  ].filter(section => section !== null);
+
+  container.replaceChildren();
+  if (sections.length === 0) {
+    const emptyDiv = document.createElement('div');
+    emptyDiv.className = 'empty-list-text';
+    emptyDiv.textContent = 'These sessions have the same tabs and groups.';
+    container.appendChild(emptyDiv);
+  }
+  for (const section of sections) {
+    container.appendChild(section);
+  }
+  container.hidden = false;
+}
+
+/**
+ * Run the search and render the results
+ */
+function renderResults() {
+  const filters = readFilters();
+  const terms = getSearchTerms(filters.query);
+  const results = searchSessions(allSessions, filters);
+  const container = document.getElementById('session-results');
+  const summary = document.getElementById('results-summary');
+
+  container.replaceChildren();
+
+  if (results.length === 0) {
+    const emptyDiv = document.createElement('div');
+    emptyDiv.className = 'empty-list-text';
+    emptyDiv.textContent = allSessions.length === 0 ? 'No saved sessions yet.' : 'No sessions match your search.';
+    container.appendChild(emptyDiv);
+  }
+
+  for (const result of results) {
+    container.appendChild(createSessionResult(result, terms));
+  }
+
+  const tabCount = results.reduce((count, result) => count + result.tabs.length, 0);
+  summary.textContent = terms.length > 0
+    ? `${results.length} session${results.length !== 1 ? 's' : ''}, ${tabCount} matching tab${tabCount !== 1 ? 's' : ''}`
+    : `${results.length} of ${allSessions.length} session${allSessions.length !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Load every saved session and show the results
+ * @returns {Promise<void>}
+ */
+async function loadSessions() {
+  try {
+    allSessions = await listSessions();
+
+    const { folders, tags } = collectSessionLabels(allSessions);
+    fillLabelFilter(document.getElementById('folder-filter'), folders);
+    fillLabelFilter(document.getElementById('tag-filter'), tags);
+    fillCompareSelects();
+
+    renderResults();
+  } catch (error) {
+    console.error('[Sessions] Error loading sessions:', error);
+    showNotification('Failed to load sessions. Please try again.', 'error');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  await applyTheme();
+  await loadSessions();
+
+  // Sessions may have been saved from the popup while this page was in the background
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      loadSessions();
+    }
+  });
+});
+
+document.getElementById('search-input').addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(renderResults, SEARCH_DELAY);
+});
+
+document.querySelectorAll('.kind-filter, #date-from, #date-to, #starred-filter, #folder-filter, #tag-filter').forEach(input => {
+  input.addEventListener('change', renderResults);
+});
+
+document.getElementById('compare-btn').addEventListener('click', () => {
+  compareSelectedSessions().catch(error => {
+    console.error('[Sessions] Error comparing sessions:', error);
+    showNotification('Failed to compare sessions. Please try again.', 'error');
+  });
+});
+
+document.getElementById('back-btn').addEventListener('click', () => {
+  window.close();
+});
@@ -0,0 +1,176 @@
+/**
+ * Backup Crypto - Version 1.0.0
+ * Passphrase protection for exported backups
+ * @fileoverview AES-GCM encryption with a PBKDF2-derived key, stored as a small JSON envelope:
+ *   {format, version, kdf: {name, hash, iterations, salt}, cipher: {name, iv}, data}
+ * salt, iv and data are base64. The envelope holds any export format; decrypting gives back the original file.
+ */
+
+/** @constant {string} Envelope format marker */
+const ENCRYPTED_BACKUP_FORMAT = 'tab-it-encrypted-backup';
+
+/** @constant {number} Envelope version */
+const ENCRYPTED_BACKUP_VERSION = 1;
+
+/** @constant {number} PBKDF2 iterations for new backups */
+const PBKDF2_ITERATIONS = 600000;
+
+/** @constant {number} Most PBKDF2 iterations accepted when decrypting, so a crafted file cannot stall the page */
+const MAX_PBKDF2_ITERATIONS = 10000000;
+
+/** @constant {number} Salt length in bytes */
+const SALT_LENGTH = 16;
+
+/** @constant {number} AES-GCM IV length in bytes */
+const IV_LENGTH = 12;
+
+/** @constant {number} Minimum passphrase length */
+export const MIN_BACKUP_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+export function toBase64(bytes) {
+  let binary = '';
+  // Chunked so large backups do not exceed the argument limit of fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} 256-bit AES-GCM key
+ */
+async function deriveBackupKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Parse an encrypted backup envelope
+ * @param {string} text - File contents
+ * @returns {Object|null} Envelope, or null if the text is not an encrypted backup
+ */
+function parseEnvelope(text) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{') || !trimmed.includes(ENCRYPTED_BACKUP_FORMAT)) {
+    return null;
+  }
+  try {
+    const envelope = JSON.parse(trimmed);
+    return envelope && envelope.format === ENCRYPTED_BACKUP_FORMAT ? envelope : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a file is an encrypted backup
+ * @param {string} text - File contents
+ * @returns {boolean} True if the file needs a passphrase
+ */
+export function isEncryptedBackup(text) {
+  return parseEnvelope(text) !== null;
+}
+
+/**
+ * Encrypt a backup with a passphrase
+ * @param {string} content - File contents to protect
+ * @param {string} passphrase - At least MIN_BACKUP_PASSPHRASE_LENGTH characters
+ * @returns {Promise<string>} Envelope JSON
+ * @throws {Error} If the passphrase is too short or encryption fails
+ */
+export async function encryptBackup(content, passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters.`);
+  }
+
+  try {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const key = await deriveBackupKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(content));
+
+    return JSON.stringify({
+      format: ENCRYPTED_BACKUP_FORMAT,
+      version: ENCRYPTED_BACKUP_VERSION,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+      cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+      data: toBase64(new Uint8Array(data))
+    }, null, 2);
+  } catch (error) {
+    console.error('[BackupCrypto] Error encrypting backup:', error);
+    throw new Error('Failed to encrypt the backup.');
+  }
+}
+
+/**
+ * Decrypt a backup made by encryptBackup
+ * @param {string} text - Envelope JSON
+ * @param {string} passphrase - Passphrase the backup was encrypted with
+ * @returns {Promise<string>} Original file contents
+ * @throws {Error} If the file is not a readable encrypted backup or the passphrase is wrong
+ */
+export async function decryptBackup(text, passphrase) {
+  const envelope = parseEnvelope(text);
+  if (!envelope) {
+    throw new Error('This file is not an encrypted backup.');
+  }
+  if (envelope.version > ENCRYPTED_BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the extension.');
+  }
+
+  const { kdf, cipher } = envelope;
+  let salt;
+  let iv;
+  let data;
+  try {
+    if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !cipher || cipher.name !== 'AES-GCM'
+      || !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_PBKDF2_ITERATIONS) {
+      throw new Error('Unsupported encryption settings');
+    }
+    salt = fromBase64(kdf.salt);
+    iv = fromBase64(cipher.iv);
+    data = fromBase64(envelope.data);
+  } catch (error) {
+    console.error('[BackupCrypto] Invalid backup envelope:', error);
+    throw new Error('This encrypted backup is damaged or uses unsupported settings.');
+  }
+
+  const key = await deriveBackupKey(passphrase || '', salt, kdf.iterations);
+  try {
+    const content = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    return new TextDecoder().decode(content);
+  } catch (error) {
+    // AES-GCM cannot tell a wrong key from altered data
+    console.warn('[BackupCrypto] Decryption failed:', error);
+    throw new Error('Wrong passphrase, or the backup file has been altered.');
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * Category Manager - Version 1.0.0
+ * User-editable category set for type-based grouping
+ * @fileoverview Category storage, validation, and lookup on top of the built-in category defaults
+ */
+
+/**
+ * Available tab categories
+ * @type {string[]}
+ */
+const TAB_CATEGORIES = [
+  'video',
+  'news',
+  'shopping',
+  'social',
+  'work',
+  'documentation',
+  'search',
+  'entertainment',
+  'development',
+  'education',
+  'design',
+  'ai-tools',
+  'finance',
+  'reference',
+  'other'
+];
+
+/** @constant {Object} Built-in category configuration (defaults for the user-editable category set) */
+const CATEGORY_CONFIG = {
+  'video': { color: 'red', title: 'Video' },
+  'news': { color: 'blue', title: 'News' },
+  'shopping': { color: 'yellow', title: 'Shopping' },
+  'social': { color: 'pink', title: 'Social' },
+  'work': { color: 'grey', title: 'Work' },
+  'documentation': { color: 'purple', title: 'Documentation' },
+  'search': { color: 'cyan', title: 'Search' },
+  'entertainment': { color: 'yellow', title: 'Entertainment' },
+  'development': { color: 'cyan', title: 'Development' },
+  'education': { color: 'purple', title: 'Education' },
+  'design': { color: 'pink', title: 'Design' },
+  'ai-tools': { color: 'purple', title: 'AI & Tools' },
+  'finance': { color: 'green', title: 'Finance' },
+  'reference': { color: 'blue', title: 'Reference' },
+  'other': { color: 'green', title: 'Other' }
+};
+
+/** @constant {string[]} Colors accepted by chrome.tabGroups.update */
+export const TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+/** @constant {string} Fallback category that cannot be deleted */
+export const FALLBACK_CATEGORY_ID = 'other';
+
+/** @constant {number} Maximum number of categories */
+const MAX_CATEGORIES = 50;
+
+/** @constant {number} Maximum length of a category title */
+export const MAX_CATEGORY_TITLE_LENGTH = 40;
+
+/**
+ * Build the default category list from the built-in configuration
+ * @returns {Array<{id: string, title: string, color: string}>} Default categories in display order
+ */
+export function getDefaultCategories() {
+  return TAB_CATEGORIES.map(id => ({
+    id,
+    title: CATEGORY_CONFIG[id] ? CATEGORY_CONFIG[id].title : id,
+    color: CATEGORY_CONFIG[id] ? CATEGORY_CONFIG[id].color : 'grey'
+  }));
+}
+
+/**
+ * Create a unique category ID from a title
+ * @param {string} title - Category title
+ * @param {Array<Object>} categories - Existing categories
+ * @returns {string} Unique, URL-safe ID
+ */
+export function createCategoryId(title, categories) {
+  const base = title.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'category';
+  const taken = new Set(categories.map(c => c.id));
+
+  let id = base;
+  let suffix = 2;
+  while (taken.has(id)) {
+    id = `${base}-${suffix}`;
+    suffix++;
+  }
+  return id;
+}
+
+/**
+ * Validate a category list before it is stored
+ * @param {Array<Object>} categories - Categories to validate
+ * @returns {string|null} Error message, or null if the list is valid
+ */
+function validateCategories(categories) {
+  if (!Array.isArray(categories) || categories.length === 0) {
+    return 'At least one category is required';
+  }
+
+  if (categories.length > MAX_CATEGORIES) {
+    return `You can have up to ${MAX_CATEGORIES} categories`;
+  }
+
+  const ids = new Set();
+  const titles = new Set();
+
+  for (const category of categories) {
+    const title = (category.title || '').trim();
+
+    if (!category.id || typeof category.id !== 'string') {
+      return 'Every category needs an ID';
+    }
+    if (ids.has(category.id)) {
+      return `Duplicate category ID "${category.id}"`;
+    }
+    if (!title) {
+      return 'Category titles cannot be empty';
+    }
+    if (title.length > MAX_CATEGORY_TITLE_LENGTH) {
+      return `Category titles must be ${MAX_CATEGORY_TITLE_LENGTH} characters or fewer`;
+    }
+    if (titles.has(title.toLowerCase())) {
+      return `Two categories are named "${title}"`;
+    }
+    if (!TAB_GROUP_COLORS.includes(category.color)) {
+      return `"${title}" has an unsupported color. Choose one of: ${TAB_GROUP_COLORS.join(', ')}`;
+    }
+
+    ids.add(category.id);
+    titles.add(title.toLowerCase());
+  }
+
+  if (!ids.has(FALLBACK_CATEGORY_ID)) {
+    return 'The "Other" category cannot be deleted';
+  }
+
+  return null;
+}
+
+/**
+ * Get the active category list (custom set or built-in defaults)
+ * @returns {Promise<Array<{id: string, title: string, color: string}>>} Categories in display order
+ */
+export async function getCategories() {
+  try {
+    const { customCategories } = await chrome.storage.local.get(['customCategories']);
+    if (Array.isArray(customCategories) && validateCategories(customCategories) === null) {
+      return customCategories;
+    }
+  } catch (error) {
+    console.error('[CategoryManager] Error loading categories:', error);
+  }
+  return getDefaultCategories();
+}
+
+/**
+ * Persist a custom category list
+ * @param {Array<Object>} categories - Categories in display order
+ * @returns {Promise<void>}
+ * @throws {Error} If validation or storage fails
+ */
+export async function saveCategories(categories) {
+  const normalized = categories.map(c => ({ id: c.id, title: (c.title || '').trim(), color: c.color }));
+  const validationError = validateCategories(normalized);
+  if (validationError) {
+    throw new Error(validationError);
+  }
+
+  try {
+    await chrome.storage.local.set({ customCategories: normalized });
+  } catch (error) {
+    console.error('[CategoryManager] Error saving categories:', error);
+    throw new Error('Could not save categories. Please try again.');
+  }
+}
+
+/**
+ * Restore the built-in category set
+ * @returns {Promise<void>}
+ */
+export async function resetCategories() {
+  await chrome.storage.local.remove('customCategories');
+}
+
+/**
+ * Map a category ID onto the active set, falling back to "other" for deleted categories
+ * @param {string} categoryId - Category ID produced by rules or the classifier
+ * @param {Array<Object>} [categories] - Active categories (defaults used if omitted)
+ * @returns {string} Category ID present in the active set
+ */
+export function resolveCategoryId(categoryId, categories) {
+  const list = categories || getDefaultCategories();
+  if (list.some(c => c.id === categoryId)) {
+    return categoryId;
+  }
+  return FALLBACK_CATEGORY_ID;
+}
+
+/**
+ * Look up the display configuration for a category
+ * @param {string} categoryId - Category ID
+ * @param {Array<Object>} [categories] - Active categories (defaults used if omitted)
+ * @returns {{id: string, title: string, color: string}} Category configuration
+ */
+export function getCategoryConfig(categoryId, categories) {
+  const list = categories || getDefaultCategories();
+  const found = list.find(c => c.id === categoryId);
+  if (found) {
+    return found;
+  }
+  return {
+    id: categoryId,
+    title: categoryId.charAt(0).toUpperCase() + categoryId.slice(1),
+    color: 'grey'
+  };
+}
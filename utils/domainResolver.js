@@ -0,0 +1,167 @@
+/**
+ * Domain Resolver - Version 1.0.0
+ * Public-suffix-aware hostname resolution for domain grouping and classification
+ * @fileoverview Registrable domain (eTLD+1) lookup using a bundled subset of the Public Suffix List
+ */
+
+/**
+ * Multi-label public suffixes from the Public Suffix List (https://publicsuffix.org)
+ * Single-label TLDs (com, io, dev, ...) are covered by the implicit "*" rule and are not listed.
+ * Entries starting with "*." are wildcards; entries starting with "!" are exceptions.
+ * @constant {Set<string>}
+ */
+const PUBLIC_SUFFIXES = new Set([
+  // ICANN: country second-level domains
+  'ac.uk', 'co.uk', 'gov.uk', 'ltd.uk', 'me.uk', 'net.uk', 'nhs.uk', 'org.uk', 'plc.uk', 'police.uk', 'sch.uk',
+  'asn.au', 'com.au', 'edu.au', 'gov.au', 'id.au', 'net.au', 'org.au',
+  'ac.nz', 'co.nz', 'geek.nz', 'govt.nz', 'net.nz', 'org.nz', 'school.nz',
+  'ac.jp', 'co.jp', 'ed.jp', 'go.jp', 'gr.jp', 'lg.jp', 'ne.jp', 'or.jp',
+  'ac.kr', 'co.kr', 'go.kr', 'ne.kr', 'or.kr', 're.kr',
+  'com.br', 'edu.br', 'gov.br', 'net.br', 'org.br',
+  'com.cn', 'edu.cn', 'gov.cn', 'net.cn', 'org.cn',
+  'com.hk', 'edu.hk', 'gov.hk', 'net.hk', 'org.hk',
+  'com.tw', 'edu.tw', 'gov.tw', 'net.tw', 'org.tw',
+  'com.sg', 'edu.sg', 'gov.sg', 'net.sg', 'org.sg',
+  'com.my', 'edu.my', 'gov.my', 'net.my', 'org.my',
+  'ac.id', 'co.id', 'go.id', 'or.id', 'web.id',
+  'ac.th', 'co.th', 'go.th', 'in.th', 'or.th',
+  'com.vn', 'edu.vn', 'gov.vn', 'net.vn', 'org.vn',
+  'com.ph', 'edu.ph', 'gov.ph', 'net.ph', 'org.ph',
+  'ac.in', 'co.in', 'edu.in', 'firm.in', 'gen.in', 'gov.in', 'ind.in', 'net.in', 'org.in', 'res.in',
+  'com.pk', 'edu.pk', 'gov.pk', 'net.pk', 'org.pk',
+  'ac.il', 'co.il', 'gov.il', 'org.il',
+  'com.tr', 'edu.tr', 'gov.tr', 'net.tr', 'org.tr',
+  'com.sa', 'edu.sa', 'gov.sa', 'net.sa', 'org.sa',
+  'com.eg', 'edu.eg', 'gov.eg', 'net.eg', 'org.eg',
+  'ac.za', 'co.za', 'gov.za', 'net.za', 'org.za', 'web.za',
+  'co.ke', 'ac.ke', 'go.ke', 'or.ke',
+  'com.ng', 'edu.ng', 'gov.ng', 'org.ng',
+  'com.mx', 'edu.mx', 'gob.mx', 'net.mx', 'org.mx',
+  'com.ar', 'edu.ar', 'gob.ar', 'net.ar', 'org.ar',
+  'com.co', 'edu.co', 'gov.co', 'net.co', 'org.co',
+  'com.pe', 'edu.pe', 'gob.pe', 'org.pe',
+  'com.es', 'edu.es', 'gob.es', 'nom.es', 'org.es',
+  'com.gr', 'edu.gr', 'gov.gr', 'net.gr', 'org.gr',
+  'com.pl', 'net.pl', 'org.pl',
+  'com.ua', 'edu.ua', 'gov.ua', 'net.ua', 'org.ua',
+  'co.at', 'or.at',
+  // ICANN: wildcard country domains
+  '*.bd', '*.ck', '!www.ck', '*.er', '*.fk', '*.jm', '*.kh', '*.mm', '*.np', '*.pg',
+  // Private: hosting platforms where each subdomain belongs to a different owner
+  'appspot.com', 'azurestaticapps.net', 'azurewebsites.net', 'blogspot.com', 'cloudfront.net', 'firebaseapp.com',
+  'fly.dev', 'github.io', 'githubusercontent.com', 'gitlab.io', 'glitch.me', 'herokuapp.com', 'myshopify.com',
+  'netlify.app', 'ngrok-free.app', 'ngrok.io', 'onrender.com', 'pages.dev', 'readthedocs.io', 'repl.co',
+  's3.amazonaws.com', 'surge.sh', 'vercel.app', 'web.app', 'workers.dev'
+]);
+
+/** @constant {string[]} Supported domain grouping modes */
+export const DOMAIN_GROUPING_MODES = ['registrable', 'hostname', 'depth'];
+
+/**
+ * Check whether a hostname is an IP address
+ * @param {string} hostname - Hostname to check
+ * @returns {boolean} True for IPv4 and bracketed/colon IPv6 addresses
+ */
+function isIpAddress(hostname) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.includes(':') || hostname.startsWith('[');
+}
+
+/**
+ * Find the public suffix of a hostname
+ * @param {string} hostname - Lowercase hostname
+ * @returns {string} Public suffix (e.g. "co.uk", "github.io", "com")
+ */
+function getPublicSuffix(hostname) {
+  const labels = hostname.split('.');
+
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    const parent = labels.slice(i + 1).join('.');
+
+    // Exception rules make the parent the suffix (e.g. !www.ck → ck)
+    if (PUBLIC_SUFFIXES.has('!' + candidate)) {
+      return parent;
+    }
+    if (PUBLIC_SUFFIXES.has(candidate) || (parent && PUBLIC_SUFFIXES.has('*.' + parent))) {
+      return candidate;
+    }
+  }
+
+  // Implicit "*" rule: the last label is a public suffix
+  return labels[labels.length - 1];
+}
+
+/**
+ * Get the registrable domain (eTLD+1) of a hostname
+ * @param {string} hostname - Hostname (any case, with or without "www.")
+ * @returns {string} Registrable domain, or the hostname itself for IPs, single labels, and bare suffixes
+ */
+function getRegistrableDomain(hostname) {
+  const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+  if (!host || isIpAddress(host) || !host.includes('.')) {
+    return host;
+  }
+
+  const suffix = getPublicSuffix(host);
+  if (host === suffix) {
+    return host;
+  }
+
+  const remainder = host.slice(0, host.length - suffix.length - 1).split('.');
+  return `${remainder[remainder.length - 1]}.${suffix}`;
+}
+
+/**
+ * Get the labels of a hostname that sit above its public suffix
+ * @param {string} hostname - Hostname
+ * @returns {string[]} Labels such as ["mail", "google"] for mail.google.com
+ */
+export function getOwnerLabels(hostname) {
+  const host = (hostname || '').toLowerCase();
+  if (!host || isIpAddress(host)) {
+    return [];
+  }
+
+  const suffix = getPublicSuffix(host);
+  if (host === suffix) {
+    return [];
+  }
+  return host.slice(0, host.length - suffix.length - 1).split('.');
+}
+
+/**
+ * Check whether a hostname is a domain or one of its subdomains
+ * @param {string} hostname - Lowercase hostname
+ * @param {string} domain - Domain to compare against (e.g. "google.com")
+ * @returns {boolean} True for an exact or subdomain match
+ */
+export function hostMatchesDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+/**
+ * Get the grouping key for a hostname
+ * @param {string} hostname - Hostname of the tab
+ * @param {Object} [options] - Grouping options
+ * @param {string} [options.mode='registrable'] - 'registrable', 'hostname', or 'depth'
+ * @param {number} [options.depth=1] - Subdomain levels kept above the registrable domain in 'depth' mode
+ * @returns {string} Group key (e.g. "google.com", "mail.google.com")
+ */
+export function getDomainGroupKey(hostname, options = {}) {
+  const host = (hostname || '').toLowerCase().replace(/^www\./, '');
+  const mode = DOMAIN_GROUPING_MODES.includes(options.mode) ? options.mode : 'registrable';
+
+  if (mode === 'hostname') {
+    return host;
+  }
+
+  const registrable = getRegistrableDomain(host);
+  if (mode === 'registrable' || host === registrable) {
+    return registrable;
+  }
+
+  const depth = Math.max(0, parseInt(options.depth, 10) || 0);
+  const subdomainLabels = host.slice(0, host.length - registrable.length - 1).split('.');
+  const kept = subdomainLabels.slice(Math.max(0, subdomainLabels.length - depth));
+  return [...kept, registrable].join('.');
+}
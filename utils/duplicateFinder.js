@@ -0,0 +1,146 @@
+/**
+ * Duplicate Finder - Version 1.0.0
+ * Finds tabs open on the same page and closes the extra copies
+ * @fileoverview Duplicate clusters built on urlNormalizer, with undo support for closed tabs
+ */
+
+import { unwrapPlaceholderTab } from './placeholderTabs.js';
+import { DEFAULT_URL_NORMALIZATION, normalizeUrl } from './urlNormalizer.js';
+
+/**
+ * Load the user's URL normalization options for duplicate detection
+ * @returns {Promise<Object>} Options for normalizeUrl
+ */
+export async function getDuplicateUrlOptions() {
+  try {
+    const { duplicateUrlOptions } = await chrome.storage.local.get(['duplicateUrlOptions']);
+    return { ...DEFAULT_URL_NORMALIZATION, ...(duplicateUrlOptions || {}) };
+  } catch (error) {
+    console.error('[DuplicateFinder] Error loading URL options:', error);
+    return { ...DEFAULT_URL_NORMALIZATION };
+  }
+}
+
+/**
+ * Order tabs so the most recently active one comes first
+ * @param {chrome.tabs.Tab} a - First tab
+ * @param {chrome.tabs.Tab} b - Second tab
+ * @returns {number} Sort order
+ */
+function compareByRecentActivity(a, b) {
+  if (a.active !== b.active) {
+    return a.active ? -1 : 1;
+  }
+  return (b.lastAccessed || 0) - (a.lastAccessed || 0);
+}
+
+/**
+ * Find clusters of tabs open on the same normalized URL
+ * @param {Array<chrome.tabs.Tab>} tabs - Tabs to search
+ * @param {Object} [options] - Options for normalizeUrl
+ * @returns {Array<{key: string, keep: chrome.tabs.Tab, duplicates: Array<chrome.tabs.Tab>}>} Clusters with more than one tab
+ */
+export function findDuplicateClusters(tabs, options = {}) {
+  const clusters = new Map();
+  const placeholders = new Set();
+
+  // Placeholders from a lazy restore count as the page they stand in for
+  for (const openTab of tabs) {
+    const tab = unwrapPlaceholderTab(openTab);
+    if (tab !== openTab) {
+      placeholders.add(tab);
+    }
+
+    const url = tab.url || tab.pendingUrl || '';
+    if (!url || url.startsWith('chrome://') || url.startsWith('chrome-extension://')) {
+      continue;
+    }
+
+    const key = normalizeUrl(url, options);
+    if (!clusters.has(key)) {
+      clusters.set(key, []);
+    }
+    clusters.get(key).push(tab);
+  }
+
+  const result = [];
+  for (const [key, clusterTabs] of clusters) {
+    if (clusterTabs.length < 2) {
+      continue;
+    }
+
+    // A loaded page is kept over a placeholder of it
+    const [keep, ...duplicates] = [...clusterTabs].sort((a, b) =>
+      Number(placeholders.has(a)) - Number(placeholders.has(b)) || compareByRecentActivity(a, b)
+    );
+    result.push({ key, keep, duplicates });
+  }
+
+  return result;
+}
+
+/**
+ * Describe closed tabs so they can be reopened by undo
+ * @param {Array<chrome.tabs.Tab>} tabs - Tabs about to be closed
+ * @returns {Array<Object>} Closed tab records {id, url, title, windowId, index, pinned}
+ */
+export function describeClosedTabs(tabs) {
+  return tabs.map(tab => ({
+    id: tab.id,
+    url: tab.url || tab.pendingUrl,
+    title: tab.title,
+    windowId: tab.windowId,
+    index: tab.index,
+    pinned: tab.pinned || false
+  }));
+}
+
+/**
+ * Close the duplicate tabs in the given clusters, keeping each cluster's most recent tab
+ * @param {Array<Object>} clusters - Clusters from findDuplicateClusters
+ * @returns {Promise<number>} Number of tabs closed
+ * @throws {Error} If the tabs cannot be closed
+ */
+export async function closeDuplicateTabs(clusters) {
+  const tabIds = clusters.flatMap(cluster => cluster.duplicates.map(tab => tab.id));
+  if (tabIds.length === 0) {
+    return 0;
+  }
+
+  try {
+    await chrome.tabs.remove(tabIds);
+    return tabIds.length;
+  } catch (error) {
+    console.error('[DuplicateFinder] Error closing duplicates:', error);
+    throw new Error('Failed to close duplicate tabs');
+  }
+}
+
+/**
+ * Reopen tabs recorded by describeClosedTabs
+ * @param {Array<Object>} closedTabs - Closed tab records
+ * @returns {Promise<Map<number, number>>} New tab IDs keyed by the closed tab ID
+ */
+export async function reopenClosedTabs(closedTabs) {
+  const idMap = new Map();
+  const ordered = [...(closedTabs || [])].sort((a, b) => a.index - b.index);
+
+  for (const closed of ordered) {
+    try {
+      const window = await chrome.windows.get(closed.windowId).catch(() => null);
+      const createProperties = { url: closed.url, pinned: closed.pinned, active: false };
+      if (window) {
+        createProperties.windowId = closed.windowId;
+        createProperties.index = closed.index;
+      }
+
+      const tab = await chrome.tabs.create(createProperties);
+      idMap.set(closed.id, tab.id);
+    } catch (error) {
+      console.warn('[DuplicateFinder] Error reopening tab:', closed.url, error);
+      // Continue with other tabs
+    }
+  }
+
+  return idMap;
+}
@@ -0,0 +1,187 @@
+/**
+ * Override Manager - Version 1.0.0
+ * Per-host category overrides learned from manual corrections
+ * @fileoverview Storage for learned overrides and the type groups Tab-it created
+ */
+
+/** @constant {number} Maximum number of learned overrides kept */
+const MAX_LEARNED_OVERRIDES = 500;
+
+/** @constant {number} How long a tab Tab-it grouped itself is not taken as a correction (ms, longer than the settle delay) */
+const PROGRAMMATIC_MOVE_WINDOW = 10000;
+
+/** @constant {string} Session storage key prefix for tabs Tab-it is grouping */
+const PROGRAMMATIC_MOVE_KEY_PREFIX = 'programmaticGroupMove:';
+
+/**
+ * Get the host key used for overrides
+ * @param {string} url - Tab URL
+ * @returns {string|null} Lowercase hostname without "www.", or null for invalid URLs
+ */
+export function getOverrideHost(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      return null;
+    }
+    return hostname.toLowerCase().replace(/^www\./, '') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get all learned overrides
+ * @returns {Promise<Object<string, {category: string, count: number, updatedAt: number}>>} Overrides keyed by host
+ */
+export async function getLearnedOverrides() {
+  try {
+    const { learnedOverrides } = await chrome.storage.local.get(['learnedOverrides']);
+    return learnedOverrides && typeof learnedOverrides === 'object' ? learnedOverrides : {};
+  } catch (error) {
+    console.error('[OverrideManager] Error loading overrides:', error);
+    return {};
+  }
+}
+
+/**
+ * Persist learned overrides, dropping the oldest entries past the limit
+ * @param {Object<string, Object>} overrides - Overrides keyed by host
+ * @returns {Promise<void>}
+ */
+export async function saveLearnedOverrides(overrides) {
+  const entries = Object.entries(overrides)
+    .sort((a, b) => (b[1].updatedAt || 0) - (a[1].updatedAt || 0))
+    .slice(0, MAX_LEARNED_OVERRIDES);
+
+  await chrome.storage.local.set({ learnedOverrides: Object.fromEntries(entries) });
+}
+
+/**
+ * Record that tabs from a host belong in a category
+ * @param {string} host - Host key from getOverrideHost
+ * @param {string} category - Category ID the user chose
+ * @returns {Promise<void>}
+ */
+export async function recordLearnedOverride(host, category) {
+  const overrides = await getLearnedOverrides();
+  const existing = overrides[host];
+
+  overrides[host] = {
+    category,
+    count: existing && existing.category === category ? existing.count + 1 : 1,
+    updatedAt: Date.now()
+  };
+
+  await saveLearnedOverrides(overrides);
+}
+
+/**
+ * Forget the learned override for a host
+ * @param {string} host - Host key
+ * @returns {Promise<void>}
+ */
+export async function forgetLearnedOverride(host) {
+  const overrides = await getLearnedOverrides();
+  delete overrides[host];
+  await chrome.storage.local.set({ learnedOverrides: overrides });
+}
+
+/**
+ * Find the learned override that applies to a tab
+ * @param {chrome.tabs.Tab} tab - Tab to look up
+ * @param {Object<string, Object>} [overrides] - Overrides keyed by host
+ * @returns {{host: string, category: string}|null} Matching override or null
+ */
+export function findLearnedOverride(tab, overrides) {
+  if (!tab || !tab.url || !overrides) {
+    return null;
+  }
+
+  const host = getOverrideHost(tab.url);
+  if (!host || !overrides[host]) {
+    return null;
+  }
+
+  return { host, category: overrides[host].category };
+}
+
+/**
+ * Get the type groups Tab-it created in this browser session
+ * @returns {Promise<Object<string, string>>} Category IDs keyed by tab group ID
+ */
+export async function getManagedTypeGroups() {
+  try {
+    const { managedTypeGroups } = await chrome.storage.local.get(['managedTypeGroups']);
+    return managedTypeGroups || {};
+  } catch (error) {
+    console.error('[OverrideManager] Error loading managed groups:', error);
+    return {};
+  }
+}
+
+/**
+ * Remember that a tab group was created for a category
+ * @param {number} groupId - Chrome tab group ID
+ * @param {string} category - Category ID
+ * @returns {Promise<void>}
+ */
+export async function recordManagedTypeGroup(groupId, category) {
+  const groups = await getManagedTypeGroups();
+  groups[groupId] = category;
+  await chrome.storage.local.set({ managedTypeGroups: groups });
+}
+
+/**
+ * Stop tracking a tab group (e.g. after it was removed)
+ * @param {number} groupId - Chrome tab group ID
+ * @returns {Promise<void>}
+ */
+export async function forgetManagedTypeGroup(groupId) {
+  const groups = await getManagedTypeGroups();
+  if (groups[groupId] === undefined) {
+    return;
+  }
+  delete groups[groupId];
+  await chrome.storage.local.set({ managedTypeGroups: groups });
+}
+
+/**
+ * Mark tabs Tab-it is about to group itself, so the move is not learned as a user correction
+ * Call before chrome.tabs.group. Marks live in session storage so moves made by the popup are seen by the
+ * service worker; each tab has its own key so concurrent marks do not overwrite each other.
+ * @param {Array<number>} tabIds - Tabs being grouped
+ * @returns {Promise<void>}
+ */
+export async function markProgrammaticGroupMoves(tabIds) {
+  try {
+    const expiresAt = Date.now() + PROGRAMMATIC_MOVE_WINDOW;
+    await chrome.storage.session.set(Object.fromEntries(tabIds.map(tabId => [`${PROGRAMMATIC_MOVE_KEY_PREFIX}${tabId}`, expiresAt])));
+  } catch (error) {
+    console.warn('[OverrideManager] Error marking grouped tabs:', error);
+  }
+}
+
+/**
+ * Check whether Tab-it grouped a tab recently (see markProgrammaticGroupMoves)
+ * Expired marks are removed.
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<boolean>} True if the tab's last group change was made by Tab-it
+ */
+export async function isProgrammaticGroupMove(tabId) {
+  try {
+    const key = `${PROGRAMMATIC_MOVE_KEY_PREFIX}${tabId}`;
+    const { [key]: expiresAt } = await chrome.storage.session.get([key]);
+    if (!expiresAt) {
+      return false;
+    }
+    if (expiresAt <= Date.now()) {
+      await chrome.storage.session.remove(key);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.warn('[OverrideManager] Error reading grouped tab marks:', error);
+    return false;
+  }
+}
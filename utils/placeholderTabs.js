@@ -0,0 +1,38 @@
+/**
+ * Placeholder Tabs - Version 1.0.0
+ * Lightweight stand-in pages for lazily restored tabs
+ * @fileoverview Builds and reads placeholder page URLs; the page loads the real URL when its tab is opened
+ */
+
+/** @constant {string} Placeholder page path inside the extension */
+const PLACEHOLDER_PAGE = 'placeholder/placeholder.html';
+
+/**
+ * Build the placeholder URL standing in for a saved tab
+ * @param {Object} savedTab - Saved tab {url, title}
+ * @returns {string} Extension URL of the placeholder page
+ */
+export function getPlaceholderUrl(savedTab) {
+  const params = new URLSearchParams({ url: savedTab.url, title: savedTab.title || '' });
+  return `${chrome.runtime.getURL(PLACEHOLDER_PAGE)}?${params}`;
+}
+
+/**
+ * Replace a placeholder tab's URL and title with those of the page it stands in for
+ * @param {Object} tab - Browser tab
+ * @returns {Object} The tab itself, or a copy with the real URL and title if it is a placeholder
+ */
+export function unwrapPlaceholderTab(tab) {
+  const url = tab.url || tab.pendingUrl || '';
+  const pagePrefix = `${chrome.runtime.getURL(PLACEHOLDER_PAGE)}?`;
+  if (!url.startsWith(pagePrefix)) {
+    return tab;
+  }
+
+  const params = new URLSearchParams(url.slice(pagePrefix.length));
+  const realUrl = params.get('url');
+  if (!realUrl) {
+    return tab;
+  }
+  return { ...tab, url: realUrl, title: params.get('title') || tab.title };
+}
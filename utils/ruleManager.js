@@ -0,0 +1,213 @@
+/**
+ * Rule Manager - Version 1.0.0
+ * User-defined classification rules evaluated before the built-in classifier
+ * @fileoverview Rule matching, validation, and storage for custom tab classification rules
+ */
+
+/** @constant {number} Maximum number of stored classification rules */
+const MAX_CLASSIFICATION_RULES = 200;
+
+/** @constant {number} Default priority for new rules */
+export const DEFAULT_RULE_PRIORITY = 0;
+
+/**
+ * Convert a host glob (e.g. "*.corp", "grafana.*") into a regular expression
+ * `*` matches any run of characters, `?` matches a single character
+ * @param {string} glob - Host glob pattern
+ * @returns {RegExp} Anchored, case-insensitive expression
+ */
+function globToRegExp(glob) {
+  const escaped = glob
+    .trim()
+    .toLowerCase()
+    .replace(/^www\./, '')
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Parse a query condition of the form "key" or "key=value"
+ * @param {string} query - Query condition
+ * @returns {{key: string, value: (string|null)}|null} Parsed condition or null if empty
+ */
+function parseQueryCondition(query) {
+  const trimmed = (query || '').trim().replace(/^\?/, '');
+  if (!trimmed) {
+    return null;
+  }
+
+  const separatorIndex = trimmed.indexOf('=');
+  if (separatorIndex === -1) {
+    return { key: trimmed, value: null };
+  }
+
+  return {
+    key: trimmed.slice(0, separatorIndex),
+    value: trimmed.slice(separatorIndex + 1)
+  };
+}
+
+/**
+ * Compile a stored rule into matchers
+ * @param {Object} rule - Rule object from storage
+ * @returns {Object|null} Compiled rule or null if the rule is invalid
+ */
+function compileRule(rule) {
+  try {
+    return {
+      rule,
+      host: rule.hostGlob ? globToRegExp(rule.hostGlob) : null,
+      path: rule.pathRegex ? new RegExp(rule.pathRegex, 'i') : null,
+      title: rule.titleRegex ? new RegExp(rule.titleRegex, 'i') : null,
+      query: parseQueryCondition(rule.query)
+    };
+  } catch (error) {
+    console.warn('[RuleManager] Skipping invalid rule:', rule, error);
+    return null;
+  }
+}
+
+/**
+ * Validate a rule before it is stored
+ * @param {Object} rule - Rule to validate
+ * @param {string[]} categories - Allowed category IDs
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+export function validateRule(rule, categories) {
+  if (!rule || typeof rule !== 'object') {
+    return 'Rule is missing';
+  }
+
+  if (!rule.hostGlob && !rule.pathRegex && !rule.titleRegex && !rule.query) {
+    return 'Add at least one condition (host, path, title or query)';
+  }
+
+  if (!categories.includes(rule.category)) {
+    return 'Choose a category for this rule';
+  }
+
+  if (typeof rule.priority !== 'number' || !Number.isFinite(rule.priority)) {
+    return 'Priority must be a number';
+  }
+
+  for (const [field, label] of [['pathRegex', 'Path'], ['titleRegex', 'Title']]) {
+    if (rule[field]) {
+      try {
+        new RegExp(rule[field]);
+      } catch (error) {
+        return `${label} pattern is not a valid regular expression`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a compiled rule matches a tab
+ * All conditions present on the rule must match
+ * @param {Object} compiled - Compiled rule from compileRule
+ * @param {chrome.tabs.Tab} tab - Tab to test
+ * @returns {boolean} True if every condition matches
+ */
+function ruleMatchesTab(compiled, tab) {
+  let urlObj;
+  try {
+    urlObj = new URL(tab.url);
+  } catch (error) {
+    return false;
+  }
+
+  if (compiled.host) {
+    const hostname = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+    if (!compiled.host.test(hostname)) return false;
+  }
+
+  if (compiled.path && !compiled.path.test(urlObj.pathname)) {
+    return false;
+  }
+
+  if (compiled.title && !compiled.title.test(tab.title || '')) {
+    return false;
+  }
+
+  if (compiled.query) {
+    const { key, value } = compiled.query;
+    if (!urlObj.searchParams.has(key)) return false;
+    if (value !== null && urlObj.searchParams.get(key).toLowerCase() !== value.toLowerCase()) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Compile the enabled rules in the order they are evaluated
+ * Compile once per classifier context so patterns are not rebuilt for every tab.
+ * Rules with equal priority keep their list order; invalid rules are skipped.
+ * @param {Array<Object>} rules - Rules from storage
+ * @returns {Array<Object>} Compiled rules, highest priority first
+ */
+export function compileRules(rules) {
+  if (!Array.isArray(rules)) {
+    return [];
+  }
+
+  return rules
+    .map((rule, position) => ({ rule, position }))
+    .filter(({ rule }) => rule && rule.enabled !== false)
+    .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.position - b.position)
+    .map(({ rule }) => compileRule(rule))
+    .filter(compiled => compiled !== null);
+}
+
+/**
+ * Find the highest-priority enabled rule matching a tab
+ * @param {chrome.tabs.Tab} tab - Tab to classify
+ * @param {Array<Object>} compiledRules - Rules from compileRules
+ * @returns {Object|null} Matching rule or null
+ */
+export function findMatchingRule(tab, compiledRules) {
+  if (!tab || !tab.url || !Array.isArray(compiledRules)) {
+    return null;
+  }
+
+  const match = compiledRules.find(compiled => ruleMatchesTab(compiled, tab));
+  return match ? match.rule : null;
+}
+
+/**
+ * Get stored classification rules
+ * @returns {Promise<Array<Object>>} Array of rule objects
+ */
+export async function getClassificationRules() {
+  try {
+    const { classificationRules } = await chrome.storage.local.get(['classificationRules']);
+    return Array.isArray(classificationRules) ? classificationRules : [];
+  } catch (error) {
+    console.error('[RuleManager] Error loading rules:', error);
+    return [];
+  }
+}
+
+/**
+ * Persist classification rules
+ * @param {Array<Object>} rules - Rules to store
+ * @returns {Promise<void>}
+ * @throws {Error} If there are too many rules or storage fails
+ */
+export async function saveClassificationRules(rules) {
+  if (rules.length > MAX_CLASSIFICATION_RULES) {
+    throw new Error(`You can store up to ${MAX_CLASSIFICATION_RULES} rules`);
+  }
+
+  try {
+    await chrome.storage.local.set({ classificationRules: rules });
+  } catch (error) {
+    console.error('[RuleManager] Error saving rules:', error);
+    throw new Error('Could not save rules. Please try again.');
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * Session Backup - Version 1.0.0
+ * Scheduled backups of all sessions to the Downloads folder
+ * @fileoverview Writes a full JSON export (readable by the options page import) through chrome.downloads,
+ * with timestamped file names. Backups past the retention count are deleted, oldest first.
+ * The file is handed to chrome.downloads as a blob URL made by an offscreen document (offscreen/offscreen.html),
+ * since service workers cannot create object URLs and data URLs are limited to 2 MB.
+ *
+ * Settings (chrome.storage.local): backupEnabled, backupFrequency, backupFolder, backupRetention.
+ * backupHistory lists the backups written so far and backupStatus records the outcome of the last run.
+ */
+
+import { toBase64 } from './backupCrypto.js';
+import { exportSessions } from './sessionExport.js';
+import { listSessions } from './sessionStore.js';
+
+/** @constant {Object<string, number>} Minutes between backups by schedule */
+export const BACKUP_FREQUENCIES = {
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60
+};
+
+/** @constant {string} Downloads subfolder used when none is set */
+export const DEFAULT_BACKUP_FOLDER = 'Tab-it Backups';
+
+/** @constant {number} Backups kept when no retention count is set */
+export const DEFAULT_BACKUP_RETENTION = 7;
+
+/** @constant {number} Most backups that can be kept */
+export const MAX_BACKUP_RETENTION = 30;
+
+/** @constant {number} Longest backup folder path */
+const MAX_BACKUP_FOLDER_LENGTH = 100;
+
+/** @constant {string} Offscreen document that creates blob URLs for backups */
+const OFFSCREEN_DOCUMENT = 'offscreen/offscreen.html';
+
+/** @constant {number} Longest data URL chrome.downloads accepts, used when no offscreen document can be made */
+const MAX_DATA_URL_LENGTH = 2 * 1024 * 1024;
+
+/**
+ * Clean up a backup folder path so chrome.downloads accepts it as a path inside Downloads
+ * @param {*} folder - User input such as "Backups/Tab-it"
+ * @returns {string} Relative path without empty, "." or ".." parts or reserved characters (DEFAULT_BACKUP_FOLDER if nothing is left)
+ */
+export function normalizeBackupFolder(folder) {
+  const parts = (typeof folder === 'string' ? folder : '')
+    .split(/[\\/]+/)
+    // Characters Windows does not allow in file names, and trailing dots and spaces it strips
+    .map(part => part.replace(/[<>:"|?*\u0000-\u001F]/g, '').trim().replace(/[. ]+$/, ''))
+    .filter(part => part && part !== '.' && part !== '..');
+
+  const path = parts.join('/').slice(0, MAX_BACKUP_FOLDER_LENGTH).replace(/[/. ]+$/, '');
+  return path || DEFAULT_BACKUP_FOLDER;
+}
+
+/**
+ * Build the file name of a backup
+ * @param {string} folder - Normalized backup folder
+ * @param {Date} date - Backup time
+ * @returns {string} Path relative to Downloads, e.g. "Tab-it Backups/tab-it-backup-2024-05-01-0930.json"
+ */
+function getBackupFilename(folder, date) {
+  const pad = value => String(value).padStart(2, '0');
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+  return `${folder}/tab-it-backup-${stamp}.json`;
+}
+
+/**
+ * Get a URL chrome.downloads can save the backup from
+ * Prefers a blob URL from the offscreen document; falls back to a data URL where chrome.offscreen is missing.
+ * @param {string} content - File contents
+ * @param {string} mimeType - File type
+ * @returns {Promise<string>} Blob or data URL
+ * @throws {Error} If the backup is too large for a data URL
+ */
+async function createBackupUrl(content, mimeType) {
+  if (chrome.offscreen) {
+    if (!(await chrome.offscreen.hasDocument())) {
+      await chrome.offscreen.createDocument({
+        url: OFFSCREEN_DOCUMENT,
+        reasons: ['BLOBS'],
+        justification: 'Save scheduled session backups as files'
+      });
+    }
+
+    const response = await chrome.runtime.sendMessage({ type: 'createBackupBlobUrl', content, mimeType });
+    if (!response || !response.success) {
+      throw new Error(`Could not create the backup file (${(response && response.error) || 'no response'})`);
+    }
+    return response.url;
+  }
+
+  const bytes = new TextEncoder().encode(content);
+  const url = `data:${mimeType};base64,${toBase64(bytes)}`;
+  if (url.length > MAX_DATA_URL_LENGTH) {
+    const megabytes = (bytes.length / (1024 * 1024)).toFixed(1);
+    throw new Error(`Backup is too large to save in this browser (${megabytes} MB, the limit is about 1.5 MB). Delete old sessions or update the browser.`);
+  }
+  return url;
+}
+
+/**
+ * Close the offscreen document once a backup no longer needs its blob URL
+ * @returns {Promise<void>}
+ */
+async function closeOffscreenDocument() {
+  try {
+    if (chrome.offscreen && await chrome.offscreen.hasDocument()) {
+      await chrome.offscreen.closeDocument();
+    }
+  } catch (error) {
+    console.warn('[SessionBackup] Error closing offscreen document:', error);
+  }
+}
+
+/**
+ * Record the outcome of a backup run so the options page can show it
+ * @param {Error|null} error - Failure, or null on success
+ * @param {Object} [details] - outcome ('saved', 'skipped' or 'failed'), filename of the backup written, and for
+ *   failures of an earlier run the backup that is now the last good one (lastGood, null for none)
+ * @returns {Promise<void>}
+ */
+async function recordBackupStatus(error, { outcome = error ? 'failed' : 'saved', filename = null, lastGood } = {}) {
+  try {
+    const { backupStatus } = await chrome.storage.local.get(['backupStatus']);
+    const now = Date.now();
+
+    let lastSuccess = backupStatus ? backupStatus.lastSuccess || null : null;
+    let lastFile = backupStatus ? backupStatus.lastFile || null : null;
+    if (outcome === 'saved') {
+      lastSuccess = now;
+      lastFile = filename;
+    } else if (lastGood !== undefined) {
+      lastSuccess = lastGood ? lastGood.timestamp : null;
+      lastFile = lastGood ? lastGood.filename : null;
+    }
+
+    await chrome.storage.local.set({
+      backupStatus: {
+        lastRun: now,
+        lastOutcome: outcome,
+        lastSuccess,
+        lastFile,
+        lastError: error ? (error.message || String(error)) : null,
+        lastErrorAt: error ? now : (backupStatus && backupStatus.lastErrorAt) || null
+      }
+    });
+  } catch (statusError) {
+    console.warn('[SessionBackup] Error recording backup status:', statusError);
+    // Continue - status is informational
+  }
+}
+
+/**
+ * Delete the oldest backups past the retention count
+ * Files the user already moved or deleted are dropped from the history without an error.
+ * @param {Array<{downloadId: number, filename: string, timestamp: number}>} history - Backups, oldest first
+ * @param {number} retention - Backups to keep
+ * @returns {Promise<Array<Object>>} Remaining history
+ */
+async function rotateBackups(history, retention) {
+  const expired = history.slice(0, Math.max(history.length - retention, 0));
+
+  for (const backup of expired) {
+    try {
+      await chrome.downloads.removeFile(backup.downloadId);
+    } catch (error) {
+      console.warn('[SessionBackup] Could not delete old backup:', backup.filename, error);
+    }
+    await chrome.downloads.erase({ id: backup.downloadId }).catch(() => {});
+  }
+
+  return history.slice(expired.length);
+}
+
+/**
+ * Write a backup of all sessions now and delete backups past the retention count
+ * @returns {Promise<{outcome: string, filename: string|null}>} 'saved' with the file written, or 'skipped' when there
+ *   are no sessions
+ * @throws {Error} If the backup could not be written (the error is also recorded in backupStatus)
+ */
+export async function runSessionBackup() {
+  try {
+    const { backupFolder, backupRetention, backupHistory } = await chrome.storage.local.get([
+      'backupFolder',
+      'backupRetention',
+      'backupHistory'
+    ]);
+
+    const sessions = await listSessions();
+    if (sessions.length === 0) {
+      await recordBackupStatus(null, { outcome: 'skipped' });
+      return { outcome: 'skipped', filename: null };
+    }
+
+    const { content, mimeType } = exportSessions(sessions, 'json');
+    const filename = getBackupFilename(normalizeBackupFolder(backupFolder), new Date());
+
+    const downloadId = await chrome.downloads.download({
+      url: await createBackupUrl(content, mimeType),
+      filename,
+      conflictAction: 'overwrite',
+      saveAs: false
+    });
+
+    // A second backup in the same minute overwrote the first one's file, which must not be rotated out with it
+    const history = [
+      ...(Array.isArray(backupHistory) ? backupHistory : []).filter(backup => backup.filename !== filename),
+      { downloadId, filename, timestamp: Date.now() }
+    ];
+    const retention = Math.min(Math.max(parseInt(backupRetention, 10) || DEFAULT_BACKUP_RETENTION, 1), MAX_BACKUP_RETENTION);
+    await chrome.storage.local.set({ backupHistory: await rotateBackups(history, retention) });
+
+    await recordBackupStatus(null, { filename });
+    return { outcome: 'saved', filename };
+  } catch (error) {
+    console.error('[SessionBackup] Backup failed:', error);
+    await recordBackupStatus(error);
+    throw error;
+  }
+}
+
+/**
+ * Finish a backup download: release its file once written, and record it if the browser interrupted it
+ * (e.g. disk full or folder not writable)
+ * Call from chrome.downloads.onChanged; changes to other downloads are ignored.
+ * @param {Object} delta - chrome.downloads.onChanged delta
+ * @returns {Promise<void>}
+ */
+export async function handleBackupDownloadChanged(delta) {
+  const state = delta.state ? delta.state.current : null;
+  if (state !== 'complete' && state !== 'interrupted') {
+    return;
+  }
+
+  try {
+    const { backupHistory } = await chrome.storage.local.get(['backupHistory']);
+    const history = Array.isArray(backupHistory) ? backupHistory : [];
+    const backup = history.find(entry => entry.downloadId === delta.id);
+    if (!backup) {
+      return;
+    }
+
+    await closeOffscreenDocument();
+    if (state === 'complete') {
+      return;
+    }
+
+    const remaining = history.filter(entry => entry !== backup);
+    await chrome.storage.local.set({ backupHistory: remaining });
+
+    const reason = delta.error && delta.error.current ? delta.error.current : 'download interrupted';
+    await recordBackupStatus(new Error(`Could not write ${backup.filename} (${reason})`), {
+      lastGood: remaining[remaining.length - 1] || null
+    });
+  } catch (error) {
+    console.warn('[SessionBackup] Error handling backup download change:', error);
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Session Delta - Version 1.0.0
+ * Change fingerprints and delta encoding for session snapshots
+ * @fileoverview Lets consecutive auto-saves and recoveries share tab data with a full base snapshot
+ */
+
+/** @constant {number} Minimum share of tabs reused from the base for a delta to be worth storing */
+const MIN_DELTA_REUSE = 0.5;
+
+/**
+ * Hash a string with 32-bit FNV-1a
+ * @param {string} text - Text to hash
+ * @returns {string} Hex hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Fingerprint the parts of a session that matter for restoring it: URLs, groups and pinned state
+ * Titles and the active tab are left out so that page loads and tab switches do not count as changes.
+ * @param {Object} session - Full session object
+ * @returns {string} Fingerprint that is equal for equivalent snapshots
+ */
+export function computeSessionFingerprint(session) {
+  const windows = (session.windows || []).map(windowData =>
+    (windowData.tabs || []).map(tab => [
+      tab.url,
+      tab.pinned ? 1 : 0,
+      tab.groupId ?? null
+    ])
+  );
+  const groups = (session.groups || []).map(group => [
+    group.id ?? null,
+    group.title,
+    group.color,
+    group.collapsed ? 1 : 0
+  ]);
+
+  return hashString(JSON.stringify({ windows, groups }));
+}
+
+/**
+ * Check whether a stored record is a delta
+ * @param {Object} record - Stored session record
+ * @returns {boolean} True if the record needs its base to be read
+ */
+export function isDeltaRecord(record) {
+  return Boolean(record && record.baseId && Array.isArray(record.deltaWindows));
+}
+
+/**
+ * Encode a full session as a delta against a base snapshot
+ * Tabs identical to a base tab are stored as that tab's index in the base; other tabs are stored in full.
+ * @param {Object} session - Full session to encode
+ * @param {Object} base - Full base session
+ * @returns {Object|null} Delta record, or null if too few tabs are shared with the base
+ */
+export function encodeSessionDelta(session, base) {
+  const baseIndex = new Map();
+  (base.windows || []).flatMap(windowData => windowData.tabs || []).forEach((tab, index) => {
+    const key = JSON.stringify(tab);
+    if (!baseIndex.has(key)) {
+      baseIndex.set(key, index);
+    }
+  });
+
+  let total = 0;
+  let reused = 0;
+  const deltaWindows = (session.windows || []).map(windowData => ({
+    ...windowData,
+    tabs: (windowData.tabs || []).map(tab => {
+      total++;
+      const index = baseIndex.get(JSON.stringify(tab));
+      if (index === undefined) {
+        return tab;
+      }
+      reused++;
+      return index;
+    })
+  }));
+
+  if (total === 0 || reused / total < MIN_DELTA_REUSE) {
+    return null;
+  }
+
+  const { windows, ...metadata } = session;
+  return { ...metadata, baseId: base.id, deltaWindows };
+}
+
+/**
+ * Rebuild a full session from a delta record and its base
+ * @param {Object} record - Delta record from encodeSessionDelta
+ * @param {Object} base - Full base session
+ * @returns {Object} Full session
+ */
+export function decodeSessionDelta(record, base) {
+  const baseTabs = (base.windows || []).flatMap(windowData => windowData.tabs || []);
+  const { baseId, deltaWindows, ...metadata } = record;
+
+  return {
+    ...metadata,
+    windows: deltaWindows.map(windowData => ({
+      ...windowData,
+      tabs: windowData.tabs
+        .map(tab => (typeof tab === 'number' ? baseTabs[tab] : tab))
+        .filter(Boolean)
+    }))
+  };
+}
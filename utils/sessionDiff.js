@@ -0,0 +1,174 @@
+/**
+ * Session Diff - Version 1.0.0
+ * Compares two saved sessions
+ * @fileoverview Tabs added, removed, moved between groups or (un)pinned, and groups renamed or recolored
+ *
+ * Tabs are matched by normalized URL (see urlNormalizer.js), pairing repeated pages in tab strip order.
+ * Groups are matched by the tabs they share; ids are reused across restarts and imports, so two groups with
+ * the same id but no tabs in common are unrelated.
+ */
+
+import { normalizeUrl } from './urlNormalizer.js';
+
+/**
+ * List a session's tabs with their positions and groups
+ * @param {Object} session - Full session
+ * @returns {Array<{windowIndex: number, tabIndex: number, tab: Object, group: Object|null}>} Tabs in saved order
+ */
+function listSessionEntries(session) {
+  const groups = new Map((session.groups || []).map(group => [group.id, group]));
+  const entries = [];
+
+  (session.windows || []).forEach((windowData, windowIndex) => {
+    (windowData.tabs || []).forEach((tab, tabIndex) => {
+      const group = tab.groupId !== null && groups.has(tab.groupId) ? groups.get(tab.groupId) : null;
+      entries.push({ windowIndex, tabIndex, tab, group });
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Pair the tabs of two sessions by normalized URL
+ * @param {Array<Object>} fromEntries - Entries of the earlier session
+ * @param {Array<Object>} toEntries - Entries of the later session
+ * @param {Object} urlOptions - Options for normalizeUrl
+ * @returns {{pairs: Array<{from: Object, to: Object}>, removed: Array<Object>, added: Array<Object>}} Matched and unmatched entries
+ */
+function matchEntries(fromEntries, toEntries, urlOptions) {
+  const unmatched = new Map();
+  for (const entry of toEntries) {
+    const key = normalizeUrl(entry.tab.url, urlOptions);
+    if (!unmatched.has(key)) {
+      unmatched.set(key, []);
+    }
+    unmatched.get(key).push(entry);
+  }
+
+  const pairs = [];
+  const removed = [];
+  for (const entry of fromEntries) {
+    const candidates = unmatched.get(normalizeUrl(entry.tab.url, urlOptions));
+    if (candidates && candidates.length > 0) {
+      pairs.push({ from: entry, to: candidates.shift() });
+    } else {
+      removed.push(entry);
+    }
+  }
+
+  const pairedTo = new Set(pairs.map(pair => pair.to));
+  const added = toEntries.filter(entry => !pairedTo.has(entry));
+
+  return { pairs, removed, added };
+}
+
+/**
+ * Pair the groups of two sessions by the tabs they share
+ * Group ids are not stable (the browser reuses them after a restart, and migrated or imported groups are numbered
+ * -1, -2, ...), so an id only breaks ties between later groups holding equally many of the group's tabs.
+ * @param {Array<{from: Object, to: Object}>} pairs - Matched tabs
+ * @returns {Map<Object, Object>} Earlier group to later group
+ */
+function matchGroups(pairs) {
+  // Shared tab counts for every earlier/later group pair
+  const overlaps = new Map();
+  for (const pair of pairs) {
+    if (!pair.from.group || !pair.to.group) {
+      continue;
+    }
+    if (!overlaps.has(pair.from.group)) {
+      overlaps.set(pair.from.group, new Map());
+    }
+    const counts = overlaps.get(pair.from.group);
+    counts.set(pair.to.group, (counts.get(pair.to.group) || 0) + 1);
+  }
+
+  // Strongest overlaps first, so a group is not taken by a weaker match
+  const candidates = [];
+  for (const [fromGroup, counts] of overlaps) {
+    for (const [toGroup, count] of counts) {
+      candidates.push({ fromGroup, toGroup, count, sameId: fromGroup.id === toGroup.id });
+    }
+  }
+  candidates.sort((a, b) => b.count - a.count || Number(b.sameId) - Number(a.sameId));
+
+  const matches = new Map();
+  const taken = new Set();
+  for (const { fromGroup, toGroup } of candidates) {
+    if (!matches.has(fromGroup) && !taken.has(toGroup)) {
+      matches.set(fromGroup, toGroup);
+      taken.add(toGroup);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Describe a diff entry
+ * @param {Object} entry - Session entry
+ * @returns {{windowIndex: number, tabIndex: number, tab: Object, groupTitle: string|null}} Tab with its position and group title
+ */
+function describeEntry(entry) {
+  return {
+    windowIndex: entry.windowIndex,
+    tabIndex: entry.tabIndex,
+    tab: entry.tab,
+    groupTitle: entry.group ? entry.group.title || '' : null
+  };
+}
+
+/**
+ * Compare two sessions
+ * Positions in removed refer to the earlier session and all others to the later one, so they can be passed
+ * to selectSessionTabs / restoreSession.
+ * @param {Object} fromSession - Earlier session (full, not a delta)
+ * @param {Object} toSession - Later session
+ * @param {Object} [urlOptions] - Options for normalizeUrl (see getDuplicateUrlOptions)
+ * @returns {{
+ *   added: Array<Object>,
+ *   removed: Array<Object>,
+ *   moved: Array<Object>,
+ *   pinned: Array<Object>,
+ *   renamedGroups: Array<{from: string, to: string, color: string}>,
+ *   recoloredGroups: Array<{title: string, from: string, to: string}>
+ * }} Changes; tab lists hold {windowIndex, tabIndex, tab, groupTitle}, moved entries add fromGroup and pinned
+ *   entries add wasPinned
+ */
+export function diffSessions(fromSession, toSession, urlOptions = {}) {
+  const { pairs, removed, added } = matchEntries(listSessionEntries(fromSession), listSessionEntries(toSession), urlOptions);
+  const groupMatches = matchGroups(pairs);
+
+  const moved = [];
+  const pinned = [];
+  for (const pair of pairs) {
+    const expectedGroup = pair.from.group ? groupMatches.get(pair.from.group) || null : null;
+    if (expectedGroup !== pair.to.group || (pair.from.group && !expectedGroup)) {
+      moved.push({ ...describeEntry(pair.to), fromGroup: pair.from.group ? pair.from.group.title || '' : null });
+    }
+    if (Boolean(pair.from.tab.pinned) !== Boolean(pair.to.tab.pinned)) {
+      pinned.push({ ...describeEntry(pair.to), wasPinned: Boolean(pair.from.tab.pinned) });
+    }
+  }
+
+  const renamedGroups = [];
+  const recoloredGroups = [];
+  for (const [fromGroup, toGroup] of groupMatches) {
+    if ((fromGroup.title || '') !== (toGroup.title || '')) {
+      renamedGroups.push({ from: fromGroup.title || '', to: toGroup.title || '', color: toGroup.color });
+    }
+    if (fromGroup.color !== toGroup.color) {
+      recoloredGroups.push({ title: toGroup.title || '', from: fromGroup.color, to: toGroup.color });
+    }
+  }
+
+  return {
+    added: added.map(describeEntry),
+    removed: removed.map(describeEntry),
+    moved,
+    pinned,
+    renamedGroups,
+    recoloredGroups
+  };
+}
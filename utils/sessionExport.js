@@ -0,0 +1,270 @@
+/**
+ * Session Export - Version 1.0.0
+ * Turns saved sessions into files other tools can read
+ * @fileoverview JSON backups, Netscape bookmark HTML, Markdown, CSV and plain URL lists
+ */
+
+/**
+ * @constant {Object<string, {label: string, extension: string, mimeType: string}>} Export formats by id
+ */
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON backup', extension: 'json', mimeType: 'application/json' },
+  bookmarks: { label: 'Bookmarks (HTML)', extension: 'html', mimeType: 'text/html' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  urls: { label: 'URL list', extension: 'txt', mimeType: 'text/plain' }
+};
+
+/**
+ * Split a window's tabs into runs of consecutive tabs in the same group
+ * @param {Object} session - Session the window belongs to
+ * @param {Object} windowData - Saved window
+ * @returns {Array<{group: Object|null, tabs: Array<Object>}>} Runs in tab strip order (group is null for ungrouped tabs)
+ */
+function splitIntoGroupRuns(session, windowData) {
+  const groups = new Map((session.groups || []).map(group => [group.id, group]));
+  const runs = [];
+
+  for (const tab of windowData.tabs || []) {
+    const group = tab.groupId !== null && groups.has(tab.groupId) ? groups.get(tab.groupId) : null;
+    const lastRun = runs[runs.length - 1];
+    if (lastRun && lastRun.group === group) {
+      lastRun.tabs.push(tab);
+    } else {
+      runs.push({ group, tabs: [tab] });
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a Netscape bookmark file: one folder per session, per window (when there are several) and per group
+ * @param {Array<Object>} sessions - Full sessions
+ * @returns {string} Bookmark HTML
+ */
+function exportBookmarks(sessions) {
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>'
+  ];
+
+  const openFolder = (title, addDate, depth) => {
+    const indent = '    '.repeat(depth);
+    lines.push(`${indent}<DT><H3 ADD_DATE="${addDate}">${escapeHtml(title)}</H3>`);
+    lines.push(`${indent}<DL><p>`);
+  };
+  const closeFolder = depth => lines.push(`${'    '.repeat(depth)}</DL><p>`);
+
+  for (const session of sessions) {
+    const addDate = Math.floor((session.timestamp || Date.now()) / 1000);
+    const windows = session.windows || [];
+    openFolder(session.name || 'Unnamed Session', addDate, 1);
+
+    windows.forEach((windowData, windowIndex) => {
+      const windowDepth = windows.length > 1 ? 3 : 2;
+      if (windows.length > 1) {
+        openFolder(`Window ${windowIndex + 1}`, addDate, 2);
+      }
+
+      for (const run of splitIntoGroupRuns(session, windowData)) {
+        const tabDepth = run.group ? windowDepth + 1 : windowDepth;
+        if (run.group) {
+          openFolder(run.group.title || 'Untitled Group', addDate, windowDepth);
+        }
+        for (const tab of run.tabs) {
+          lines.push(`${'    '.repeat(tabDepth)}<DT><A HREF="${escapeHtml(tab.url)}" ADD_DATE="${addDate}">${escapeHtml(tab.title || tab.url)}</A>`);
+        }
+        if (run.group) {
+          closeFolder(windowDepth);
+        }
+      }
+
+      if (windows.length > 1) {
+        closeFolder(2);
+      }
+    });
+
+    closeFolder(1);
+  }
+
+  lines.push('</DL><p>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape text for use as Markdown link text
+ * @param {string} text - Link text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/[\\[\]*_`<>]/g, '\\$&').replace(/\s+/g, ' ');
+}
+
+/**
+ * Build a Markdown document with a heading per session, window and group
+ * @param {Array<Object>} sessions - Full sessions
+ * @returns {string} Markdown
+ */
+function exportMarkdown(sessions) {
+  const blocks = [];
+
+  for (const session of sessions) {
+    const tabCount = (session.windows || []).reduce((count, windowData) => count + (windowData.tabs || []).length, 0);
+    blocks.push(`# ${escapeMarkdown(session.name || 'Unnamed Session')}`);
+    blocks.push(`_Saved ${new Date(session.timestamp).toLocaleString()} · ${tabCount} tab${tabCount !== 1 ? 's' : ''}_`);
+
+    (session.windows || []).forEach((windowData, windowIndex) => {
+      blocks.push(`## Window ${windowIndex + 1}`);
+
+      let afterGroup = false;
+      for (const run of splitIntoGroupRuns(session, windowData)) {
+        // Ungrouped tabs after a group get their own heading so they don't read as part of it
+        if (run.group) {
+          blocks.push(`### ${escapeMarkdown(run.group.title || 'Untitled Group')}`);
+          afterGroup = true;
+        } else if (afterGroup) {
+          blocks.push('### Ungrouped');
+        }
+
+        // Angle brackets keep URLs with spaces or parentheses in one piece
+        blocks.push(run.tabs
+          .map(tab => `- ${tab.pinned ? '📌 ' : ''}[${escapeMarkdown(tab.title || tab.url)}](<${tab.url.replace(/[<>]/g, char => encodeURIComponent(char))}>)`)
+          .join('\n'));
+      }
+    });
+  }
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Quote a CSV field
+ * Fields that a spreadsheet would run as a formula get a leading apostrophe.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV file with one row per tab
+ * @param {Array<Object>} sessions - Full sessions
+ * @returns {string} CSV with a header row
+ */
+function exportCsv(sessions) {
+  const rows = [['session', 'saved_at', 'window', 'group', 'title', 'url', 'pinned']];
+
+  for (const session of sessions) {
+    const savedAt = new Date(session.timestamp).toISOString();
+    (session.windows || []).forEach((windowData, windowIndex) => {
+      for (const run of splitIntoGroupRuns(session, windowData)) {
+        for (const tab of run.tabs) {
+          rows.push([
+            session.name || '',
+            savedAt,
+            windowIndex + 1,
+            run.group ? run.group.title || '' : '',
+            tab.title || '',
+            tab.url,
+            tab.pinned ? 'true' : 'false'
+          ]);
+        }
+      }
+    });
+  }
+
+  return `${rows.map(row => row.map(toCsvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Build a plain URL list, one tab per line
+ * @param {Array<Object>} sessions - Full sessions
+ * @returns {string} URLs
+ */
+function exportUrlList(sessions) {
+  const urls = sessions.flatMap(session =>
+    (session.windows || []).flatMap(windowData => (windowData.tabs || []).map(tab => tab.url))
+  );
+  return `${urls.join('\n')}\n`;
+}
+
+/**
+ * Make a file name from a session name
+ * @param {string} name - Session name
+ * @returns {string} Name with only safe characters, or '' if none are left
+ */
+function toFileName(name) {
+  return (name || '').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').slice(0, 60);
+}
+
+/**
+ * Export sessions in a format
+ * @param {Array<Object>} sessions - Full sessions (not deltas)
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {{content: string, filename: string, mimeType: string}} File contents and suggested name
+ * @throws {Error} If the format is unknown
+ */
+export function exportSessions(sessions, format) {
+  const formatInfo = EXPORT_FORMATS[format];
+  if (!formatInfo) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  let content;
+  if (format === 'bookmarks') {
+    content = exportBookmarks(sessions);
+  } else if (format === 'markdown') {
+    content = exportMarkdown(sessions);
+  } else if (format === 'csv') {
+    content = exportCsv(sessions);
+  } else if (format === 'urls') {
+    content = exportUrlList(sessions);
+  } else {
+    content = JSON.stringify(sessions, null, 2);
+  }
+
+  const baseName = (sessions.length === 1 && toFileName(sessions[0].name)) || `tab-organizer-sessions-${Date.now()}`;
+  return { content, filename: `${baseName}.${formatInfo.extension}`, mimeType: formatInfo.mimeType };
+}
+
+/**
+ * Save exported sessions as a download (extension pages only; needs a document)
+ * @param {{content: string, filename: string, mimeType: string}} exported - Result of exportSessions
+ */
+export function downloadExport(exported) {
+  const blob = new Blob([exported.content], { type: `${exported.mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = exported.filename;
+  a.click();
+
+  // Give the download a moment to start before the URL goes away
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,643 @@
+/**
+ * Session Import - Version 1.0.0
+ * Reads sessions exported by Tab-it and other tab managers
+ * @fileoverview Parsers for Tab-it JSON, OneTab text, Session Buddy JSON, Toby JSON, Netscape bookmark HTML
+ * and plain URL lists. Everything is converted to current-schema sessions for preview, then validated and
+ * checked against stored sessions for conflicts; nothing is stored here.
+ */
+
+import { TAB_GROUP_COLORS } from './categoryManager.js';
+import { computeSessionFingerprint, isDeltaRecord } from './sessionDelta.js';
+import {
+  SESSION_SCHEMA_VERSION,
+  SESSION_KINDS,
+  createSessionTab,
+  migrateSessionRecord,
+  normalizeSessionTags,
+  normalizeSessionFolder
+} from './sessionSchema.js';
+
+/** @constant {Object<string, string>} Display names of import formats */
+export const IMPORT_FORMATS = {
+  'tab-it': 'Tab-it backup',
+  onetab: 'OneTab',
+  'session-buddy': 'Session Buddy',
+  toby: 'Toby',
+  bookmarks: 'Bookmarks (HTML)',
+  urls: 'URL list'
+};
+
+/** @constant {Object<string, string>} Ways to settle an imported session that clashes with a stored one */
+export const IMPORT_CONFLICT_CHOICES = {
+  skip: 'Skip',
+  replace: 'Replace',
+  'keep-both': 'Keep both'
+};
+
+/** @constant {string[]} URL schemes that run code or carry their own content; tabs with them are never imported */
+const UNSAFE_URL_SCHEMES = ['javascript:', 'data:', 'vbscript:', 'blob:'];
+
+/** @constant {number} Most errors listed for one record */
+const MAX_RECORD_ERRORS = 5;
+
+/** @constant {string[]} Window states chrome.windows.create accepts */
+const WINDOW_STATES = ['normal', 'minimized', 'maximized', 'fullscreen'];
+
+/**
+ * Check whether text is an absolute URL
+ * @param {string} text - Candidate URL
+ * @returns {boolean} True if it parses with a scheme
+ */
+function isAbsoluteUrl(text) {
+  try {
+    new URL(text);
+    return /^[a-z][a-z0-9+.-]*:/i.test(text);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert a parsed session to the current schema
+ * @param {{name: string, timestamp: number, windows: Array<Array<Object>>}} raw - Parsed session: tabs per window as
+ *   {url, title?, pinned?, group?}; consecutive tabs with the same group name form one tab group
+ * @param {string} id - Session ID
+ * @returns {{session: Object, skipped: number}} Session (with no windows if no tab was usable) and the number of tabs skipped
+ */
+function buildImportedSession(raw, id) {
+  const session = {
+    schemaVersion: SESSION_SCHEMA_VERSION,
+    id,
+    name: (raw.name || '').trim() || 'Imported session',
+    kind: 'manual',
+    timestamp: Number.isFinite(raw.timestamp) ? raw.timestamp : Date.now(),
+    tags: [],
+    folder: null,
+    starred: false,
+    windows: [],
+    groups: []
+  };
+  let skipped = 0;
+
+  for (const tabs of raw.windows) {
+    const windowData = { id: session.windows.length + 1, tabs: [] };
+    let currentGroup = null;
+
+    for (const tab of tabs) {
+      if (!tab || typeof tab.url !== 'string' || !isAbsoluteUrl(tab.url)) {
+        skipped++;
+        continue;
+      }
+
+      if (!tab.group) {
+        currentGroup = null;
+      } else if (!currentGroup || currentGroup.title !== tab.group) {
+        // Imported groups get negative ids, which never collide with browser group ids
+        currentGroup = {
+          id: -(session.groups.length + 1),
+          title: tab.group,
+          color: TAB_GROUP_COLORS[(session.groups.length + 1) % TAB_GROUP_COLORS.length],
+          collapsed: false,
+          windowId: windowData.id,
+          index: windowData.tabs.length
+        };
+        session.groups.push(currentGroup);
+      }
+
+      windowData.tabs.push(createSessionTab({
+        url: tab.url,
+        title: typeof tab.title === 'string' && tab.title.trim() ? tab.title.trim() : tab.url,
+        pinned: tab.pinned === true && !currentGroup
+      }, currentGroup ? currentGroup.id : null));
+    }
+
+    if (windowData.tabs.length > 0) {
+      session.windows.push(windowData);
+    }
+  }
+
+  session.fingerprint = computeSessionFingerprint(session);
+  return { session, skipped };
+}
+
+/**
+ * Parse OneTab's text export: "url | title" lines, with a blank line between saved groups
+ * Each OneTab group becomes a session.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Parsed sessions (see buildImportedSession)
+ */
+function parseOneTab(text) {
+  const blocks = text.split(/\r?\n\s*\r?\n/).filter(block => block.trim());
+  const now = Date.now();
+
+  return blocks.map((block, index) => {
+    const tabs = block.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+      const separator = line.indexOf(' | ');
+      return separator === -1
+        ? { url: line }
+        : { url: line.slice(0, separator).trim(), title: line.slice(separator + 3) };
+    });
+    return { name: `OneTab ${index + 1}`, timestamp: now, windows: [tabs] };
+  });
+}
+
+/**
+ * Parse a Session Buddy export
+ * Handles the older backup shape ({sessions: [{name, windows: [{tabs}]}]}) and the newer collection shape
+ * ({collections: [{title, folders: [{title, links}]}]}), where each folder is a window.
+ * @param {Object} data - Parsed JSON
+ * @returns {Array<Object|null>} Parsed sessions (see buildImportedSession), null for entries that are not sessions
+ */
+function parseSessionBuddy(data) {
+  const toTimestamp = value => (typeof value === 'number' ? value : Date.parse(value));
+
+  const sessions = (Array.isArray(data.sessions) ? data.sessions : []).map(session => {
+    if (!session || !Array.isArray(session.windows)) {
+      return null;
+    }
+    return {
+      name: session.name || (session.type === 'current' ? 'Session Buddy (current)' : 'Session Buddy'),
+      timestamp: toTimestamp(session.created || session.generated || session.modified),
+      windows: session.windows.map(windowData => (Array.isArray(windowData && windowData.tabs) ? windowData.tabs : []))
+    };
+  });
+
+  const collections = (Array.isArray(data.collections) ? data.collections : []).map(collection => {
+    if (!collection || !Array.isArray(collection.folders)) {
+      return null;
+    }
+    return {
+      name: collection.title || 'Session Buddy',
+      timestamp: toTimestamp(collection.created || collection.updated),
+      windows: collection.folders.map(folder => (Array.isArray(folder && folder.links) ? folder.links : []))
+    };
+  });
+
+  return [...sessions, ...collections];
+}
+
+/**
+ * Parse a Toby export: {lists: [{title, cards: [{url, title, customTitle}]}]}, optionally inside
+ * {groups: [{name, lists}]}
+ * Each Toby collection (list) becomes a session.
+ * @param {Object} data - Parsed JSON
+ * @returns {Array<Object|null>} Parsed sessions (see buildImportedSession), null for entries that are not collections
+ */
+function parseToby(data) {
+  const lists = Array.isArray(data.lists)
+    ? data.lists.map(list => ({ list, prefix: '' }))
+    : (Array.isArray(data.groups) ? data.groups : []).flatMap(group =>
+      (group && Array.isArray(group.lists) ? group.lists : []).map(list => ({ list, prefix: group.name ? `${group.name} / ` : '' }))
+    );
+  const now = Date.now();
+
+  return lists.map(({ list, prefix }) => {
+    if (!list || !Array.isArray(list.cards)) {
+      return null;
+    }
+    return {
+      name: `${prefix}${list.title || 'Toby collection'}`,
+      timestamp: now,
+      windows: [list.cards.map(card => card && { url: card.url, title: card.customTitle || card.title })]
+    };
+  });
+}
+
+/**
+ * Decode the HTML entities used in bookmark files
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return value > 0 && value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Parse a Netscape bookmark file
+ * Top-level folders become sessions, "Window N" folders inside them windows, and other folders tab groups
+ * (deeper folders are folded into their group). Bookmarks outside any folder form one more session.
+ * Tab-it's own bookmark export reads back to the same windows and groups.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Parsed sessions (see buildImportedSession)
+ */
+function parseBookmarks(text) {
+  const tokenPattern = /<H3[^>]*>([\s\S]*?)<\/H3>|<A\s[^>]*?HREF\s*=\s*"([^"]*)"[^>]*>([\s\S]*?)<\/A>|<DL\b[^>]*>|<\/DL>/gi;
+  const addDatePattern = /ADD_DATE\s*=\s*"(\d+)"/i;
+  const stripTags = html => decodeHtmlEntities(html.replace(/<[^>]*>/g, '')).trim();
+
+  // Open lists; entries without a session are outside every folder
+  const outside = { session: null };
+  const stack = [];
+  const sessions = [];
+  const rootTabs = [];
+  let pendingFolder = null;
+  let match;
+
+  while ((match = tokenPattern.exec(text)) !== null) {
+    const token = match[0];
+    const parent = stack[stack.length - 1] || outside;
+
+    if (match[1] !== undefined) {
+      const addDate = token.match(addDatePattern);
+      pendingFolder = { title: stripTags(match[1]), timestamp: addDate ? parseInt(addDate[1], 10) * 1000 : NaN };
+    } else if (match[2] !== undefined) {
+      const tab = { url: decodeHtmlEntities(match[2]).trim(), title: stripTags(match[3]) };
+      if (parent.session) {
+        parent.session.windows[parent.windowIndex].push({ ...tab, group: parent.group });
+      } else {
+        rootTabs.push(tab);
+      }
+    } else if (token[1] === '/') {
+      stack.pop();
+    } else if (!pendingFolder) {
+      // The file's outer list
+      stack.push(parent);
+    } else if (!parent.session) {
+      const session = { name: pendingFolder.title, timestamp: pendingFolder.timestamp, windows: [[]], hasWindowFolders: false };
+      sessions.push(session);
+      stack.push({ session, windowIndex: 0, group: null, depth: 1 });
+    } else if (parent.depth === 1 && /^Window \d+$/.test(pendingFolder.title)) {
+      const { session } = parent;
+      // The first window folder fills the session's first window unless bookmarks came before it
+      if (session.hasWindowFolders || session.windows[0].length > 0) {
+        session.windows.push([]);
+      }
+      session.hasWindowFolders = true;
+      stack.push({ session, windowIndex: session.windows.length - 1, group: null, depth: 2 });
+    } else {
+      const group = parent.group || pendingFolder.title || 'Untitled Group';
+      stack.push({ session: parent.session, windowIndex: parent.windowIndex, group, depth: parent.depth + 1 });
+    }
+
+    if (token[1] !== '/' && match[1] === undefined && match[2] === undefined) {
+      pendingFolder = null;
+    }
+  }
+
+  if (rootTabs.length > 0) {
+    sessions.push({ name: 'Bookmarks', timestamp: Date.now(), windows: [rootTabs] });
+  }
+  return sessions;
+}
+
+/**
+ * Parse a plain URL list, one URL per line (lines that are not URLs are skipped)
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Parsed sessions (see buildImportedSession)
+ */
+function parseUrlList(text) {
+  const tabs = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(url => ({ url }));
+  return [{ name: 'Imported URLs', timestamp: Date.now(), windows: [tabs] }];
+}
+
+/**
+ * Work out which tool a file came from
+ * @param {string} text - File contents
+ * @returns {string|null} Key of IMPORT_FORMATS, or null if unrecognized
+ */
+export function detectImportFormat(text) {
+  const trimmed = text.trim();
+
+  if (/^<!DOCTYPE NETSCAPE-Bookmark-file/i.test(trimmed) || /<DL\b/i.test(trimmed.slice(0, 4096))) {
+    return 'bookmarks';
+  }
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      return null;
+    }
+    if (Array.isArray(data)) return 'tab-it';
+    if (data && (Array.isArray(data.sessions) || Array.isArray(data.collections))) return 'session-buddy';
+    if (data && (Array.isArray(data.lists) || Array.isArray(data.groups))) return 'toby';
+    return null;
+  }
+
+  const lines = trimmed.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0 || !lines.some(line => isAbsoluteUrl(line.split(' | ')[0]))) {
+    return null;
+  }
+  return lines.some(line => line.includes(' | ')) || /\r?\n\s*\r?\n/.test(trimmed) ? 'onetab' : 'urls';
+}
+
+/**
+ * Parse an import file into sessions for preview
+ * Tab-it backups are returned as stored (validated by the caller); other formats are converted to
+ * current-schema manual sessions with generated ids.
+ * @param {string} text - File contents
+ * @param {string} [format] - Key of IMPORT_FORMATS (detected when omitted)
+ * @returns {{format: string, sessions: Array<Object>, skipped: number}} Sessions and the number of entries that could not be read
+ * @throws {Error} If the format is not recognized or the file holds no usable tabs
+ */
+export function parseImportFile(text, format = detectImportFormat(text)) {
+  if (!format || !IMPORT_FORMATS[format]) {
+    throw new Error('Unrecognized file format. Supported: Tab-it, OneTab, Session Buddy, Toby, bookmark HTML and URL lists.');
+  }
+
+  if (format === 'tab-it') {
+    const sessions = JSON.parse(text);
+    return { format, sessions: Array.isArray(sessions) ? sessions : [], skipped: 0 };
+  }
+
+  let parsed;
+  try {
+    if (format === 'onetab') {
+      parsed = parseOneTab(text);
+    } else if (format === 'session-buddy') {
+      parsed = parseSessionBuddy(JSON.parse(text));
+    } else if (format === 'toby') {
+      parsed = parseToby(JSON.parse(text));
+    } else if (format === 'bookmarks') {
+      parsed = parseBookmarks(text);
+    } else {
+      parsed = parseUrlList(text);
+    }
+  } catch (error) {
+    console.error('[SessionImport] Error parsing file:', error);
+    throw new Error(`Could not read this ${IMPORT_FORMATS[format]} file.`);
+  }
+
+  const idPrefix = `import-${Date.now()}`;
+  const sessions = [];
+  let skipped = 0;
+
+  parsed.forEach((raw, index) => {
+    if (!raw) {
+      skipped++;
+      return;
+    }
+    const built = buildImportedSession(raw, `${idPrefix}-${index + 1}`);
+    skipped += built.skipped;
+    if (built.session.windows.length > 0) {
+      sessions.push(built.session);
+    }
+  });
+
+  if (sessions.length === 0) {
+    throw new Error(`No tabs found in this ${IMPORT_FORMATS[format]} file.`);
+  }
+
+  return { format, sessions, skipped };
+}
+
+/**
+ * Check the shape of a stored-format record before it is upgraded
+ * @param {*} record - Record from the import file
+ * @returns {string[]} Problems that make the record unusable
+ */
+function checkRecordShape(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['Not a session'];
+  }
+  if (isDeltaRecord(record)) {
+    return ['Stored as changes to another session, which is not in this file'];
+  }
+
+  const errors = [];
+  if (!(typeof record.id === 'string' && record.id.trim()) && !Number.isFinite(record.id)) {
+    errors.push('Missing id');
+  }
+  if (typeof record.name !== 'string') {
+    errors.push('Missing name');
+  }
+  if (!Number.isFinite(record.timestamp)) {
+    errors.push('Missing or invalid timestamp');
+  }
+  if (!Array.isArray(record.windows)) {
+    errors.push('Missing window list');
+  } else {
+    record.windows.forEach((windowData, windowIndex) => {
+      if (!windowData || typeof windowData !== 'object' || !Array.isArray(windowData.tabs)) {
+        errors.push(`Window ${windowIndex + 1}: missing tab list`);
+        return;
+      }
+      windowData.tabs.forEach((tab, tabIndex) => {
+        if (!tab || typeof tab !== 'object' || typeof tab.url !== 'string') {
+          errors.push(`Window ${windowIndex + 1}, tab ${tabIndex + 1}: missing URL`);
+        }
+      });
+    });
+  }
+  if (record.groups !== undefined && !(Array.isArray(record.groups) && record.groups.every(group => group && typeof group === 'object'))) {
+    errors.push('Invalid group list');
+  }
+
+  return errors;
+}
+
+/**
+ * Get the scheme of a URL
+ * @param {string} url - URL
+ * @returns {string|null} Lower-case scheme with its colon, or null if the URL does not parse
+ */
+function getUrlScheme(url) {
+  try {
+    // The URL parser drops whitespace and control characters that could hide a scheme ("java\tscript:")
+    return new URL(url).protocol;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rebuild an upgraded record from known fields only, dropping tabs with unsafe URLs
+ * @param {Object} record - Record in the current schema
+ * @returns {{session: Object, errors: string[], removedUrls: number}} Clean session, remaining problems and the number of tabs dropped
+ */
+function sanitizeSessionRecord(record) {
+  const errors = [];
+  let removedUrls = 0;
+
+  const groups = (record.groups || [])
+    .filter(group => Number.isFinite(group.id))
+    .map(group => ({
+      id: group.id,
+      title: typeof group.title === 'string' ? group.title : '',
+      color: TAB_GROUP_COLORS.includes(group.color) ? group.color : 'grey',
+      collapsed: group.collapsed === true,
+      windowId: Number.isFinite(group.windowId) ? group.windowId : null,
+      index: Number.isInteger(group.index) && group.index >= 0 ? group.index : null
+    }));
+  const groupIds = new Set(groups.map(group => group.id));
+
+  const windows = record.windows.map((windowData, windowIndex) => {
+    const cleanWindow = { id: Number.isFinite(windowData.id) ? windowData.id : windowIndex + 1 };
+    if (WINDOW_STATES.includes(windowData.state)) {
+      cleanWindow.state = windowData.state;
+    }
+    for (const key of ['left', 'top', 'width', 'height']) {
+      if (Number.isInteger(windowData[key])) {
+        cleanWindow[key] = windowData[key];
+      }
+    }
+
+    cleanWindow.tabs = [];
+    windowData.tabs.forEach((tab, tabIndex) => {
+      const scheme = getUrlScheme(tab.url);
+      if (!scheme) {
+        errors.push(`Window ${windowIndex + 1}, tab ${tabIndex + 1}: invalid URL`);
+      } else if (UNSAFE_URL_SCHEMES.includes(scheme)) {
+        removedUrls++;
+      } else {
+        cleanWindow.tabs.push(createSessionTab({
+          url: tab.url,
+          title: typeof tab.title === 'string' ? tab.title : '',
+          pinned: tab.pinned === true,
+          active: tab.active === true
+        }, groupIds.has(tab.groupId) ? tab.groupId : null));
+      }
+    });
+
+    return cleanWindow;
+  }).filter(windowData => windowData.tabs.length > 0);
+
+  if (errors.length === 0 && windows.length === 0) {
+    errors.push(removedUrls > 0 ? 'No tabs left after removing unsafe links' : 'No tabs');
+  }
+
+  const session = {
+    schemaVersion: SESSION_SCHEMA_VERSION,
+    id: String(record.id),
+    name: record.name,
+    kind: SESSION_KINDS.includes(record.kind) ? record.kind : 'manual',
+    timestamp: record.timestamp,
+    tags: normalizeSessionTags(record.tags),
+    folder: normalizeSessionFolder(record.folder),
+    starred: record.starred === true,
+    windows,
+    // Drop groups whose tabs were all removed
+    groups: groups.filter(group => windows.some(windowData => windowData.tabs.some(tab => tab.groupId === group.id)))
+  };
+  session.fingerprint = computeSessionFingerprint(session);
+
+  return { session, errors, removedUrls };
+}
+
+/**
+ * Validate and clean imported sessions
+ * Records in any schema version are upgraded, unknown fields are dropped and tabs with javascript:, data:,
+ * vbscript: or blob: URLs are removed. A record with any other problem is rejected as a whole.
+ * @param {Array<*>} records - Sessions from parseImportFile
+ * @returns {Array<{name: string, session: Object|null, errors: string[], removedUrls: number}>} One report per record,
+ *   in file order; session is null when errors is not empty
+ * @throws {Error} If records is not a list
+ */
+export function validateImportedSessions(records) {
+  if (!Array.isArray(records)) {
+    throw new Error('Invalid session data format: expected a list of sessions.');
+  }
+
+  const firstIndexById = new Map();
+
+  return records.map((record, index) => {
+    const name = record && typeof record.name === 'string' && record.name.trim() ? record.name : `Session ${index + 1}`;
+    let errors = checkRecordShape(record);
+    let session = null;
+    let removedUrls = 0;
+
+    if (errors.length === 0) {
+      const id = String(record.id);
+      if (firstIndexById.has(id)) {
+        errors.push(`Same id as session ${firstIndexById.get(id) + 1} in this file`);
+      } else {
+        firstIndexById.set(id, index);
+      }
+    }
+
+    if (errors.length === 0) {
+      try {
+        ({ session, errors, removedUrls } = sanitizeSessionRecord(migrateSessionRecord(record)));
+      } catch (error) {
+        console.error('[SessionImport] Error upgrading record:', error);
+        errors = ['Could not be upgraded to the current format'];
+      }
+    }
+
+    if (errors.length > MAX_RECORD_ERRORS) {
+      errors = [...errors.slice(0, MAX_RECORD_ERRORS), `…and ${errors.length - MAX_RECORD_ERRORS} more`];
+    }
+
+    return { name, session: errors.length === 0 ? session : null, errors, removedUrls };
+  });
+}
+
+/**
+ * Find imported sessions that clash with stored ones
+ * A clash is a stored session with the same id ('duplicate' if the tabs are identical too, 'id' otherwise) or,
+ * failing that, one with identical tabs and groups under another id ('content').
+ * @param {Array<Object>} sessions - Validated sessions
+ * @param {Array<Object>} storedSessions - Full stored sessions (see listSessions)
+ * @returns {Array<{type: string, existing: Object, defaultChoice: string}|null>} Clash per session (null if none);
+ *   defaultChoice is a key of IMPORT_CONFLICT_CHOICES
+ */
+export function findImportConflicts(sessions, storedSessions) {
+  const byId = new Map(storedSessions.map(stored => [String(stored.id), stored]));
+  const byFingerprint = new Map();
+  for (const stored of storedSessions) {
+    const fingerprint = computeSessionFingerprint(stored);
+    if (!byFingerprint.has(fingerprint)) {
+      byFingerprint.set(fingerprint, stored);
+    }
+  }
+
+  return sessions.map(session => {
+    const sameId = byId.get(session.id);
+    if (sameId) {
+      const identical = computeSessionFingerprint(sameId) === session.fingerprint;
+      return identical
+        ? { type: 'duplicate', existing: sameId, defaultChoice: 'skip' }
+        : { type: 'id', existing: sameId, defaultChoice: 'keep-both' };
+    }
+
+    const sameContent = byFingerprint.get(session.fingerprint);
+    return sameContent ? { type: 'content', existing: sameContent, defaultChoice: 'skip' } : null;
+  });
+}
+
+/**
+ * Apply the chosen conflict handling
+ * Replacing deletes the stored session as the imported ones are stored (see replaceSessions, which rebases deltas
+ * based on it); keeping both gives an imported session that shares a stored id a new one.
+ * @param {Array<Object>} sessions - Validated sessions to import
+ * @param {Array<Object|null>} conflicts - Result of findImportConflicts for the same sessions
+ * @param {Array<string|undefined>} choices - Key of IMPORT_CONFLICT_CHOICES per session (defaultChoice when missing)
+ * @returns {{sessions: Array<Object>, replaceIds: string[], skipped: number}} Sessions to store, stored ids they replace,
+ *   and the number of sessions skipped
+ */
+export function resolveImportConflicts(sessions, conflicts, choices) {
+  const toStore = [];
+  const replaceIds = new Set();
+  const idPrefix = `import-${Date.now()}`;
+  let skipped = 0;
+
+  sessions.forEach((session, index) => {
+    const conflict = conflicts[index];
+    if (!conflict) {
+      toStore.push(session);
+      return;
+    }
+
+    const choice = IMPORT_CONFLICT_CHOICES[choices[index]] ? choices[index] : conflict.defaultChoice;
+    if (choice === 'skip') {
+      skipped++;
+    } else if (choice === 'replace') {
+      replaceIds.add(String(conflict.existing.id));
+      toStore.push(session);
+    } else if (conflict.type === 'content') {
+      toStore.push(session);
+    } else {
+      toStore.push({ ...session, id: `${idPrefix}-${index + 1}` });
+    }
+  });
+
+  return { sessions: toStore, replaceIds: [...replaceIds], skipped };
+}
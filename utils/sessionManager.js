@@ -4,21 +4,38 @@
  * @fileoverview Session management utilities with storage quota checks
  */
 
-/** @constant {number} Storage quota limit in bytes (10 MB) */
+import { computeSessionFingerprint } from './sessionDelta.js';
+import { getDuplicateUrlOptions } from './duplicateFinder.js';
+import { getPlaceholderUrl, unwrapPlaceholderTab } from './placeholderTabs.js';
+import { SESSION_SCHEMA_VERSION, createSessionTab } from './sessionSchema.js';
+import { openSessionDb, putSession, putSessionSnapshot, getSession, listSessions, deleteSessions, pruneSessions } from './sessionStore.js';
+import { applyGroupPlan } from './tabManager.js';
+import { captureGroupState, recordUndoEntry } from './undoManager.js';
+import { normalizeUrl } from './urlNormalizer.js';
+
+/** @constant {number} Fallback storage quota in bytes (10 MB) when the browser cannot report one */
 const STORAGE_QUOTA = 10 * 1024 * 1024;
 
 /** @constant {number} Warning threshold as percentage of quota */
 const STORAGE_WARNING_THRESHOLD = 0.9;
 
+/** @constant {number} How long auto-organize leaves a restored tab alone (ms, long enough for a large restore to finish) */
+const RESTORED_TAB_WINDOW = 60000;
+
+/** @constant {string} Session storage key prefix for tabs a restore created */
+const RESTORED_TAB_KEY_PREFIX = 'restoredTab:';
+
 /**
- * Check available storage space
+ * Check available storage space for the session database
  * @returns {Promise<{bytesInUse: number, available: number, percentUsed: number}>}
  */
 async function checkStorageQuota() {
   try {
-    const bytesInUse = await chrome.storage.local.getBytesInUse();
-    const available = STORAGE_QUOTA - bytesInUse;
-    const percentUsed = bytesInUse / STORAGE_QUOTA;
+    const { usage, quota } = await navigator.storage.estimate();
+    const bytesInUse = usage || 0;
+    const total = quota || STORAGE_QUOTA;
+    const available = total - bytesInUse;
+    const percentUsed = bytesInUse / total;
     return { bytesInUse, available, percentUsed };
   } catch (error) {
     console.warn('[SessionManager] Could not check storage quota:', error);
@@ -40,79 +57,68 @@ function estimateSessionSize(sessionData) {
 }
 
 /**
- * Save current session to storage
+ * Capture the open windows, tabs and groups as a session in the current schema
  * @param {string} sessionName - Name for the session
- * @returns {Promise<string>} Session ID
- * @throws {Error} If storage fails or quota exceeded
+ * @param {string} [kind='manual'] - 'manual', 'auto-save', or 'recovery'
+ * @returns {Promise<Object>} Session object (not yet stored)
+ * @throws {Error} If the open tabs cannot be read
  */
-async function saveCurrentSession(sessionName) {
+export async function captureSession(sessionName, kind = 'manual') {
   try {
-    // Test storage access first
-    try {
-      await chrome.storage.local.set({ _test: 'test' });
-      await chrome.storage.local.remove('_test');
-    } catch (storageError) {
-      console.error('[SessionManager] Storage access failed:', storageError);
-      throw new Error('Cannot access storage. Check permissions.');
-    }
-
     const windows = await chrome.windows.getAll({ populate: true });
 
     const sessionData = {
+      schemaVersion: SESSION_SCHEMA_VERSION,
       id: Date.now().toString(),
       name: sessionName,
+      kind,
       timestamp: Date.now(),
+      tags: [],
+      folder: null,
+      starred: false,
       windows: [],
       groups: []
     };
 
-    // Collect all groups and their tabs
+    // Collect all groups the saved tabs belong to
     const groupMap = new Map();
 
     for (const window of windows) {
       const windowData = {
         id: window.id,
+        state: window.state,
+        left: window.left,
+        top: window.top,
+        width: window.width,
+        height: window.height,
         tabs: []
       };
 
-      if (window.tabs) {
-        for (const tab of window.tabs) {
-          // Skip chrome:// and extension pages as they can't be restored
-          if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
-            continue;
-          }
+      // Tab order is the array order, so saved tabs follow the tab strip (pinned tabs first)
+      // Lazily restored tabs that were never opened are saved as the page they stand in for
+      const stripTabs = [...(window.tabs || [])].sort((a, b) => a.index - b.index).map(unwrapPlaceholderTab);
+      for (const tab of stripTabs) {
+        // Skip chrome:// and extension pages as they can't be restored
+        if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
+          continue;
+        }
 
-          const tabData = {
-            url: tab.url,
-            title: tab.title || 'Untitled',
-            pinned: tab.pinned || false,
-            active: tab.active || false,
-            originalGroupId: tab.groupId !== chrome.tabs.TAB_ID_NONE ? tab.groupId : null
-          };
-
-          windowData.tabs.push(tabData);
-
-          // Collect group information
-          if (tab.groupId !== chrome.tabs.TAB_ID_NONE) {
-            if (!groupMap.has(tab.groupId)) {
-              try {
-                const group = await chrome.tabGroups.get(tab.groupId);
-                groupMap.set(tab.groupId, {
-                  originalId: group.id,
-                  title: group.title || 'Untitled Group',
-                  color: group.color || 'grey',
-                  collapsed: group.collapsed || false,
-                  tabUrls: []
-                });
-              } catch (error) {
-                console.warn('[SessionManager] Error getting group info:', error);
-              }
-            }
-
-            const groupInfo = groupMap.get(tab.groupId);
-            if (groupInfo && tab.url) {
-              groupInfo.tabUrls.push(tab.url);
-            }
+        const groupId = tab.groupId !== chrome.tabs.TAB_ID_NONE ? tab.groupId : null;
+        windowData.tabs.push(createSessionTab(tab, groupId));
+
+        if (groupId !== null && !groupMap.has(groupId)) {
+          try {
+            const group = await chrome.tabGroups.get(groupId);
+            groupMap.set(groupId, {
+              id: group.id,
+              title: group.title || 'Untitled Group',
+              color: group.color || 'grey',
+              collapsed: group.collapsed || false,
+              windowId: window.id,
+              index: windowData.tabs.length - 1
+            });
+          } catch (error) {
+            console.warn('[SessionManager] Error getting group info:', error);
           }
         }
       }
@@ -122,8 +128,32 @@ async function saveCurrentSession(sessionName) {
       }
     }
 
-    // Convert group map to array
     sessionData.groups = Array.from(groupMap.values());
+    sessionData.fingerprint = computeSessionFingerprint(sessionData);
+
+    return sessionData;
+  } catch (error) {
+    console.error('[SessionManager] Error capturing session:', error);
+    throw new Error('Could not read open tabs.');
+  }
+}
+
+/**
+ * Store a captured session
+ * Auto-save and recovery snapshots are delta-encoded against earlier snapshots where that saves space.
+ * @param {Object} sessionData - Session from captureSession
+ * @returns {Promise<string>} Session ID
+ * @throws {Error} If storage fails or quota exceeded
+ */
+export async function storeSession(sessionData) {
+  try {
+    // Test storage access first
+    try {
+      await openSessionDb();
+    } catch (storageError) {
+      console.error('[SessionManager] Storage access failed:', storageError);
+      throw new Error('Cannot access storage. Check permissions.');
+    }
 
     // Check storage quota before saving
     const { available, percentUsed } = await checkStorageQuota();
@@ -139,41 +169,48 @@ async function saveCurrentSession(sessionName) {
 
     // Save to storage
     try {
-      const result = await chrome.storage.local.get('sessions');
-      const sessions = result.sessions || [];
-      sessions.push(sessionData);
-
-      await chrome.storage.local.set({ sessions: sessions });
+      if (sessionData.kind === 'manual') {
+        await putSession(sessionData);
+      } else {
+        await putSessionSnapshot(sessionData);
+      }
 
       return sessionData.id;
     } catch (storageError) {
       console.error('[SessionManager] Storage error:', storageError);
-      if (storageError.message && (storageError.message.includes('QUOTA') || storageError.message.includes('quota'))) {
+      if (storageError.name === 'QuotaExceededError' || (storageError.message && (storageError.message.includes('QUOTA') || storageError.message.includes('quota')))) {
         throw new Error('Storage quota exceeded. Please delete old sessions.');
       }
       throw new Error('Could not save session. Storage might be full.');
     }
   } catch (error) {
     console.error('[SessionManager] Error saving session:', error);
-    if (error.message && (error.message.includes('Could not') || error.message.includes('Storage') || error.message.includes('quota'))) {
+    if (error.message && (error.message.includes('Cannot access') || error.message.includes('Could not') || error.message.includes('Storage') || error.message.includes('quota'))) {
       throw error;
     }
     throw new Error('Could not save session. Storage might be full.');
   }
 }
 
+/**
+ * Save current session to storage
+ * @param {string} sessionName - Name for the session
+ * @param {string} [kind='manual'] - 'manual', 'auto-save', or 'recovery'
+ * @returns {Promise<string>} Session ID
+ * @throws {Error} If the tabs cannot be read, storage fails or quota exceeded
+ */
+export async function saveCurrentSession(sessionName, kind = 'manual') {
+  return storeSession(await captureSession(sessionName, kind));
+}
+
 /**
  * Get all saved sessions sorted by timestamp
  * @returns {Promise<Array>} Array of session objects
  */
-async function getAllSessions() {
+export async function getAllSessions() {
   try {
-    const result = await chrome.storage.local.get('sessions');
-    const sessions = result.sessions || [];
-
-    // Sort by timestamp (newest first)
-    const sorted = sessions.sort((a, b) => b.timestamp - a.timestamp);
-    return sorted;
+    // Sorted by timestamp (newest first)
+    return await listSessions();
   } catch (error) {
     console.error('[SessionManager] Error getting sessions:', error);
     return [];
@@ -211,217 +248,288 @@ function validateSession(session) {
 }
 
 /**
- * Wait for tabs to be created in a window with improved reliability
- * @param {number} windowId - Window ID
- * @param {number} expectedCount - Expected number of tabs
- * @param {number} maxWait - Maximum wait time in ms
- * @returns {Promise<Array>} Array of tab objects
+ * Check whether a saved URL can be opened by the extension
+ * @param {string} url - Saved tab URL
+ * @returns {boolean} True if the URL can be restored
  */
-async function waitForTabs(windowId, expectedCount, maxWait = 10000) {
-  try {
-    const startTime = Date.now();
-    let lastTabCount = 0;
-    let stableCount = 0;
-
-    while (Date.now() - startTime < maxWait) {
-      try {
-        const tabs = await chrome.tabs.query({ windowId: windowId });
-
-        // Check if we have all expected tabs
-        if (tabs.length >= expectedCount) {
-          // Wait for tabs to have URLs (not just pending)
-          const tabsWithUrls = tabs.filter(tab => tab.url || tab.pendingUrl);
-          if (tabsWithUrls.length >= expectedCount) {
-            return tabs;
-          }
-        }
+function isRestorableUrl(url) {
+  return Boolean(url) && !url.startsWith('chrome://') && !url.startsWith('chrome-extension://');
+}
 
-        // Check if tab count is stable (no new tabs being created)
-        if (tabs.length === lastTabCount) {
-          stableCount++;
-          // If stable for 3 checks (~600ms), return what we have
-          if (stableCount >= 3 && tabs.length > 0) {
-            return tabs;
-          }
-        } else {
-          stableCount = 0;
-          lastTabCount = tabs.length;
-        }
+/**
+ * Build chrome.windows.create options that reproduce a saved window's size and state
+ * @param {Object} windowData - Saved window
+ * @returns {Object} Create options without url
+ */
+function getWindowCreateOptions(windowData) {
+  if (windowData.state === 'maximized' || windowData.state === 'fullscreen') {
+    return { state: windowData.state };
+  }
 
-        await new Promise(resolve => setTimeout(resolve, 200));
-      } catch (error) {
-        console.warn('[SessionManager] Error querying tabs in waitForTabs:', error);
-        break;
-      }
+  // Minimized windows come back as normal windows at their old size
+  const options = {};
+  for (const key of ['left', 'top', 'width', 'height']) {
+    if (Number.isInteger(windowData[key])) {
+      options[key] = windowData[key];
     }
+  }
+  return options;
+}
+
+/**
+ * Get the groups that belong to a saved window
+ * Groups from records that predate windowId are matched by their tabs.
+ * @param {Object} session - Full session
+ * @param {Object} windowData - Saved window from the session
+ * @returns {Array<Object>} Groups of this window
+ */
+function getWindowGroups(session, windowData) {
+  return (session.groups || []).filter(group =>
+    group.windowId !== null && group.windowId !== undefined
+      ? group.windowId === windowData.id
+      : windowData.tabs.some(tab => tab.groupId === group.id)
+  );
+}
+
+/**
+ * Drop saved tabs whose page is already open in a window, or earlier in the same list
+ * URLs are compared with the duplicate finder's normalization settings.
+ * @param {Array<Object>} savedTabs - Saved tabs in restore order
+ * @param {number} windowId - Window the tabs would be added to
+ * @returns {Promise<Array<Object>>} Saved tabs that are not open yet
+ */
+async function filterUnopenedTabs(savedTabs, windowId) {
+  const urlOptions = await getDuplicateUrlOptions();
+  const openTabs = await chrome.tabs.query({ windowId });
+  const openUrls = new Set(openTabs.map(tab => normalizeUrl(unwrapPlaceholderTab(tab).url || '', urlOptions)));
+
+  return savedTabs.filter(savedTab => {
+    const key = normalizeUrl(savedTab.url, urlOptions);
+    if (openUrls.has(key)) {
+      return false;
+    }
+    openUrls.add(key);
+    return true;
+  });
+}
 
-    // Return whatever tabs we have after timeout
-    return await chrome.tabs.query({ windowId: windowId });
+/**
+ * Mark tabs a restore created, so auto-organize does not group them before the saved groups are applied
+ * Marks live in session storage so restores started from the popup are seen by the service worker.
+ * @param {Array<number>} tabIds - Created tabs
+ * @returns {Promise<void>}
+ */
+async function markRestoredTabs(tabIds) {
+  try {
+    const expiresAt = Date.now() + RESTORED_TAB_WINDOW;
+    await chrome.storage.session.set(Object.fromEntries(tabIds.map(tabId => [`${RESTORED_TAB_KEY_PREFIX}${tabId}`, expiresAt])));
   } catch (error) {
-    console.error('[SessionManager] Error in waitForTabs:', error);
-    return [];
+    console.warn('[SessionManager] Error marking restored tabs:', error);
+  }
+}
+
+/**
+ * Find which tabs a restore created recently (see markRestoredTabs)
+ * Expired marks are removed.
+ * @param {Array<number>} tabIds - Tab IDs to check
+ * @returns {Promise<Set<number>>} IDs of the tabs that were restored
+ */
+export async function findRestoredTabs(tabIds) {
+  try {
+    const keys = tabIds.map(tabId => `${RESTORED_TAB_KEY_PREFIX}${tabId}`);
+    const marks = await chrome.storage.session.get(keys);
+    const now = Date.now();
+
+    const expired = keys.filter(key => marks[key] && marks[key] <= now);
+    if (expired.length > 0) {
+      await chrome.storage.session.remove(expired);
+    }
+    return new Set(tabIds.filter((tabId, index) => marks[keys[index]] > now));
+  } catch (error) {
+    console.warn('[SessionManager] Error reading restored tab marks:', error);
+    return new Set();
   }
 }
 
 /**
- * Find a tab by URL with fuzzy matching
- * @param {Array} tabs - Array of tab objects
- * @param {string} targetUrl - URL to find
- * @returns {Object|null} Matching tab or null
+ * Recreate one saved window with its tabs in their saved order, its groups and its active tab
+ * Tabs are created one at a time in tab strip order, so each group forms where it was and the
+ * ungrouped tabs between groups keep their places. A new window opens on the active tab first.
+ * Created tabs are marked so auto-organize leaves them to the saved groups.
+ * When restoring into an open window, pages it already has are skipped and tabs join its groups
+ * with the same title instead of duplicating them.
+ * @param {Object} windowData - Saved window
+ * @param {Array<Object>} groups - Groups of this window
+ * @param {Object} [options] - Restore options
+ * @param {boolean} [options.lazy=false] - Open every tab but the active one as a placeholder page
+ * @param {number} [options.windowId] - Add the tabs to this open window instead of creating one
+ * @returns {Promise<{tabIds: Array<number>, skipped: number}>} Created tab IDs and number of tabs skipped as already open
  */
-function findTabByUrl(tabs, targetUrl) {
-  // Exact match first
-  let tab = tabs.find(t => t.url === targetUrl);
-  if (tab) return tab;
+async function restoreWindow(windowData, groups, options = {}) {
+  const restorable = windowData.tabs.filter(tab => isRestorableUrl(tab.url));
+  const savedTabs = options.windowId !== undefined ? await filterUnopenedTabs(restorable, options.windowId) : restorable;
+  const skipped = restorable.length - savedTabs.length;
 
-  // Match with pendingUrl
-  tab = tabs.find(t => t.pendingUrl === targetUrl);
-  if (tab) return tab;
+  // Pinned tabs always lead the tab strip
+  const orderedTabs = [...savedTabs.filter(tab => tab.pinned), ...savedTabs.filter(tab => !tab.pinned)];
 
-  // Try without protocol
-  const normalizeUrl = (url) => {
-    try {
-      const parsed = new URL(url);
-      return parsed.hostname + parsed.pathname + parsed.search;
-    } catch {
-      return url;
+  if (orderedTabs.length === 0) {
+    return { tabIds: [], skipped };
+  }
+
+  // In lazy mode only the active tab loads; placeholders load their page when opened
+  const loadedTab = orderedTabs.find(tab => tab.active) || orderedTabs[0];
+  const getTabUrl = savedTab => (options.lazy && savedTab !== loadedTab ? getPlaceholderUrl(savedTab) : savedTab.url);
+
+  let windowId = options.windowId;
+  const createdTabIds = orderedTabs.map(() => null);
+
+  if (windowId === undefined) {
+    // The window opens on the active tab with its real page, so nothing else loads in lazy mode
+    const window = await chrome.windows.create({
+      ...getWindowCreateOptions(windowData),
+      url: loadedTab.url,
+      focused: false
+    });
+
+    windowId = window.id;
+    const loadedPosition = orderedTabs.indexOf(loadedTab);
+    createdTabIds[loadedPosition] = window.tabs && window.tabs[0] ? window.tabs[0].id : null;
+    if (createdTabIds[loadedPosition] !== null) {
+      await markRestoredTabs([createdTabIds[loadedPosition]]);
+    }
+    if (loadedTab.pinned && createdTabIds[loadedPosition] !== null) {
+      await chrome.tabs.update(createdTabIds[loadedPosition], { pinned: true }).catch(error => {
+        console.warn('[SessionManager] Error pinning tab:', error);
+      });
+    }
+  }
+
+  for (const [position, savedTab] of orderedTabs.entries()) {
+    if (createdTabIds[position] !== null) {
+      continue;
     }
-  };
 
-  const normalizedTarget = normalizeUrl(targetUrl);
-  tab = tabs.find(t => {
-    const normalizedTab = normalizeUrl(t.url || t.pendingUrl || '');
-    return normalizedTab === normalizedTarget;
-  });
+    const createOptions = { windowId, url: getTabUrl(savedTab), pinned: savedTab.pinned, active: false };
+    if (options.windowId === undefined) {
+      // Tabs before the active one go in front of it
+      createOptions.index = createdTabIds.slice(0, position).filter(tabId => tabId !== null).length;
+    }
+
+    const createdTab = await chrome.tabs.create(createOptions).catch(error => {
+      console.warn('[SessionManager] Error creating tab:', error);
+      return null;
+    });
+    createdTabIds[position] = createdTab ? createdTab.id : null;
+    if (createdTab) {
+      await markRestoredTabs([createdTab.id]);
+    }
+  }
+
+  // Restore groups (pinned tabs cannot be grouped)
+  const plan = groups.map(groupData => ({
+    title: groupData.title || 'Restored Group',
+    color: groupData.color || 'grey',
+    collapsed: groupData.collapsed || false,
+    tabIds: orderedTabs
+      .map((savedTab, position) => (savedTab.groupId === groupData.id && !savedTab.pinned ? createdTabIds[position] : null))
+      .filter(tabId => tabId !== null)
+  }));
+
+  try {
+    await applyGroupPlan(plan, { merge: options.windowId !== undefined, windowId });
+  } catch (error) {
+    console.error('[SessionManager] Error restoring groups:', error);
+  }
 
-  return tab || null;
+  // Restore active tab
+  const activePosition = orderedTabs.findIndex((savedTab, position) => savedTab === loadedTab && createdTabIds[position] !== null);
+  if (activePosition !== -1) {
+    await chrome.tabs.update(createdTabIds[activePosition], { active: true }).catch(error => {
+      console.warn('[SessionManager] Error restoring active tab:', error);
+    });
+  }
+
+  return { tabIds: createdTabIds.filter(tabId => tabId !== null), skipped };
+}
+
+/**
+ * Keep only some tabs of a session, dropping windows and groups left empty
+ * @param {Object} session - Full session
+ * @param {Array<{windowIndex: number, tabIndex: number}>} positions - Positions of the tabs to keep
+ * @returns {Object} Session with only the selected tabs
+ */
+export function selectSessionTabs(session, positions) {
+  const selected = new Set(positions.map(({ windowIndex, tabIndex }) => `${windowIndex}:${tabIndex}`));
+
+  const windows = session.windows
+    .map((windowData, windowIndex) => ({
+      ...windowData,
+      tabs: windowData.tabs.filter((tab, tabIndex) => selected.has(`${windowIndex}:${tabIndex}`))
+    }))
+    .filter(windowData => windowData.tabs.length > 0);
+
+  const groupIds = new Set(windows.flatMap(windowData => windowData.tabs.map(tab => tab.groupId)));
+  const groups = (session.groups || []).filter(group => groupIds.has(group.id));
+
+  return { ...session, windows, groups };
 }
 
 /**
- * Restore a saved session
+ * Restore a saved session, or part of it
+ * Follows the lazyRestore setting (off by default): when on, only the active tab of each window loads right away.
  * @param {string} sessionId - Session ID to restore
- * @returns {Promise<void>}
+ * @param {Object} [options] - Restore options
+ * @param {Array<{windowIndex: number, tabIndex: number}>} [options.tabs] - Only restore these tabs (all if omitted)
+ * @param {string} [options.target='windows'] - 'windows' for one new window per saved window,
+ *   'new-window' to put every restored tab in a single new window, or 'current-window' to add them to
+ *   this one ("restore here": open pages are skipped, tabs join groups with the same title, and it can be undone)
+ * @returns {Promise<{opened: number, skipped: number}>} Number of tabs opened and skipped as already open
  * @throws {Error} If session not found or restoration fails
  */
-async function restoreSession(sessionId) {
+export async function restoreSession(sessionId, options = {}) {
   try {
-    const sessions = await getAllSessions();
-    const session = sessions.find(s => s.id === sessionId);
+    const savedSession = await getSession(sessionId);
 
-    if (!session) {
+    if (!savedSession) {
       throw new Error('Session not found');
     }
 
+    const session = options.tabs ? selectSessionTabs(savedSession, options.tabs) : savedSession;
     if (!validateSession(session)) {
       throw new Error('Invalid or empty session');
     }
 
-    // Create new window with tabs
-    for (const windowData of session.windows) {
-      const tabUrls = windowData.tabs
-        .map(tab => tab.url)
-        .filter(url => url && !url.startsWith('chrome://') && !url.startsWith('chrome-extension://'));
-
-      if (tabUrls.length === 0) {
-        continue;
-      }
-
-      // Create window with first tab
-      const firstTabUrl = tabUrls[0];
-      const remainingUrls = tabUrls.slice(1);
-
-      const window = await chrome.windows.create({
-        url: firstTabUrl,
-        focused: false
-      });
+    const { lazyRestore } = await chrome.storage.local.get(['lazyRestore']);
+    const lazy = lazyRestore === true;
+    const target = options.target || 'windows';
 
-      // Create remaining tabs in parallel for faster restoration
-      if (remainingUrls.length > 0) {
-        const tabPromises = remainingUrls.map(url =>
-          chrome.tabs.create({
-            windowId: window.id,
-            url: url,
-            active: false
-          }).catch(error => {
-            console.warn('[SessionManager] Error creating tab:', error);
-            return null;
-          })
-        );
-        await Promise.all(tabPromises);
-      }
-
-      // Wait for tabs to load with improved reliability
-      const createdTabs = await waitForTabs(window.id, tabUrls.length);
-
-      // Restore pinned state before grouping
-      try {
-        for (const originalTab of windowData.tabs) {
-          if (originalTab.pinned) {
-            const createdTab = findTabByUrl(createdTabs, originalTab.url);
-            if (createdTab) {
-              try {
-                await chrome.tabs.update(createdTab.id, { pinned: true });
-              } catch (error) {
-                console.warn('[SessionManager] Error pinning tab:', error);
-              }
-            }
-          }
-        }
-      } catch (error) {
-        console.warn('[SessionManager] Error restoring pinned state:', error);
+    if (target === 'windows') {
+      let opened = 0;
+      for (const windowData of session.windows) {
+        const { tabIds } = await restoreWindow(windowData, getWindowGroups(session, windowData), { lazy });
+        opened += tabIds.length;
       }
+      return { opened, skipped: 0 };
+    }
 
-      // Refresh tabs after pinning (pinned tabs may have moved)
-      const updatedTabs = await chrome.tabs.query({ windowId: window.id });
+    // Everything restored goes into one window, laid out in saved window order
+    const windowData = { ...session.windows[0], tabs: session.windows.flatMap(savedWindow => savedWindow.tabs) };
 
-      // Restore groups
-      if (session.groups && session.groups.length > 0) {
-        for (const groupData of session.groups) {
-          const groupTabIds = [];
+    if (target !== 'current-window') {
+      const { tabIds } = await restoreWindow(windowData, session.groups || [], { lazy });
+      return { opened: tabIds.length, skipped: 0 };
+    }
 
-          for (const tabUrl of groupData.tabUrls) {
-            const matchingTab = findTabByUrl(updatedTabs, tabUrl);
-            if (matchingTab && !matchingTab.pinned) {
-              groupTabIds.push(matchingTab.id);
-            }
-          }
+    const windowId = (await chrome.windows.getCurrent()).id;
+    const previousGroups = await captureGroupState();
+    const { tabIds, skipped } = await restoreWindow(windowData, session.groups || [], { lazy, windowId });
 
-          if (groupTabIds.length > 0) {
-            try {
-              const groupId = await chrome.tabs.group({
-                tabIds: groupTabIds,
-                windowId: window.id
-              });
-
-              await chrome.tabGroups.update(groupId, {
-                title: groupData.title || 'Restored Group',
-                color: groupData.color || 'grey',
-                collapsed: groupData.collapsed || false
-              });
-            } catch (error) {
-              console.error('[SessionManager] Error restoring group:', error);
-            }
-          } else {
-            console.warn('[SessionManager] No tabs found for group:', groupData.title);
-          }
-        }
-      }
-
-      // Restore active tab
-      try {
-        for (const originalTab of windowData.tabs) {
-          if (originalTab.active) {
-            const createdTab = findTabByUrl(updatedTabs, originalTab.url);
-            if (createdTab) {
-              await chrome.tabs.update(createdTab.id, { active: true });
-              break;
-            }
-          }
-        }
-      } catch (error) {
-        console.warn('[SessionManager] Error restoring active tab:', error);
-      }
+    // Undo closes the added tabs and puts the window's groups back as they were
+    if (tabIds.length > 0) {
+      await recordUndoEntry('restore-here', previousGroups, { openedTabIds: tabIds });
     }
+    return { opened: tabIds.length, skipped };
   } catch (error) {
     console.error('[SessionManager] Error restoring session:', error);
     if (error.message && (error.message.includes('Session not found') || error.message.includes('Invalid') || error.message.includes('Failed to restore'))) {
@@ -437,11 +545,9 @@ async function restoreSession(sessionId) {
  * @returns {Promise<void>}
  * @throws {Error} If deletion fails
  */
-async function deleteSession(sessionId) {
+export async function deleteSession(sessionId) {
   try {
-    const sessions = await getAllSessions();
-    const filtered = sessions.filter(s => s.id !== sessionId);
-    await chrome.storage.local.set({ sessions: filtered });
+    await deleteSessions([sessionId]);
   } catch (error) {
     console.error('[SessionManager] Error deleting session:', error);
     throw new Error('Failed to delete session. Please try again.');
@@ -449,25 +555,13 @@ async function deleteSession(sessionId) {
 }
 
 /**
- * Clean up old recovery sessions (keep only last N)
- * @param {number} maxCount - Maximum number of recovery sessions to keep
+ * Clean up old recovery sessions (keep only last N, plus any that are starred)
+ * @param {number} maxCount - Maximum number of unstarred recovery sessions to keep
  * @returns {Promise<void>}
  */
-async function cleanupRecoverySessions(maxCount = 3) {
+export async function cleanupRecoverySessions(maxCount = 3) {
   try {
-    const sessions = await getAllSessions();
-    const recoverySessions = sessions
-      .filter(s => s.name && s.name.startsWith('Recovery ('))
-      .sort((a, b) => b.timestamp - a.timestamp);
-
-    if (recoverySessions.length > maxCount) {
-      const toDelete = recoverySessions.slice(maxCount);
-      const remainingSessions = sessions.filter(s =>
-        !toDelete.find(ds => ds.id === s.id)
-      );
-
-      await chrome.storage.local.set({ sessions: remainingSessions });
-    }
+    await pruneSessions('recovery', maxCount);
   } catch (error) {
     console.error('[SessionManager] Error cleaning up recovery sessions:', error);
   }
@@ -0,0 +1,200 @@
+/**
+ * Session Schema - Version 1.0.0
+ * Versioned shape of saved sessions and upgrades for older records
+ * @fileoverview One session format for the popup and the service worker
+ *
+ * Schema version 4:
+ *   {schemaVersion, id, name, kind, timestamp, fingerprint, tags, folder, starred,
+ *    windows: [{id, state, left, top, width, height, tabs: [{url, title, pinned, active, groupId}]}],
+ *    groups: [{id, title, color, collapsed, windowId, index}]}
+ * kind is one of SESSION_KINDS. tags is a list of user labels, folder a single user label or null, and
+ * starred sessions are never pruned.
+ * Tabs are in tab strip order. A tab belongs to the group whose id equals its groupId (null when ungrouped);
+ * a group belongs to the window with its windowId and starts at position index of that window's tabs.
+ */
+
+/** @constant {number} Current session schema version */
+export const SESSION_SCHEMA_VERSION = 4;
+
+/** @constant {string[]} Session kinds: saved by the user, by the auto-save alarm, or when a window closed */
+export const SESSION_KINDS = ['manual', 'auto-save', 'recovery'];
+
+/** @constant {number} Maximum length of a tag or folder name */
+export const MAX_SESSION_LABEL_LENGTH = 40;
+
+/** @constant {number} Maximum number of tags on a session */
+export const MAX_SESSION_TAGS = 20;
+
+/**
+ * Clean up a tag or folder name
+ * @param {*} label - User input
+ * @returns {string} Trimmed name with inner whitespace collapsed, cut to MAX_SESSION_LABEL_LENGTH (empty if unusable)
+ */
+function normalizeSessionLabel(label) {
+  return typeof label === 'string' ? label.trim().replace(/\s+/g, ' ').slice(0, MAX_SESSION_LABEL_LENGTH) : '';
+}
+
+/**
+ * Clean up a session's tags: trimmed, without empty entries or case-insensitive repeats
+ * @param {*} tags - Tag list, or a comma-separated string as typed by the user
+ * @returns {string[]} Up to MAX_SESSION_TAGS tags in their original order
+ */
+export function normalizeSessionTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+  const seen = new Set();
+  const result = [];
+
+  for (const tag of list) {
+    const name = normalizeSessionLabel(tag);
+    if (name && !seen.has(name.toLowerCase())) {
+      seen.add(name.toLowerCase());
+      result.push(name);
+    }
+  }
+
+  return result.slice(0, MAX_SESSION_TAGS);
+}
+
+/**
+ * Clean up a session's folder name
+ * @param {*} folder - Folder name
+ * @returns {string|null} Folder name, or null for none
+ */
+export function normalizeSessionFolder(folder) {
+  return normalizeSessionLabel(folder) || null;
+}
+
+/**
+ * Build a tab entry in the current schema
+ * Keys are always in the same order so equal tabs serialize identically for delta encoding.
+ * @param {Object} tab - Browser tab or saved tab in any schema version
+ * @param {number|null} groupId - Group the tab belongs to
+ * @returns {Object} Tab entry
+ */
+export function createSessionTab(tab, groupId) {
+  return {
+    url: tab.url,
+    title: tab.title || 'Untitled',
+    pinned: tab.pinned || false,
+    active: tab.active || false,
+    groupId: groupId ?? null
+  };
+}
+
+/**
+ * Upgrade a version 1 record to version 2
+ * Version 1 records came in two shapes: the popup stored tab.originalGroupId with group.originalId/tabUrls,
+ * while the service worker stored tab.id/groupId with group.id/tabIds.
+ * @param {Object} record - Version 1 session or delta record
+ * @returns {Object} Version 2 record
+ */
+function migrateToVersion2(record) {
+  // Groups saved without any id get a negative one, which never collides with a browser group id
+  const groups = (record.groups || []).map((group, index) => ({
+    id: group.id ?? group.originalId ?? -(index + 1),
+    title: group.title,
+    color: group.color,
+    collapsed: group.collapsed || false,
+    tabUrls: group.tabUrls || []
+  }));
+
+  // Older popup records may lack originalGroupId, so fall back to the group's URL list
+  const resolveGroupId = tab => {
+    const savedGroupId = tab.groupId ?? tab.originalGroupId;
+    if (savedGroupId !== undefined && savedGroupId !== null) {
+      return savedGroupId;
+    }
+    const group = groups.find(candidate => candidate.tabUrls.includes(tab.url));
+    return group ? group.id : null;
+  };
+
+  const migrateWindows = windows => windows.map(windowData => ({
+    ...windowData,
+    tabs: (windowData.tabs || []).map(tab =>
+      (typeof tab === 'number' ? tab : createSessionTab(tab, resolveGroupId(tab)))
+    )
+  }));
+
+  const migrated = {
+    ...record,
+    schemaVersion: 2,
+    groups: groups.map(({ tabUrls, ...group }) => group)
+  };
+  if (Array.isArray(record.windows)) {
+    migrated.windows = migrateWindows(record.windows);
+  }
+  if (Array.isArray(record.deltaWindows)) {
+    migrated.deltaWindows = migrateWindows(record.deltaWindows);
+  }
+  return migrated;
+}
+
+/**
+ * Upgrade a version 2 record to version 3 by placing each group in the window that holds its first tab
+ * Tabs a delta stores as base indexes cannot be looked at here, so a position or window that depends on them
+ * is left null; restoring places such groups by their tabs.
+ * @param {Object} record - Version 2 session or delta record
+ * @returns {Object} Version 3 record
+ */
+function migrateToVersion3(record) {
+  const windows = record.windows || record.deltaWindows || [];
+
+  const groups = (record.groups || []).map(group => {
+    for (const windowData of windows) {
+      const tabs = windowData.tabs || [];
+      const index = tabs.findIndex(tab => typeof tab === 'object' && tab.groupId === group.id);
+      if (index !== -1) {
+        // A base index before the match may be an earlier tab of the same group
+        const exact = !tabs.slice(0, index).some(tab => typeof tab === 'number');
+        return { ...group, windowId: windowData.id, index: exact ? index : null };
+      }
+    }
+    return { ...group, windowId: null, index: null };
+  });
+
+  return { ...record, schemaVersion: 3, groups };
+}
+
+/**
+ * Upgrade a version 3 record to version 4: a stored kind plus empty tags, folder and star
+ * Records saved before kinds existed are told apart by the names auto-save and recovery gave them.
+ * @param {Object} record - Version 3 session or delta record
+ * @returns {Object} Version 4 record
+ */
+function migrateToVersion4(record) {
+  let kind = record.kind;
+  if (!SESSION_KINDS.includes(kind)) {
+    const name = record.name || '';
+    kind = name.startsWith('Auto-save (') ? 'auto-save' : (name.startsWith('Recovery (') ? 'recovery' : 'manual');
+  }
+
+  return {
+    ...record,
+    schemaVersion: 4,
+    kind,
+    tags: normalizeSessionTags(record.tags),
+    folder: normalizeSessionFolder(record.folder),
+    starred: record.starred === true
+  };
+}
+
+/**
+ * Upgrade a stored session record to the current schema
+ * Delta records (see sessionDelta.js) are upgraded in place; tabs stored as base indexes are left as they are.
+ * @param {Object} record - Stored session or delta record
+ * @returns {Object} Record in the current schema (the same object if it is already current)
+ */
+export function migrateSessionRecord(record) {
+  if (!record || record.schemaVersion >= SESSION_SCHEMA_VERSION) {
+    return record;
+  }
+
+  let migrated = record;
+  if (!(migrated.schemaVersion >= 2)) {
+    migrated = migrateToVersion2(migrated);
+  }
+  if (migrated.schemaVersion < 3) {
+    migrated = migrateToVersion3(migrated);
+  }
+  return migrateToVersion4(migrated);
+}
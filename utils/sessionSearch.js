@@ -0,0 +1,127 @@
+/**
+ * Session Search - Version 1.0.0
+ * Full-text search over saved sessions
+ * @fileoverview Matches session names, folders, tags, group names, tab titles and URLs, with kind, date, star, folder and tag filters
+ */
+
+import { getSessionKind } from './sessionStore.js';
+
+/**
+ * Split a search query into lowercase terms
+ * @param {string} query - Search text
+ * @returns {string[]} Terms, without empty ones
+ */
+export function getSearchTerms(query) {
+  return (query || '').toLowerCase().split(/\s+/).filter(term => term.length > 0);
+}
+
+/**
+ * Collect the folders and tags used by a list of sessions
+ * @param {Array<Object>} sessions - Sessions
+ * @returns {{folders: string[], tags: string[]}} Names sorted alphabetically, without case-insensitive repeats
+ */
+export function collectSessionLabels(sessions) {
+  const folders = new Map();
+  const tags = new Map();
+
+  for (const session of sessions) {
+    if (session.folder && !folders.has(session.folder.toLowerCase())) {
+      folders.set(session.folder.toLowerCase(), session.folder);
+    }
+    for (const tag of session.tags || []) {
+      if (!tags.has(tag.toLowerCase())) {
+        tags.set(tag.toLowerCase(), tag);
+      }
+    }
+  }
+
+  const byName = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' });
+  return {
+    folders: Array.from(folders.values()).sort(byName),
+    tags: Array.from(tags.values()).sort(byName)
+  };
+}
+
+/**
+ * Check whether a session passes the filters
+ * @param {Object} session - Full session
+ * @param {Object} filters - Search filters (see searchSessions)
+ * @returns {boolean} True if the session should be searched
+ */
+function matchesFilters(session, filters) {
+  if (filters.kinds && !filters.kinds.includes(getSessionKind(session))) {
+    return false;
+  }
+  if (filters.from !== undefined && filters.from !== null && session.timestamp < filters.from) {
+    return false;
+  }
+  if (filters.to !== undefined && filters.to !== null && session.timestamp > filters.to) {
+    return false;
+  }
+  if (filters.starred && !session.starred) {
+    return false;
+  }
+  if (filters.folder && (session.folder || '').toLowerCase() !== filters.folder.toLowerCase()) {
+    return false;
+  }
+  if (filters.tag && !(session.tags || []).some(tag => tag.toLowerCase() === filters.tag.toLowerCase())) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Search saved sessions
+ * Every term must match. Terms found in the session's name, folder or tags count for all of its tabs,
+ * so "work github" finds GitHub tabs in a session called or tagged "Work". A tab matches the other terms
+ * through its title, URL or group name.
+ * @param {Array<Object>} sessions - Full sessions, in the order results should keep
+ * @param {Object} [filters] - Search filters
+ * @param {string} [filters.query=''] - Search text; when empty every session that passes the filters is returned
+ * @param {string[]} [filters.kinds] - Only search these kinds ('manual', 'auto-save', 'recovery')
+ * @param {number} [filters.from] - Only search sessions saved at or after this timestamp
+ * @param {number} [filters.to] - Only search sessions saved at or before this timestamp
+ * @param {boolean} [filters.starred] - Only search starred sessions
+ * @param {string} [filters.folder] - Only search sessions in this folder (case-insensitive)
+ * @param {string} [filters.tag] - Only search sessions with this tag (case-insensitive)
+ * @returns {Array<{session: Object, labelMatch: boolean, tabs: Array<{windowIndex: number, tabIndex: number, tab: Object, groupTitle: string|null}>}>}
+ *   Matching sessions; tabs lists the matching tabs (empty when the session's own labels match or the query is empty)
+ */
+export function searchSessions(sessions, filters = {}) {
+  const terms = getSearchTerms(filters.query);
+  const results = [];
+
+  for (const session of sessions) {
+    if (!matchesFilters(session, filters)) {
+      continue;
+    }
+
+    const sessionText = [session.name || '', session.folder || '', ...(session.tags || [])].join('\n').toLowerCase();
+    const tabTerms = terms.filter(term => !sessionText.includes(term));
+
+    if (tabTerms.length === 0) {
+      results.push({ session, labelMatch: terms.length > 0, tabs: [] });
+      continue;
+    }
+
+    const groupTitles = new Map((session.groups || []).map(group => [group.id, group.title || '']));
+    const tabs = [];
+
+    (session.windows || []).forEach((windowData, windowIndex) => {
+      (windowData.tabs || []).forEach((tab, tabIndex) => {
+        const groupTitle = tab.groupId !== null && groupTitles.has(tab.groupId) ? groupTitles.get(tab.groupId) : null;
+        const text = `${tab.title || ''}\n${tab.url || ''}\n${groupTitle || ''}`.toLowerCase();
+
+        if (tabTerms.every(term => text.includes(term))) {
+          tabs.push({ windowIndex, tabIndex, tab, groupTitle });
+        }
+      });
+    });
+
+    if (tabs.length > 0) {
+      results.push({ session, labelMatch: false, tabs });
+    }
+  }
+
+  return results;
+}
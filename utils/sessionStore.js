@@ -0,0 +1,535 @@
+/**
+ * Session Store - Version 1.0.0
+ * IndexedDB storage for saved sessions and undo history
+ * @fileoverview Keyed session records with timestamp/kind indexes and a one-time migration from chrome.storage.local
+ * Records are upgraded to the current session schema (see sessionSchema.js) when the database or a write sees an older one.
+ * Auto-save and recovery snapshots may be stored as deltas (see sessionDelta.js); reads always return full sessions.
+ */
+
+import { computeSessionFingerprint, isDeltaRecord, encodeSessionDelta, decodeSessionDelta } from './sessionDelta.js';
+import { SESSION_KINDS, migrateSessionRecord, normalizeSessionTags, normalizeSessionFolder } from './sessionSchema.js';
+
+/** @constant {string} IndexedDB database name */
+const SESSION_DB_NAME = 'tab-it';
+
+/** @constant {number} IndexedDB schema version (bumped with each session schema version that rewrites stored records) */
+const SESSION_DB_VERSION = 4;
+
+/** @constant {string} Object store for saved sessions (keyPath "id") */
+const SESSION_STORE = 'sessions';
+
+/** @constant {string} Object store for undo entries (auto-increment key) */
+const UNDO_STORE = 'undoHistory';
+
+/** @constant {number} Maximum number of undo entries kept */
+const MAX_UNDO_ENTRIES = 20;
+
+/** @constant {string[]} Session kinds saved automatically and eligible for delta encoding */
+const SNAPSHOT_KINDS = ['auto-save', 'recovery'];
+
+/** @type {Promise<IDBDatabase>|null} Shared database connection */
+let sessionDbPromise = null;
+
+/**
+ * Get the kind of a session
+ * Stored records always have one (older records get it from the schema upgrade); anything else counts as manual.
+ * @param {Object} session - Session object
+ * @returns {string} 'manual', 'auto-save', or 'recovery'
+ */
+export function getSessionKind(session) {
+  return session && SESSION_KINDS.includes(session.kind) ? session.kind : 'manual';
+}
+
+/**
+ * Upgrade a session to the current schema before it is written
+ * @param {Object} session - Session in any schema version, with an id
+ * @returns {Object} Record to store
+ */
+function prepareSessionRecord(session) {
+  const record = migrateSessionRecord({ ...session, id: String(session.id) });
+  return { ...record, kind: getSessionKind(record) };
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Read the sessions and undo history older versions kept in chrome.storage.local
+ * @returns {Promise<{sessions: Array<Object>, undoHistory: Array<Object>}|null>} Old data, or null if there is none
+ */
+async function readLegacyStorage() {
+  try {
+    const { sessions, undoHistory } = await chrome.storage.local.get(['sessions', 'undoHistory']);
+    if (!Array.isArray(sessions) && !Array.isArray(undoHistory)) {
+      return null;
+    }
+    return {
+      sessions: Array.isArray(sessions) ? sessions : [],
+      undoHistory: Array.isArray(undoHistory) ? undoHistory : []
+    };
+  } catch (error) {
+    console.error('[SessionStore] Error reading old sessions:', error);
+    return null;
+  }
+}
+
+/**
+ * Copy old sessions and undo history into the stores being created
+ * Runs inside the version-change transaction that creates the database, so only one context (popup or background)
+ * ever copies, and it must not await anything. Records that cannot be stored are skipped rather than failing the
+ * upgrade, which would keep the database from opening.
+ * @param {{sessions: Array<Object>, undoHistory: Array<Object>}} legacy - Result of readLegacyStorage
+ * @param {IDBTransaction} transaction - Version-change transaction
+ */
+function copyLegacyStorage(legacy, transaction) {
+  const sessionStore = transaction.objectStore(SESSION_STORE);
+  const undoStore = transaction.objectStore(UNDO_STORE);
+
+  for (const session of legacy.sessions) {
+    try {
+      if (session && session.id !== undefined) {
+        sessionStore.put(prepareSessionRecord(session));
+      }
+    } catch (error) {
+      console.warn('[SessionStore] Skipping old session that cannot be migrated:', error);
+    }
+  }
+  for (const entry of legacy.undoHistory.slice(-MAX_UNDO_ENTRIES)) {
+    try {
+      undoStore.add(entry);
+    } catch (error) {
+      console.warn('[SessionStore] Skipping old undo entry that cannot be migrated:', error);
+    }
+  }
+}
+
+/**
+ * Rewrite every stored session in the current session schema
+ * Runs inside the version-change transaction, so it must not await anything.
+ * @param {IDBObjectStore} store - Session object store
+ */
+function upgradeStoredSessions(store) {
+  const request = store.openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    const migrated = migrateSessionRecord(cursor.value);
+    if (migrated !== cursor.value) {
+      cursor.update(migrated);
+    }
+    cursor.continue();
+  };
+}
+
+/**
+ * Open the session database, creating stores and migrating old data on first use
+ * @returns {Promise<IDBDatabase>} Open database
+ * @throws {Error} If IndexedDB cannot be opened
+ */
+export function openSessionDb() {
+  if (sessionDbPromise) {
+    return sessionDbPromise;
+  }
+
+  sessionDbPromise = (async () => {
+    const legacy = await readLegacyStorage();
+    const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SESSION_STORE)) {
+        const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('kind', 'kind');
+      }
+      if (!db.objectStoreNames.contains(UNDO_STORE)) {
+        db.createObjectStore(UNDO_STORE, { autoIncrement: true });
+      }
+      if (event.oldVersion > 0 && event.oldVersion < SESSION_DB_VERSION) {
+        upgradeStoredSessions(request.transaction.objectStore(SESSION_STORE));
+      }
+      if (event.oldVersion === 0 && legacy) {
+        copyLegacyStorage(legacy, request.transaction);
+      }
+    };
+
+    const db = await promisifyRequest(request);
+
+    // Another context upgrading the schema needs this connection out of the way
+    db.onversionchange = () => {
+      db.close();
+      sessionDbPromise = null;
+    };
+
+    // Whichever context created the database has copied the old data by now
+    if (legacy) {
+      await chrome.storage.local.remove(['sessions', 'undoHistory']).catch(error => {
+        console.warn('[SessionStore] Error removing migrated sessions:', error);
+      });
+    }
+
+    return db;
+  })().catch(error => {
+    sessionDbPromise = null;
+    console.error('[SessionStore] Error opening database:', error);
+    throw new Error('Cannot open session storage.');
+  });
+
+  return sessionDbPromise;
+}
+
+/**
+ * Save or replace a session
+ * @param {Object} session - Session object with an id
+ * @returns {Promise<void>}
+ */
+export async function putSession(session) {
+  await putSessions([session]);
+}
+
+/**
+ * Save or replace several sessions in one transaction
+ * Sessions in an older schema (e.g. from an old export file) are upgraded first.
+ * @param {Array<Object>} sessions - Session objects with ids
+ * @returns {Promise<void>}
+ */
+export async function putSessions(sessions) {
+  const db = await openSessionDb();
+  const transaction = db.transaction(SESSION_STORE, 'readwrite');
+  const store = transaction.objectStore(SESSION_STORE);
+
+  for (const session of sessions) {
+    store.put(prepareSessionRecord(session));
+  }
+
+  await transactionDone(transaction);
+}
+
+/**
+ * Expand delta records into full sessions, reading any bases that were not already loaded
+ * @param {IDBObjectStore} store - Session object store in an open transaction
+ * @param {Array<Object>} records - Stored records
+ * @returns {Promise<Array<Object>>} Full sessions in the same order
+ */
+async function expandSessionRecords(store, records) {
+  const byId = new Map(records.map(record => [record.id, record]));
+
+  for (const record of records) {
+    if (isDeltaRecord(record) && !byId.has(record.baseId)) {
+      byId.set(record.baseId, await promisifyRequest(store.get(record.baseId)));
+    }
+  }
+
+  return records.map(record => {
+    if (!isDeltaRecord(record)) {
+      return record;
+    }
+    const base = byId.get(record.baseId);
+    if (!base) {
+      console.warn('[SessionStore] Missing base for delta session:', record.id);
+      const { baseId, deltaWindows, ...metadata } = record;
+      return { ...metadata, windows: [] };
+    }
+    return decodeSessionDelta(record, base);
+  });
+}
+
+/**
+ * Get one session by id
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Full session or null if not found
+ */
+export async function getSession(sessionId) {
+  const db = await openSessionDb();
+  const transaction = db.transaction(SESSION_STORE, 'readonly');
+  const store = transaction.objectStore(SESSION_STORE);
+
+  const record = await promisifyRequest(store.get(String(sessionId)));
+  if (!record) {
+    return null;
+  }
+
+  const [session] = await expandSessionRecords(store, [record]);
+  return session;
+}
+
+/**
+ * List stored records as they are on disk (deltas are not expanded)
+ * @param {string} [kind] - Only return records of this kind
+ * @returns {Promise<Array<Object>>} Records sorted by timestamp, newest first
+ */
+export async function listSessionRecords(kind) {
+  const db = await openSessionDb();
+  const transaction = db.transaction(SESSION_STORE, 'readonly');
+  const store = transaction.objectStore(SESSION_STORE);
+
+  const records = kind
+    ? await promisifyRequest(store.index('kind').getAll(kind))
+    : await promisifyRequest(store.index('timestamp').getAll());
+
+  return records.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * List sessions newest first
+ * @param {string} [kind] - Only return sessions of this kind
+ * @returns {Promise<Array<Object>>} Full sessions sorted by timestamp, newest first
+ */
+export async function listSessions(kind) {
+  const records = await listSessionRecords(kind);
+
+  const db = await openSessionDb();
+  const transaction = db.transaction(SESSION_STORE, 'readonly');
+  return expandSessionRecords(transaction.objectStore(SESSION_STORE), records);
+}
+
+/**
+ * Get the fingerprint of the newest session of a kind
+ * @param {string} kind - Session kind
+ * @returns {Promise<string|null>} Fingerprint, or null if there is no session or it predates fingerprints
+ */
+export async function getLatestFingerprint(kind) {
+  const [latest] = await listSessionRecords(kind);
+  return (latest && latest.fingerprint) || null;
+}
+
+/**
+ * Save an auto-save or recovery snapshot, delta-encoded against the newest full snapshot when that saves space
+ * @param {Object} session - Full session object
+ * @returns {Promise<void>}
+ */
+export async function putSessionSnapshot(session) {
+  const snapshot = { ...session, fingerprint: session.fingerprint || computeSessionFingerprint(session) };
+
+  // Look up the base and write in one transaction, so a concurrent delete cannot remove the base in between
+  const db = await openSessionDb();
+  const transaction = db.transaction(SESSION_STORE, 'readwrite');
+  const store = transaction.objectStore(SESSION_STORE);
+
+  const records = await promisifyRequest(store.index('timestamp').getAll());
+  const base = records
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .find(record => SNAPSHOT_KINDS.includes(record.kind) && !isDeltaRecord(record));
+
+  store.put(prepareSessionRecord((base && encodeSessionDelta(snapshot, base)) || snapshot));
+  await transactionDone(transaction);
+}
+
+/**
+ * Update stored fields of a session (e.g. its name, tags, folder or star) without re-encoding its tabs
+ * @param {string} sessionId - Session ID
+ * @param {Object} changes - Fields to change; tags and folder are cleaned up as in sessionSchema.js
+ * @returns {Promise<void>}
+ * @throws {Error} If the session does not exist
+ */
+export async function updateSessionMetadata(sessionId, changes) {
+  const db = await openSessionDb();
+  const transaction = db.transaction(SESSION_STORE, 'readwrite');
+  const store = transaction.objectStore(SESSION_STORE);
+
+  const record = await promisifyRequest(store.get(String(sessionId)));
+  if (!record) {
+    transaction.abort();
+    throw new Error('Session not found');
+  }
+
+  const { id, windows, groups, baseId, deltaWindows, ...allowed } = changes;
+  if ('tags' in allowed) allowed.tags = normalizeSessionTags(allowed.tags);
+  if ('folder' in allowed) allowed.folder = normalizeSessionFolder(allowed.folder);
+  if ('starred' in allowed) allowed.starred = allowed.starred === true;
+  store.put({ ...record, ...allowed });
+  await transactionDone(transaction);
+}
+
+/**
+ * Count stored sessions
+ * @returns {Promise<number>} Number of sessions
+ */
+export async function countSessions() {
+  const db = await openSessionDb();
+  const transaction = db.transaction(SESSION_STORE, 'readonly');
+  return promisifyRequest(transaction.objectStore(SESSION_STORE).count());
+}
+
+/**
+ * Rebase the deltas whose base is about to be removed or overwritten
+ * The newest orphan becomes a full snapshot and the rest are re-encoded against it.
+ * @param {Array<Object>} records - All stored records, newest first
+ * @param {Set<string>} removing - Ids being deleted or overwritten
+ * @returns {Array<Object>} Records to put in place of the orphans
+ */
+function rebaseOrphanedDeltas(records, removing) {
+  const byId = new Map(records.map(record => [record.id, record]));
+
+  // Orphaned deltas, grouped by the base being removed (records are newest first)
+  const orphansByBase = new Map();
+  for (const record of records) {
+    if (isDeltaRecord(record) && removing.has(record.baseId) && !removing.has(record.id)) {
+      if (!orphansByBase.has(record.baseId)) {
+        orphansByBase.set(record.baseId, []);
+      }
+      orphansByBase.get(record.baseId).push(record);
+    }
+  }
+
+  const rebased = [];
+  for (const [baseId, orphans] of orphansByBase) {
+    const base = byId.get(baseId);
+    const [newBase, ...rest] = orphans.map(record => decodeSessionDelta(record, base));
+    rebased.push(newBase);
+    for (const session of rest) {
+      rebased.push(encodeSessionDelta(session, newBase) || session);
+    }
+  }
+  return rebased;
+}
+
+/**
+ * Delete sessions by id
+ * Deltas whose base is deleted are rebased: the newest becomes a full snapshot and the rest are re-encoded against it.
+ * @param {Array<string>} sessionIds - Session IDs to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteSessions(sessionIds) {
+  if (sessionIds.length === 0) {
+    return;
+  }
+
+  const deleting = new Set(sessionIds.map(String));
+
+  // Read, rebase and delete in one transaction, so a concurrent snapshot cannot be encoded against a base
+  // that is being deleted
+  const db = await openSessionDb();
+  const transaction = db.transaction(SESSION_STORE, 'readwrite');
+  const store = transaction.objectStore(SESSION_STORE);
+
+  const records = (await promisifyRequest(store.index('timestamp').getAll())).sort((a, b) => b.timestamp - a.timestamp);
+
+  for (const record of rebaseOrphanedDeltas(records, deleting)) {
+    store.put(record);
+  }
+  for (const sessionId of deleting) {
+    store.delete(sessionId);
+  }
+
+  await transactionDone(transaction);
+}
+
+/**
+ * Store sessions in place of others in one transaction, so a failure leaves the store unchanged
+ * Deltas based on a replaced or overwritten session are rebased as in deleteSessions.
+ * @param {Array<Object>} sessions - Sessions to store
+ * @param {Array<string>} replacedIds - Stored session IDs to delete (ids also being stored are overwritten instead)
+ * @returns {Promise<void>}
+ */
+export async function replaceSessions(sessions, replacedIds) {
+  const records = sessions.map(prepareSessionRecord);
+  const storing = new Set(records.map(record => record.id));
+
+  const db = await openSessionDb();
+  const transaction = db.transaction(SESSION_STORE, 'readwrite');
+  const store = transaction.objectStore(SESSION_STORE);
+
+  const stored = (await promisifyRequest(store.index('timestamp').getAll())).sort((a, b) => b.timestamp - a.timestamp);
+  const storedIds = new Set(stored.map(record => record.id));
+  const removing = new Set([...replacedIds.map(String), ...[...storing].filter(id => storedIds.has(id))]);
+
+  const done = transactionDone(transaction);
+  try {
+    for (const record of rebaseOrphanedDeltas(stored, removing)) {
+      store.put(record);
+    }
+    for (const sessionId of removing) {
+      if (!storing.has(sessionId)) {
+        store.delete(sessionId);
+      }
+    }
+    for (const record of records) {
+      store.put(record);
+    }
+  } catch (error) {
+    // A record that cannot be stored must not leave the deletes queued before it to commit
+    transaction.abort();
+    done.catch(() => {});
+    throw error;
+  }
+
+  await done;
+}
+
+/**
+ * Keep only the newest sessions of a kind
+ * Starred sessions are never deleted and do not count towards keepCount.
+ * @param {string} kind - Session kind to prune
+ * @param {number} keepCount - Number of unstarred sessions to keep
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+export async function pruneSessions(kind, keepCount) {
+  const records = await listSessionRecords(kind);
+  const toDelete = records.filter(record => !record.starred).slice(keepCount).map(record => record.id);
+  await deleteSessions(toDelete);
+  return toDelete.length;
+}
+
+/**
+ * Append an undo entry, dropping the oldest past MAX_UNDO_ENTRIES
+ * @param {Object} entry - Undo entry {type, timestamp, previousGroups, closedTabs, openedTabIds}
+ * @returns {Promise<void>}
+ */
+export async function pushUndoEntry(entry) {
+  const db = await openSessionDb();
+  const transaction = db.transaction(UNDO_STORE, 'readwrite');
+  const store = transaction.objectStore(UNDO_STORE);
+
+  store.add(entry);
+
+  const keys = await promisifyRequest(store.getAllKeys());
+  for (const key of keys.slice(0, Math.max(0, keys.length - MAX_UNDO_ENTRIES))) {
+    store.delete(key);
+  }
+
+  await transactionDone(transaction);
+}
+
+/**
+ * Remove and return the newest undo entry
+ * @returns {Promise<Object|null>} Undo entry, or null if history is empty
+ */
+export async function popUndoEntry() {
+  const db = await openSessionDb();
+  const transaction = db.transaction(UNDO_STORE, 'readwrite');
+  const store = transaction.objectStore(UNDO_STORE);
+
+  const cursor = await promisifyRequest(store.openCursor(null, 'prev'));
+  if (!cursor) {
+    await transactionDone(transaction);
+    return null;
+  }
+
+  const entry = cursor.value;
+  cursor.delete();
+  await transactionDone(transaction);
+  return entry;
+}
@@ -1,345 +1,436 @@
 /**
  * Tab Classifier - Version 1.0.0
  * Smart tab classification with 16 categories
- * @fileoverview Classifies tabs based on URL patterns, domain matching, and title analysis
+ * @fileoverview Scores tabs from weighted domain, URL pattern, title, and audio signals
  */
 
+import { getDefaultCategories, getCategories, resolveCategoryId, getCategoryConfig } from './categoryManager.js';
+import { getOwnerLabels, hostMatchesDomain } from './domainResolver.js';
+import { getLearnedOverrides, findLearnedOverride } from './overrideManager.js';
+import { unwrapPlaceholderTab } from './placeholderTabs.js';
+import { compileRules, findMatchingRule, getClassificationRules } from './ruleManager.js';
+
 /**
- * Available tab categories
- * @type {string[]}
+ * Load user classification settings from storage
+ * @returns {Promise<{rules: Array<Object>, compiledRules: Array<Object>, categories: Array<Object>, overrides: Object}>}
+ *   Context object for classifyTab
  */
-const TAB_CATEGORIES = [
-  'video',
-  'news',
-  'shopping',
-  'social',
-  'work',
-  'documentation',
-  'search',
-  'entertainment',
-  'development',
-  'education',
-  'design',
-  'ai-tools',
-  'finance',
-  'reference',
-  'other'
-];
+export async function loadClassifierContext() {
+  const [rules, categories, overrides] = await Promise.all([
+    getClassificationRules(),
+    getCategories(),
+    getLearnedOverrides()
+  ]);
+  return { rules, compiledRules: compileRules(rules), categories, overrides };
+}
 
 /**
  * Classify a tab into a category based on its URL and title
- * Uses domain matching, URL patterns, and title keywords
+ * User rules run first, then overrides learned from manual corrections, then the built-in scorer;
+ * results are mapped onto the active category set
  * @param {chrome.tabs.Tab} tab - Tab object to classify
- * @returns {string} Category name (one of TAB_CATEGORIES)
+ * @param {Object} [context] - Classifier context from loadClassifierContext
+ * @param {Array<Object>} [context.rules] - User-defined classification rules
+ * @param {Array<Object>} [context.compiledRules] - The same rules, compiled by compileRules
+ * @param {Array<Object>} [context.categories] - Active category set
+ * @param {Object} [context.overrides] - Learned per-host overrides
+ * @returns {string} Category ID from the active category set
  */
-function classifyTab(tab) {
-  // Edge cases - skip invalid URLs
-  if (!tab.url) {
-    return 'other';
-  }
-  
-  const url = tab.url.toLowerCase();
-  const title = (tab.title || '').toLowerCase();
-  
-  // Extract domain early
-  let domain = '';
-  try {
-    const urlObj = new URL(tab.url);
-    domain = urlObj.hostname.toLowerCase().replace('www.', '');
-  } catch (e) {
-    domain = url;
+export function classifyTab(tab, context = {}) {
+  return scoreTab(tab, context).category;
+}
+
+/** @constant {Object<string, number>} Score contributed by each kind of signal */
+const SIGNAL_WEIGHTS = {
+  rule: 100,
+  learned: 50,
+  domainPath: 14,
+  domain: 10,
+  tld: 8,
+  subdomain: 6,
+  path: 4,
+  audible: 3,
+  title: 2,
+  keyword: 1
+};
+
+/** @constant {number} Maximum combined score from title and URL keywords for one category */
+const KEYWORD_SCORE_CAP = 6;
+
+/**
+ * Built-in signals per category, in tie-break order (earlier wins a tie)
+ * - domains: host equals or is a subdomain of the entry
+ * - exactHosts: host equals the entry
+ * - domainPaths: host matches and URL contains one of the paths
+ * - tlds / subdomains: host ends with ".tld" / starts with "sub."
+ * - paths: URL contains the fragment
+ * - keywords: whole word in the URL or title
+ * - titleKeywords: whole word in the title only
+ * @constant {Object<string, Object>}
+ */
+const CATEGORY_SIGNALS = {
+  'development': {
+    domains: ['github.com', 'gitlab.com', 'bitbucket.org', 'codepen.io', 'codesandbox.io', 'replit.com', 'glitch.com',
+              'vercel.com', 'netlify.com', 'heroku.com', 'railway.app'],
+    localHosts: true
+  },
+  'ai-tools': {
+    domains: ['chat.openai.com', 'chatgpt.com', 'bard.google.com', 'perplexity.ai', 'obsidian.md', 'evernote.com',
+              'keep.google.com', 'notion.so', 'notion.site']
+  },
+  'education': {
+    domains: [
+      // Learning platforms
+      'coursera.org', 'udemy.com', 'khanacademy.org', 'edx.org', 'skillshare.com', 'pluralsight.com',
+      'leetcode.com', 'hackerrank.com', 'codecademy.com', 'udacity.com', 'brilliant.org', 'duolingo.com',
+      // LMS platforms
+      'mylearningspace', 'd2l.com', 'blackboard.com', 'canvas.instructure.com', 'canvas', 'instructure.com',
+      'schoology.com', 'brightspace.com', 'moodle', 'pearson.com', 'mcgrawhill.com', 'cengage.com',
+      // Google Classroom
+      'classroom.google.com'
+    ],
+    tlds: ['edu'],
+    paths: ['/student/', '/course/', '/class/', '/assignment/', '/homework/', '/grades/', '/schedule/', '/portal/',
+            '/lms/', '/learning/'],
+    keywords: ['course', 'class', 'assignment', 'student', 'learning', 'education', 'homework', 'grades', 'schedule',
+               'lms', 'studentportal', 'myportal', 'learning portal', 'university', 'college', 'school']
+  },
+  'video': {
+    domains: ['youtube.com', 'youtu.be', 'vimeo.com', 'twitch.tv', 'netflix.com', 'hulu.com', 'disneyplus.com',
+              'hbo.com', 'primevideo.com', 'dailymotion.com'],
+    titleKeywords: ['youtube'],
+    audible: true
+  },
+  'social': {
+    domains: ['facebook.com', 'fb.com', 'twitter.com', 'x.com', 'instagram.com', 'linkedin.com', 'reddit.com',
+              'tiktok.com', 'snapchat.com', 'pinterest.com', 'tumblr.com', 'discord.com', 'discord.gg',
+              'whatsapp.com', 'telegram.org', 'web.telegram.org']
+  },
+  'work': {
+    domains: ['docs.google.com', 'sheets.google.com', 'slides.google.com', 'drive.google.com', 'calendar.google.com',
+              'mail.google.com', 'gmail.com', 'outlook.live.com', 'outlook.office.com', 'slack.com', 'trello.com',
+              'asana.com', 'monday.com', 'clickup.com', 'airtable.com', 'zoom.us', 'meet.google.com', 'dropbox.com',
+              'box.com', 'onedrive.live.com', 'teams.microsoft.com'],
+    paths: ['office.com', 'microsoft.com/office']
+  },
+  'documentation': {
+    domains: ['stackoverflow.com', 'stackexchange.com', 'developer.mozilla.org', 'mdn.io', 'w3schools.com',
+              'devdocs.io'],
+    domainPaths: [{ domain: 'github.com', paths: ['/docs/', '/wiki/', '/documentation/'] }],
+    paths: ['/docs/', '/documentation/', '/api/', '/reference/', '/guide/', '/tutorial/', '/wiki/']
+  },
+  'design': {
+    domains: ['figma.com', 'canva.com', 'dribbble.com', 'behance.net', 'adobe.com', 'unsplash.com', 'pexels.com']
+  },
+  'shopping': {
+    domains: [
+      // Major retailers
+      'amazon.com', 'ebay.com', 'etsy.com', 'walmart.com', 'target.com', 'alibaba.com', 'aliexpress.com',
+      'shopify.com', 'bestbuy.com', 'costco.com', 'newegg.com', 'microcenter.com',
+      // Furniture & home
+      'thebrick.com', 'ikea.com', 'wayfair.com', 'homedepot.com', 'lowes.com', 'williams-sonoma.com',
+      'crateandbarrel.com', 'cb2.com',
+      // Clothing
+      'macys.com', 'nordstrom.com', 'gap.com', 'hm.com', 'zara.com', 'uniqlo.com',
+      // Beauty
+      'sephora.com', 'ulta.com',
+      // Pets
+      'chewy.com', 'petco.com', 'petsmart.com'
+    ],
+    tlds: ['shop'],
+    subdomains: ['store'],
+    paths: ['/product/', '/p/', '/item/', '/products/', '/shop/', '/store/', '/cart', '/checkout', '/add-to-cart',
+            '/buy/', '/purchase/'],
+    keywords: ['shop', 'store', 'buy', 'cart', 'checkout', 'product', 'price', 'sale', 'deals', 'offers', 'shopping',
+               'purchase', 'order']
+  },
+  'news': {
+    domains: ['nytimes.com', 'wsj.com', 'cnn.com', 'bbc.com', 'bbc.co.uk', 'theguardian.com', 'reuters.com',
+              'bloomberg.com', 'apnews.com', 'npr.org', 'foxnews.com', 'nbcnews.com', 'abcnews.go.com', 'cbsnews.com',
+              'politico.com', 'theatlantic.com', 'time.com', 'newsweek.com']
+  },
+  'finance': {
+    domains: ['paypal.com', 'venmo.com', 'cashapp.com', 'stripe.com'],
+    keywords: ['bank', 'banking', 'credit', 'mortgage', 'invest', 'investing', 'trading', 'stock', 'stocks', 'crypto',
+               'exchange']
+  },
+  'reference': {
+    domains: ['wikipedia.org', 'wikihow.com', 'wiktionary.org', 'imdb.com', 'rottentomatoes.com'],
+    titleKeywords: ['wikipedia']
+  },
+  'search': {
+    domains: ['duckduckgo.com'],
+    exactHosts: ['google.com'],
+    paths: ['google.com/search', 'bing.com/search', 'search.yahoo.com', '?q=', '/search?', '&q=']
+  },
+  'entertainment': {
+    domains: ['spotify.com', 'soundcloud.com', 'bandcamp.com', 'ign.com', 'gamespot.com', 'polygon.com', 'kotaku.com',
+              'steam.com', 'steampowered.com', 'epicgames.com', 'playstation.com', 'xbox.com', 'nintendo.com',
+              'itch.io']
   }
-  
-  // Skip chrome:// and extension pages
-  if (url.startsWith('chrome://') || url.startsWith('chrome-extension://') || 
-      url.startsWith('about:') || url.startsWith('data:')) {
-    return 'other';
+};
+
+/**
+ * Check whether a hostname matches a known domain entry
+ * Dotted entries match the domain and its subdomains; bare words (e.g. "moodle") match a whole
+ * label above the public suffix, so "moodle.school.edu" matches but "notmoodle.com" does not
+ * @param {string} hostname - Lowercase hostname without "www."
+ * @param {string} domainCheck - Domain entry from CATEGORY_SIGNALS
+ * @returns {boolean} True if the host matches
+ */
+function hostMatchesEntry(hostname, domainCheck) {
+  if (domainCheck.includes('.')) {
+    return hostMatchesDomain(hostname, domainCheck);
   }
-  
-  // Extract hostname for precise domain matching
-  let hostname = '';
-  let pathname = '';
-  try {
-    const urlObj = new URL(tab.url);
-    hostname = urlObj.hostname.toLowerCase().replace('www.', '');
-    pathname = urlObj.pathname.toLowerCase();
-    if (!domain) {
-      domain = hostname;
-    }
-  } catch (e) {
-    hostname = url;
-    pathname = '';
-    if (!domain) {
-      domain = url;
+  return getOwnerLabels(hostname).includes(domainCheck);
+}
+
+/**
+ * Check whether text contains a keyword as a whole word
+ * @param {string} text - Lowercase text to search
+ * @param {string} keyword - Lowercase keyword
+ * @returns {boolean} True if the keyword appears on word boundaries
+ */
+function containsWord(text, keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}\\b`).test(text);
+}
+
+/**
+ * Check whether a hostname points at a local development server
+ * @param {string} hostname - Lowercase hostname
+ * @returns {boolean} True for localhost and private network addresses
+ */
+function isLocalHost(hostname) {
+  return hostname === 'localhost' || hostname.endsWith('.localhost') || hostname === '127.0.0.1' ||
+    hostname.startsWith('192.168.') || hostname.startsWith('10.0.');
+}
+
+/**
+ * Collect the signals a tab fires for one category
+ * @param {Object} config - Category entry from CATEGORY_SIGNALS
+ * @param {Object} parts - Lowercase url, hostname, and title of the tab
+ * @param {chrome.tabs.Tab} tab - Tab being scored
+ * @returns {Array<{type: string, detail: string, weight: number}>} Signals that fired
+ */
+function collectCategorySignals(config, parts, tab) {
+  const { url, hostname, title } = parts;
+  const signals = [];
+
+  for (const domain of config.domains || []) {
+    if (hostMatchesEntry(hostname, domain)) {
+      signals.push({ type: 'domain', detail: domain, weight: SIGNAL_WEIGHTS.domain });
+      break;
     }
   }
-  
-  // Helper function to extract domain properly
-  const extractDomain = (urlStr) => {
-    try {
-      const urlObj = new URL(urlStr);
-      return urlObj.hostname.toLowerCase().replace('www.', '');
-    } catch {
-      return urlStr.toLowerCase();
-    }
-  };
-  
-  // Helper function to check if domain matches (handles subdomains)
-  const matchesDomain = (domains) => {
-    return domains.some(domainCheck => {
-      // Exact match
-      if (hostname === domainCheck || domain === domainCheck) return true;
-      // Subdomain match (mail.google.com matches google.com)
-      if (hostname.endsWith('.' + domainCheck) || domain.endsWith('.' + domainCheck)) return true;
-      // Contains check for partial domain matches
-      if (hostname.includes(domainCheck) || domain.includes(domainCheck)) return true;
-      // Suffix match for domains like abcnews.go.com
-      const dotIndex = hostname.length - domainCheck.length - 1;
-      if (hostname.endsWith(domainCheck) && (hostname === domainCheck || (dotIndex >= 0 && hostname[dotIndex] === '.'))) {
-        return true;
-      }
-      return false;
-    });
-  };
-  
-  // Helper function to check if URL/path contains pattern
-  const matchesPattern = (patterns) => {
-    return patterns.some(pattern => {
-      const lowerPattern = pattern.toLowerCase();
-      return url.includes(lowerPattern) || pathname.includes(lowerPattern);
-    });
-  };
-  
-  // Helper function to check if title contains keyword
-  const titleContains = (keywords) => {
-    return keywords.some(keyword => title.includes(keyword.toLowerCase()));
-  };
-  
-  // Helper function to check if URL or title contains any keyword
-  const hasKeyword = (keywords) => {
-    return keywords.some(keyword => {
-      const lowerKeyword = keyword.toLowerCase();
-      return url.includes(lowerKeyword) || title.includes(lowerKeyword);
-    });
-  };
-  
-  // Helper function to check subdomain of a domain
-  const isSubdomainOf = (domainCheck, subdomains) => {
-    return subdomains.some(sub => hostname.startsWith(sub + '.' + domainCheck) || hostname === (sub + '.' + domainCheck));
-  };
-  
-  // Priority-based classification (most specific first)
-  
-  // 1. Chrome system pages → Other (already handled above)
-  
-  // 2. DEVELOPMENT category (separate from Documentation)
-  const devDomains = ['gitlab.com', 'bitbucket.org', 'codepen.io', 'codesandbox.io', 'replit.com', 'glitch.com',
-                      'vercel.com', 'netlify.com', 'heroku.com', 'railway.app'];
-  // GitHub - check if it's NOT docs/wiki
-  if (hostname.includes('github.com')) {
-    if (!matchesPattern(['/docs/', '/wiki/', '/documentation/'])) {
-      return 'development';
+
+  for (const host of config.exactHosts || []) {
+    if (hostname === host) {
+      signals.push({ type: 'domain', detail: host, weight: SIGNAL_WEIGHTS.domain });
+      break;
     }
   }
-  // Local development
-  if (hostname.includes('localhost') || hostname.includes('127.0.0.1') || hostname.includes('192.168.') || hostname.includes('10.0.')) {
-    return 'development';
-  }
-  if (matchesDomain(devDomains)) {
-    return 'development';
-  }
-  
-  // 3. AI & TOOLS category
-  const aiDomains = ['chat.openai.com', 'chatgpt.com', 'chat.openai', 'bard.google.com', 'perplexity.ai',
-                     'obsidian.md', 'evernote.com', 'keep.google.com'];
-  if (matchesDomain(aiDomains) || hostname.includes('chatgpt')) {
-    return 'ai-tools';
-  }
-  // Notion is AI & Tools (not Work anymore)
-  if (matchesDomain(['notion.so', 'notion.site'])) {
-    return 'ai-tools';
-  }
-  
-  // 4. EDUCATION category - Enhanced with LMS and patterns
-  const eduDomains = [
-    // Learning platforms
-    'coursera.org', 'udemy.com', 'khanacademy.org', 'edx.org', 'skillshare.com', 'pluralsight.com',
-    'leetcode.com', 'hackerrank.com', 'codecademy.com', 'udacity.com', 'brilliant.org', 'duolingo.com',
-    // LMS platforms
-    'mylearningspace', 'd2l.com', 'blackboard.com', 'canvas.instructure.com', 'canvas', 'instructure.com',
-    'schoology.com', 'brightspace.com', 'moodle', 'pearson.com', 'mcgrawhill.com', 'cengage.com',
-    // Google Classroom
-    'google.classroom.com', 'classroom.google.com'
-  ];
-  const eduKeywords = ['course', 'class', 'assignment', 'student', 'learning', 'education', 'homework', 
-                       'grades', 'schedule', 'lms', 'studentportal', 'myportal', 'learning portal',
-                       'university', 'college', 'school'];
-  const eduPatterns = ['/student/', '/course/', '/class/', '/assignment/', '/homework/', '/grades/', 
-                       '/schedule/', '/portal/', '/lms/', '/learning/'];
-  
-  // Check .edu domains
-  if (hostname.endsWith('.edu') || domain.endsWith('.edu') || url.includes('.edu')) {
-    return 'education';
-  }
-  
-  // Check LMS/education domains
-  if (matchesDomain(eduDomains)) {
-    return 'education';
-  }
-  
-  // Check for education keywords in URL or title
-  if (hasKeyword(eduKeywords) || matchesPattern(eduPatterns) || titleContains(['course', 'assignment', 'learning', 'student portal', 'class', 'homework'])) {
-    return 'education';
-  }
-  
-  // 5. VIDEO category
-  const videoDomains = ['youtube.com', 'youtu.be', 'vimeo.com', 'twitch.tv', 'netflix.com', 'hulu.com',
-                        'disneyplus.com', 'hbo.com', 'primevideo.com', 'dailymotion.com'];
-  if (matchesDomain(videoDomains) || titleContains(['youtube', '- youtube'])) {
-    return 'video';
+
+  if (config.localHosts && isLocalHost(hostname)) {
+    signals.push({ type: 'domain', detail: 'local network host', weight: SIGNAL_WEIGHTS.domain });
   }
-  // Check for audible property (playing audio/video)
-  if (tab.audible) {
-    return 'video';
+
+  for (const { domain, paths } of config.domainPaths || []) {
+    const path = hostMatchesEntry(hostname, domain) && paths.find(p => url.includes(p));
+    if (path) {
+      signals.push({ type: 'domainPath', detail: `${domain}${path}`, weight: SIGNAL_WEIGHTS.domainPath });
+    }
   }
-  
-  // 6. SOCIAL category
-  const socialDomains = ['facebook.com', 'fb.com', 'twitter.com', 'x.com', 'instagram.com', 'linkedin.com',
-                         'reddit.com', 'tiktok.com', 'snapchat.com', 'pinterest.com', 'tumblr.com',
-                         'discord.com', 'discord.gg', 'whatsapp.com', 'telegram.org', 'web.telegram.org'];
-  if (matchesDomain(socialDomains)) {
-    return 'social';
+
+  for (const tld of config.tlds || []) {
+    if (hostname.endsWith('.' + tld)) {
+      signals.push({ type: 'tld', detail: `.${tld}`, weight: SIGNAL_WEIGHTS.tld });
+    }
   }
-  
-  // 7. WORK category - Google subdomains and Office
-  const googleWorkSubdomains = ['docs', 'sheets', 'slides', 'drive', 'calendar', 'mail'];
-  if (hostname.includes('google.com') && isSubdomainOf('google.com', googleWorkSubdomains)) {
-    return 'work';
+
+  for (const sub of config.subdomains || []) {
+    if (hostname.startsWith(sub + '.')) {
+      signals.push({ type: 'subdomain', detail: `${sub}.`, weight: SIGNAL_WEIGHTS.subdomain });
+    }
   }
-  const workDomains = ['gmail.com', 'outlook.live.com', 'outlook.office.com', 'slack.com', 'trello.com',
-                       'asana.com', 'monday.com', 'clickup.com', 'airtable.com', 'zoom.us', 'meet.google.com',
-                       'dropbox.com', 'box.com', 'onedrive.live.com', 'teams.microsoft.com'];
-  const workPatterns = ['office.com', 'microsoft.com/office'];
-  if (matchesDomain(workDomains) || matchesPattern(workPatterns)) {
-    return 'work';
+
+  const path = (config.paths || []).find(p => url.includes(p));
+  if (path) {
+    signals.push({ type: 'path', detail: path, weight: SIGNAL_WEIGHTS.path });
   }
-  
-  // 8. DOCUMENTATION category
-  const docPatterns = ['/docs/', '/documentation/', '/api/', '/reference/', '/guide/', '/tutorial/', '/wiki/'];
-  const docDomains = ['stackoverflow.com', 'stackexchange.com', 'developer.mozilla.org', 'mdn.io',
-                      'w3schools.com', 'devdocs.io'];
-  // GitHub - only if it's docs/wiki
-  if (hostname.includes('github.com') && matchesPattern(['/docs/', '/wiki/', '/documentation/'])) {
-    return 'documentation';
+
+  if (config.audible && tab.audible) {
+    signals.push({ type: 'audible', detail: 'playing audio', weight: SIGNAL_WEIGHTS.audible });
   }
-  if (matchesDomain(docDomains) || matchesPattern(docPatterns)) {
-    return 'documentation';
+
+  // Keywords are weak evidence: cap their combined score so they never outweigh a domain match
+  let keywordScore = 0;
+  const addKeyword = (signal) => {
+    if (keywordScore + signal.weight > KEYWORD_SCORE_CAP) return;
+    keywordScore += signal.weight;
+    signals.push(signal);
+  };
+
+  for (const keyword of [...(config.keywords || []), ...(config.titleKeywords || [])]) {
+    if (containsWord(title, keyword)) {
+      addKeyword({ type: 'title', detail: keyword, weight: SIGNAL_WEIGHTS.title });
+    }
   }
-  
-  // 9. DESIGN category
-  const designDomains = ['dribbble.com', 'behance.net', 'adobe.com', 'unsplash.com', 'pexels.com'];
-  // Figma and Canva moved from Work to Design
-  if (matchesDomain(['figma.com', 'canva.com']) || matchesDomain(designDomains)) {
-    return 'design';
+
+  for (const keyword of config.keywords || []) {
+    if (containsWord(url, keyword)) {
+      addKeyword({ type: 'keyword', detail: keyword, weight: SIGNAL_WEIGHTS.keyword });
+    }
   }
-  
-  // 10. SHOPPING category - Enhanced with extensive domains and patterns
-  const shoppingDomains = [
-    // Major retailers
-    'amazon.com', 'ebay.com', 'etsy.com', 'walmart.com', 'target.com', 'alibaba.com', 'aliexpress.com',
-    'shopify.com', 'bestbuy.com', 'costco.com', 'newegg.com', 'microcenter.com',
-    // Furniture & home
-    'thebrick.com', 'ikea.com', 'wayfair.com', 'homedepot.com', 'lowes.com', 'williams-sonoma.com',
-    'crateandbarrel.com', 'cb2.com',
-    // Clothing
-    'macys.com', 'nordstrom.com', 'gap.com', 'hm.com', 'zara.com', 'uniqlo.com',
-    // Beauty
-    'sephora.com', 'ulta.com',
-    // Pets
-    'chewy.com', 'petco.com', 'petsmart.com'
-  ];
-  const shoppingKeywords = ['shop', 'store', 'buy', 'cart', 'checkout', 'product', 'price', 'sale', 
-                            'deals', 'offers', 'shopping', 'purchase', 'order'];
-  const shoppingPaths = ['/product/', '/p/', '/item/', '/products/', '/shop/', '/store/', '/cart', 
-                         '/checkout', '/add-to-cart', '/buy/', '/purchase/'];
-  const shoppingTitleKeywords = ['shop', 'buy', 'cart', 'checkout', 'price', 'product', 'sale', 'deals'];
-  
-  // Check for .shop domain
-  if (hostname.endsWith('.shop') || domain.endsWith('.shop')) {
-    return 'shopping';
+
+  return signals;
+}
+
+/**
+ * Score a tab against every category and explain the result
+ * @param {chrome.tabs.Tab} tab - Tab object to classify
+ * @param {Object} [context] - Classifier context from loadClassifierContext
+ * @returns {{category: string, confidence: number, signals: Array<Object>, scores: Object<string, number>}}
+ *   Winning category (from the active set), confidence between 0 and 1, the signals behind the winner,
+ *   and the raw score of every category that fired
+ */
+export function scoreTab(tab, context = {}) {
+  const result = (category, confidence, signals, scores = {}) => ({
+    category: resolveCategoryId(category, context.categories),
+    confidence,
+    signals,
+    scores
+  });
+
+  // Edge cases - skip invalid URLs
+  if (!tab || !tab.url) {
+    return result('other', 0, []);
   }
-  
-  // Check for "store" subdomain (store.example.com)
-  if (hostname.startsWith('store.') || hostname.includes('.store.')) {
-    return 'shopping';
+
+  // Placeholders from a lazy restore are scored by the page they stand in for
+  const page = unwrapPlaceholderTab(tab);
+
+  // User-defined rules take precedence over the built-in scorer
+  const matchedRule = findMatchingRule(page, context.compiledRules);
+  if (matchedRule) {
+    return result(matchedRule.category, 1, [{ type: 'rule', detail: matchedRule.id, weight: SIGNAL_WEIGHTS.rule }]);
   }
-  
-  // Check shopping domains
-  if (matchesDomain(shoppingDomains)) {
-    return 'shopping';
+
+  // Then corrections the user made by dragging tabs between type groups
+  const learned = findLearnedOverride(page, context.overrides);
+  if (learned) {
+    return result(learned.category, 1, [{ type: 'learned', detail: learned.host, weight: SIGNAL_WEIGHTS.learned }]);
   }
-  
-  // Check for shopping keywords in URL or title
-  const hasShoppingKeyword = hasKeyword(shoppingKeywords);
-  const hasShoppingPath = matchesPattern(shoppingPaths);
-  const hasShoppingTitle = titleContains(shoppingTitleKeywords);
-  
-  if (hasShoppingKeyword || hasShoppingPath || hasShoppingTitle) {
-    return 'shopping';
+
+  const url = page.url.toLowerCase();
+
+  // Skip chrome:// and extension pages
+  if (url.startsWith('chrome://') || url.startsWith('chrome-extension://') ||
+      url.startsWith('about:') || url.startsWith('data:')) {
+    return result('other', 0, []);
   }
-  
-  // 11. NEWS category
-  const newsDomains = ['nytimes.com', 'wsj.com', 'cnn.com', 'bbc.com', 'bbc.co.uk', 'theguardian.com',
-                       'reuters.com', 'bloomberg.com', 'apnews.com', 'npr.org', 'foxnews.com',
-                       'nbcnews.com', 'abcnews.go.com', 'cbsnews.com', 'politico.com', 'theatlantic.com',
-                       'time.com', 'newsweek.com'];
-  if (matchesDomain(newsDomains)) {
-    return 'news';
+
+  let hostname = '';
+  try {
+    hostname = new URL(page.url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    hostname = url;
   }
-  
-  // 12. FINANCE category
-  const financeDomains = ['paypal.com', 'venmo.com', 'cashapp.com', 'stripe.com'];
-  // Add common bank/investment patterns
-  const financePatterns = ['bank', 'credit', 'mortgage', 'invest', 'trading', 'stock', 'crypto', 'exchange'];
-  if (matchesDomain(financeDomains) || titleContains(financePatterns) || matchesPattern(financePatterns)) {
-    return 'finance';
+
+  const parts = { url, hostname, title: (page.title || '').toLowerCase() };
+  const scores = {};
+  let best = null;
+  let total = 0;
+
+  for (const [category, config] of Object.entries(CATEGORY_SIGNALS)) {
+    const signals = collectCategorySignals(config, parts, page);
+    if (signals.length === 0) continue;
+
+    const score = signals.reduce((sum, signal) => sum + signal.weight, 0);
+    scores[category] = score;
+    total += score;
+
+    // Strictly greater keeps the earlier category on ties
+    if (!best || score > best.score) {
+      best = { category, score, signals };
+    }
   }
-  
-  // 13. REFERENCE category
-  const referenceDomains = ['wikipedia.org', 'wikihow.com', 'wiktionary.org', 'imdb.com', 'rottentomatoes.com'];
-  if (matchesDomain(referenceDomains) || titleContains(['wikipedia'])) {
-    return 'reference';
+
+  if (!best) {
+    return result('other', 0, [], scores);
   }
-  
-  // 14. SEARCH category
-  const searchPatterns = ['google.com/search', 'bing.com/search', 'search.yahoo.com', '?q=', '/search?', '&q='];
-  const searchDomains = ['duckduckgo.com'];
-  // Google homepage or search
-  if (hostname === 'google.com' || hostname === 'www.google.com' || matchesPattern(searchPatterns) || matchesDomain(searchDomains)) {
-    return 'search';
+
+  // Share of the total score, scaled down when the winning evidence is weaker than a domain match
+  const share = best.score / total;
+  const strength = Math.min(1, best.score / SIGNAL_WEIGHTS.domain);
+  const confidence = Math.round(share * strength * 100) / 100;
+  return result(best.category, confidence, best.signals, scores);
+}
+
+/**
+ * Summarize a scoreTab result for display
+ * @param {Object} scored - Result from scoreTab
+ * @param {Array<Object>} [categories] - Active category set
+ * @param {Array<Object>} [rules] - User-defined rules (to describe rule matches)
+ * @returns {{title: string, confidence: string, reasons: string[]}} Display-ready explanation
+ */
+export function explainClassification(scored, categories, rules = []) {
+  const labels = {
+    domainPath: 'Site section',
+    domain: 'Known site',
+    tld: 'Domain ending',
+    subdomain: 'Subdomain',
+    path: 'URL pattern',
+    audible: 'Tab',
+    title: 'Title mentions',
+    keyword: 'URL mentions'
+  };
+
+  const reasons = scored.signals.map(signal => {
+    if (signal.type === 'rule') {
+      const rule = rules.find(r => r.id === signal.detail);
+      const conditions = rule
+        ? [rule.hostGlob, rule.pathRegex, rule.titleRegex, rule.query].filter(Boolean).join(', ')
+        : '';
+      return conditions ? `Your rule: ${conditions}` : 'Your classification rule';
+    }
+    if (signal.type === 'learned') {
+      return `You moved tabs from ${signal.detail} into this category before`;
+    }
+    return `${labels[signal.type] || signal.type}: ${signal.detail} (+${signal.weight})`;
+  });
+
+  if (reasons.length === 0) {
+    reasons.push('No category matched, so it falls back to Other');
   }
-  
-  // 15. ENTERTAINMENT category
-  const entertainmentDomains = ['spotify.com', 'soundcloud.com', 'bandcamp.com', 'ign.com', 'gamespot.com',
-                                'polygon.com', 'kotaku.com', 'steam.com', 'steampowered.com', 'epicgames.com',
-                                'playstation.com', 'xbox.com', 'nintendo.com', 'itch.io'];
-  if (matchesDomain(entertainmentDomains)) {
-    return 'entertainment';
+
+  const runnersUp = Object.entries(scored.scores)
+    .filter(([category]) => resolveCategoryId(category, categories) !== scored.category)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 2)
+    .map(([category, score]) => `${getCategoryConfig(resolveCategoryId(category, categories), categories).title} (${score})`);
+  if (runnersUp.length > 0) {
+    reasons.push(`Also considered: ${runnersUp.join(', ')}`);
   }
-  
-  // 16. OTHER category (default - should be minimal)
-  return 'other';
+
+  return {
+    title: getCategoryConfig(scored.category, categories).title,
+    confidence: `${Math.round(scored.confidence * 100)}%`,
+    reasons
+  };
 }
 
 /**
  * Group tabs by their classified content type
  * @param {Array<chrome.tabs.Tab>} tabs - Array of tab objects to classify
+ * @param {Object} [context] - Classifier context from loadClassifierContext
  * @returns {Object<string, number[]>} Object with category names as keys and tab ID arrays as values
  */
-function groupTabsByType(tabs) {
+export function groupTabsByType(tabs, context = {}) {
   const grouped = {};
+  const categories = context.categories || getDefaultCategories();
   
-  for (const tab of tabs) {
+  for (const tab of tabs.map(unwrapPlaceholderTab)) {
     // Skip system pages and invalid URLs
     if (!tab.url || 
         tab.url.startsWith('chrome://') || 
@@ -349,7 +440,7 @@ function groupTabsByType(tabs) {
       continue;
     }
     
-    const category = classifyTab(tab);
+    const category = classifyTab(tab, context);
     
     if (!grouped[category]) {
       grouped[category] = [];
@@ -358,9 +449,15 @@ function groupTabsByType(tabs) {
     grouped[category].push(tab.id);
   }
   
-  // Return all groups (including single-tab groups)
+  // Return all groups (including single-tab groups) in the user's category order
   // The caller will decide whether to filter
-  return grouped;
+  const ordered = {};
+  for (const category of categories) {
+    if (grouped[category.id]) {
+      ordered[category.id] = grouped[category.id];
+    }
+  }
+  return ordered;
 }
 
 
@@ -4,22 +4,103 @@
  * @fileoverview Tab grouping utilities for domain and type-based organization
  */
 
+import { getCategories, getCategoryConfig } from './categoryManager.js';
+import { getDomainGroupKey } from './domainResolver.js';
+import { markProgrammaticGroupMoves, recordManagedTypeGroup } from './overrideManager.js';
+import { unwrapPlaceholderTab } from './placeholderTabs.js';
+
+/**
+ * Load the user's domain grouping options
+ * @returns {Promise<{mode: string, depth: number}>} Options for groupTabsByDomain
+ */
+export async function loadDomainGroupingOptions() {
+  const { domainGroupingMode, domainGroupingDepth } = await chrome.storage.local.get([
+    'domainGroupingMode',
+    'domainGroupingDepth'
+  ]);
+  return {
+    mode: domainGroupingMode || 'registrable',
+    depth: domainGroupingDepth || 1
+  };
+}
+
+/** @constant {string[]} Supported grouping modes: 'replace' regroups everything, 'merge' keeps existing groups */
+export const GROUPING_MODES = ['replace', 'merge'];
+
+/** @constant {string[]} Color cycle for domain groups */
+export const DOMAIN_GROUP_COLORS = [
+  'grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan'
+];
+
+/**
+ * Load the user's grouping mode
+ * @returns {Promise<string>} 'replace' or 'merge'
+ */
+export async function loadGroupingMode() {
+  const { groupingMode } = await chrome.storage.local.get(['groupingMode']);
+  return GROUPING_MODES.includes(groupingMode) ? groupingMode : 'replace';
+}
+
+/**
+ * Get the IDs of tab groups the user locked against regrouping
+ * @returns {Promise<number[]>} Locked tab group IDs
+ */
+export async function getLockedGroupIds() {
+  try {
+    const { lockedGroupIds } = await chrome.storage.local.get(['lockedGroupIds']);
+    return Array.isArray(lockedGroupIds) ? lockedGroupIds : [];
+  } catch (error) {
+    console.error('[TabManager] Error loading locked groups:', error);
+    return [];
+  }
+}
+
+/**
+ * Lock or unlock a tab group
+ * Locked groups are never ungrouped, merged into, or regrouped
+ * @param {number} groupId - Chrome tab group ID
+ * @param {boolean} locked - Whether the group should be locked
+ * @returns {Promise<void>}
+ */
+export async function setGroupLocked(groupId, locked) {
+  const current = await getLockedGroupIds();
+  if (current.includes(groupId) === locked) {
+    return;
+  }
+
+  const lockedIds = current.filter(id => id !== groupId);
+  if (locked) {
+    lockedIds.push(groupId);
+  }
+  await chrome.storage.local.set({ lockedGroupIds: lockedIds });
+}
+
 /**
  * Group tabs by their domain name
  * @param {Array<chrome.tabs.Tab>} tabs - Array of tab objects
+ * @param {Object} [options] - Options from loadDomainGroupingOptions
+ * @param {string} [options.mode='registrable'] - 'registrable' (google.com), 'hostname' (mail.google.com), or 'depth'
+ * @param {number} [options.depth] - Subdomain levels kept in 'depth' mode
+ * @param {number} [options.minTabs=2] - Minimum tabs per domain (1 keeps lone tabs so they can join existing groups)
  * @returns {Object<string, number[]>} Object with domain names as keys and tab ID arrays as values
  */
-function groupTabsByDomain(tabs) {
+export function groupTabsByDomain(tabs, options = {}) {
   const grouped = {};
+  const minTabs = options.minTabs || 2;
 
-  for (const tab of tabs) {
+  // Placeholders from a lazy restore are grouped by the page they stand in for
+  for (const tab of tabs.map(unwrapPlaceholderTab)) {
     if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
       continue;
     }
 
     try {
       const url = new URL(tab.url);
-      const domain = url.hostname.replace('www.', '');
+      const domain = getDomainGroupKey(url.hostname, options);
+
+      if (!domain) {
+        continue;
+      }
 
       if (!grouped[domain]) {
         grouped[domain] = [];
@@ -31,10 +112,10 @@ function groupTabsByDomain(tabs) {
     }
   }
 
-  // Only return groups with multiple tabs (domain grouping requires multiple tabs per domain)
+  // Drop domains below the minimum (domain grouping requires multiple tabs per domain by default)
   const filtered = {};
   for (const [domain, tabIds] of Object.entries(grouped)) {
-    if (tabIds.length > 1) {
+    if (tabIds.length >= minTabs) {
       filtered[domain] = tabIds;
     }
   }
@@ -42,44 +123,150 @@ function groupTabsByDomain(tabs) {
   return filtered;
 }
 
+/**
+ * Build a group plan from domain-grouped tabs
+ * @param {Object<string, number[]>} groupedTabs - Domain names mapped to tab IDs
+ * @returns {Array<{title: string, color: string, tabIds: number[]}>} Planned groups
+ */
+export function buildDomainGroupPlan(groupedTabs) {
+  return Object.entries(groupedTabs).map(([domain, tabIds], index) => ({
+    title: domain,
+    color: DOMAIN_GROUP_COLORS[index % DOMAIN_GROUP_COLORS.length],
+    tabIds
+  }));
+}
+
+/**
+ * Build a group plan from category-grouped tabs
+ * @param {Object<string, number[]>} groupedTabs - Category IDs mapped to tab IDs
+ * @param {Array<Object>} categories - Active category set
+ * @returns {Array<{title: string, color: string, tabIds: number[], category: string}>} Planned groups
+ */
+export function buildTypeGroupPlan(groupedTabs, categories) {
+  return Object.entries(groupedTabs)
+    .filter(([, tabIds]) => tabIds.length > 0)
+    .map(([category, tabIds]) => {
+      const config = getCategoryConfig(category, categories);
+      return { title: config.title, color: config.color, tabIds, category };
+    });
+}
+
+/**
+ * Normalize a group title for matching
+ * @param {string} title - Group title
+ * @returns {string} Trimmed, lowercase title
+ */
+export function normalizeGroupTitle(title) {
+  return (title || '').trim().toLowerCase();
+}
+
+/**
+ * Get the existing groups in a window that merge mode may add tabs to
+ * @param {number} [windowId] - Window to search (defaults to the current window)
+ * @returns {Promise<Object<string, chrome.tabGroups.TabGroup>>} Unlocked groups keyed by normalized title
+ */
+export async function getMergeTargetGroups(windowId = chrome.windows.WINDOW_ID_CURRENT) {
+  const lockedIds = await getLockedGroupIds();
+  const groups = await chrome.tabGroups.query({ windowId });
+  const targets = {};
+
+  for (const group of groups) {
+    const key = normalizeGroupTitle(group.title);
+    if (key && !lockedIds.includes(group.id) && !targets[key]) {
+      targets[key] = group;
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Apply a group plan to a window
+ * @param {Array<{title: string, color: string, tabIds: number[], category?: string, collapsed?: boolean}>} plan - Planned groups
+ *   (collapsed overrides the autoCollapseGroups setting for new groups)
+ * @param {Object} [options] - Apply options
+ * @param {boolean} [options.merge=false] - Add tabs to an existing unlocked group with the same title
+ * @param {number} [options.minNewGroupSize=1] - Minimum tabs needed to create a new group
+ * @param {number} [options.windowId] - Window to group in (defaults to the current window)
+ * @returns {Promise<{created: number, merged: number}>} Number of groups created and existing groups extended
+ * @throws {Error} If every planned group fails
+ */
+export async function applyGroupPlan(plan, options = {}) {
+  const { autoCollapseGroups } = await chrome.storage.local.get(['autoCollapseGroups']);
+  const minNewGroupSize = options.minNewGroupSize || 1;
+
+  // Existing groups that may receive tabs in merge mode
+  const existingGroups = options.merge ? await getMergeTargetGroups(options.windowId) : {};
+
+  let created = 0;
+  let merged = 0;
+  let failureCount = 0;
+  let lastError = null;
+
+  for (const entry of plan) {
+    if (!entry.tabIds || entry.tabIds.length === 0) {
+      continue;
+    }
+
+    try {
+      const existing = existingGroups[normalizeGroupTitle(entry.title)];
+      if (existing) {
+        await markProgrammaticGroupMoves(entry.tabIds);
+        await chrome.tabs.group({ groupId: existing.id, tabIds: entry.tabIds });
+        merged++;
+        continue;
+      }
+
+      if (entry.tabIds.length < minNewGroupSize) {
+        continue;
+      }
+
+      await markProgrammaticGroupMoves(entry.tabIds);
+      const groupId = await chrome.tabs.group(options.windowId !== undefined
+        ? { tabIds: entry.tabIds, createProperties: { windowId: options.windowId } }
+        : { tabIds: entry.tabIds });
+
+      await chrome.tabGroups.update(groupId, {
+        title: entry.title,
+        color: entry.color,
+        collapsed: entry.collapsed ?? (autoCollapseGroups || false)
+      });
+
+      // Track type groups so manual corrections into them can be learned
+      if (entry.category) {
+        await recordManagedTypeGroup(groupId, entry.category);
+      }
+
+      created++;
+    } catch (error) {
+      console.error(`[TabManager] Error creating group for ${entry.title}:`, error);
+      failureCount++;
+      lastError = error;
+    }
+  }
+
+  if (failureCount > 0 && created === 0 && merged === 0) {
+    throw new Error(`Failed to create groups: ${failureCount} groups failed`, { cause: lastError });
+  }
+
+  return { created, merged };
+}
+
 /**
  * Create Chrome tab groups from grouped tab data
  * @param {Object<string, number[]>} groupedTabs - Object with group names as keys and tab ID arrays as values
- * @returns {Promise<void>}
+ * @param {Object} [options] - Apply options
+ * @param {boolean} [options.merge=false] - Add tabs to existing groups with the same title
+ * @returns {Promise<{created: number, merged: number}>} Group counts from applyGroupPlan
  * @throws {Error} If all groups fail to create
  */
-async function createTabGroups(groupedTabs) {
+export async function createTabGroups(groupedTabs, options = {}) {
   try {
-    const { autoCollapseGroups } = await chrome.storage.local.get(['autoCollapseGroups']);
-    const colors = [
-      'grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan'
-    ];
-
-    let colorIndex = 0;
-    let successCount = 0;
-    let failureCount = 0;
-
-    for (const [domain, tabIds] of Object.entries(groupedTabs)) {
-      try {
-        const groupId = await chrome.tabs.group({ tabIds: tabIds });
-
-        await chrome.tabGroups.update(groupId, {
-          title: domain,
-          color: colors[colorIndex % colors.length],
-          collapsed: autoCollapseGroups || false
-        });
-
-        colorIndex++;
-        successCount++;
-      } catch (error) {
-        console.error(`[TabManager] Error creating group for ${domain}:`, error);
-        failureCount++;
-      }
-    }
-
-    if (failureCount > 0 && successCount === 0) {
-      throw new Error(`Failed to create groups: ${failureCount} groups failed`);
-    }
+    // Lone tabs may join an existing group but never start a new domain group
+    return await applyGroupPlan(buildDomainGroupPlan(groupedTabs), {
+      merge: options.merge,
+      minNewGroupSize: 2
+    });
   } catch (error) {
     console.error('[TabManager] Error in createTabGroups:', error);
     throw error;
@@ -88,15 +275,18 @@ async function createTabGroups(groupedTabs) {
 
 /**
  * Ungroup all tabs in the current window
+ * @param {Object} [options] - Ungroup options
+ * @param {number[]} [options.keepGroupIds] - Group IDs to leave intact (e.g. locked groups)
  * @returns {Promise<void>}
  * @throws {Error} If ungrouping fails
  */
-async function ungroupAllTabs() {
+export async function ungroupAllTabs(options = {}) {
   try {
     const tabs = await chrome.tabs.query({ currentWindow: true });
+    const keepGroupIds = options.keepGroupIds || [];
 
     const tabIdsToUngroup = tabs
-      .filter(tab => tab.groupId !== chrome.tabs.TAB_ID_NONE)
+      .filter(tab => tab.groupId !== chrome.tabs.TAB_ID_NONE && !keepGroupIds.includes(tab.groupId))
       .map(tab => tab.id);
 
     if (tabIdsToUngroup.length > 0) {
@@ -108,75 +298,25 @@ async function ungroupAllTabs() {
   }
 }
 
-/** @constant {Object} Category configuration for type-based grouping */
-const CATEGORY_CONFIG = {
-  'video': { color: 'red', title: 'Video' },
-  'news': { color: 'blue', title: 'News' },
-  'shopping': { color: 'yellow', title: 'Shopping' },
-  'social': { color: 'pink', title: 'Social' },
-  'work': { color: 'grey', title: 'Work' },
-  'documentation': { color: 'purple', title: 'Documentation' },
-  'search': { color: 'cyan', title: 'Search' },
-  'entertainment': { color: 'yellow', title: 'Entertainment' },
-  'development': { color: 'cyan', title: 'Development' },
-  'education': { color: 'purple', title: 'Education' },
-  'design': { color: 'pink', title: 'Design' },
-  'ai-tools': { color: 'purple', title: 'AI & Tools' },
-  'finance': { color: 'green', title: 'Finance' },
-  'reference': { color: 'blue', title: 'Reference' },
-  'other': { color: 'green', title: 'Other' }
-};
-
 /**
  * Create tab groups by content type/category
  * @param {Object<string, number[]>} groupedTabs - Object with category names as keys and tab ID arrays as values
- * @returns {Promise<void>}
+ * @param {Array<Object>} [categories] - Active category set (loaded from storage if omitted)
+ * @param {Object} [options] - Apply options
+ * @param {boolean} [options.merge=false] - Add tabs to existing groups with the same title
+ * @returns {Promise<{created: number, merged: number}>} Group counts from applyGroupPlan
  * @throws {Error} If all groups fail to create
  */
-async function createTabGroupsByType(groupedTabs) {
+export async function createTabGroupsByType(groupedTabs, categories, options = {}) {
   try {
-    const { autoCollapseGroups, skipSingleTabGroups } = await chrome.storage.local.get([
-      'autoCollapseGroups',
-      'skipSingleTabGroups'
-    ]);
-
-    let successCount = 0;
-    let failureCount = 0;
-
-    for (const [category, tabIds] of Object.entries(groupedTabs)) {
-      // Skip groups with 1 or fewer tabs if setting is enabled
-      if (skipSingleTabGroups && tabIds.length <= 1) {
-        continue;
-      }
-
-      if (tabIds.length === 0) {
-        continue;
-      }
-
-      try {
-        const config = CATEGORY_CONFIG[category] || {
-          color: 'grey',
-          title: category.charAt(0).toUpperCase() + category.slice(1)
-        };
-
-        const groupId = await chrome.tabs.group({ tabIds: tabIds });
+    const { skipSingleTabGroups } = await chrome.storage.local.get(['skipSingleTabGroups']);
+    const activeCategories = categories || await getCategories();
 
-        await chrome.tabGroups.update(groupId, {
-          title: config.title,
-          color: config.color,
-          collapsed: autoCollapseGroups || false
-        });
-
-        successCount++;
-      } catch (error) {
-        console.error(`[TabManager] Error creating group for ${category}:`, error);
-        failureCount++;
-      }
-    }
-
-    if (failureCount > 0 && successCount === 0) {
-      throw new Error(`Failed to create groups: ${failureCount} groups failed`);
-    }
+    // Skip new groups with 1 or fewer tabs if setting is enabled
+    return await applyGroupPlan(buildTypeGroupPlan(groupedTabs, activeCategories), {
+      merge: options.merge,
+      minNewGroupSize: skipSingleTabGroups ? 2 : 1
+    });
   } catch (error) {
     console.error('[TabManager] Error in createTabGroupsByType:', error);
     throw error;
@@ -190,7 +330,7 @@ async function createTabGroupsByType(groupedTabs) {
  * @returns {Promise<number>} The created group ID
  * @throws {Error} If no suitable tab is found or group creation fails
  */
-async function createEmptyGroup(title = 'New Group') {
+export async function createEmptyGroup(title = 'New Group') {
   try {
     const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
@@ -0,0 +1,254 @@
+/**
+ * Undo Manager - Version 1.0.0
+ * Snapshots tab groups before an action and puts them back on undo
+ * @fileoverview Undo history shared by the popup and the keyboard shortcut in the service worker
+ */
+
+import { reopenClosedTabs } from './duplicateFinder.js';
+import { getManagedTypeGroups, markProgrammaticGroupMoves } from './overrideManager.js';
+import { pushUndoEntry, popUndoEntry } from './sessionStore.js';
+import { getLockedGroupIds } from './tabManager.js';
+
+/**
+ * Capture the current tab groups of every window
+ * Groups also record whether they are locked and the category of type groups, so undo can carry both over.
+ * @returns {Promise<{windows: Array<Object>}>} Group state with tab and group ids
+ */
+export async function captureGroupState() {
+  const [windows, lockedIds, managedGroups] = await Promise.all([
+    chrome.windows.getAll({ populate: true }),
+    getLockedGroupIds(),
+    getManagedTypeGroups()
+  ]);
+  const state = { windows: [] };
+
+  for (const window of windows) {
+    const windowState = {
+      id: window.id,
+      tabs: [],
+      groups: []
+    };
+
+    for (const tab of window.tabs || []) {
+      windowState.tabs.push({
+        id: tab.id,
+        url: tab.url,
+        title: tab.title,
+        groupId: tab.groupId !== chrome.tabs.TAB_ID_NONE ? tab.groupId : null,
+        index: tab.index,
+        pinned: tab.pinned
+      });
+    }
+
+    const groupIds = new Set(windowState.tabs.map(tab => tab.groupId).filter(groupId => groupId !== null));
+    for (const groupId of groupIds) {
+      try {
+        const group = await chrome.tabGroups.get(groupId);
+        windowState.groups.push({
+          id: groupId,
+          title: group.title,
+          color: group.color,
+          collapsed: group.collapsed,
+          locked: lockedIds.includes(groupId),
+          category: managedGroups[groupId] || null,
+          tabIds: windowState.tabs.filter(tab => tab.groupId === groupId).map(tab => tab.id)
+        });
+      } catch (error) {
+        console.warn('[UndoManager] Error getting group:', error);
+        // Continue with other groups
+      }
+    }
+
+    state.windows.push(windowState);
+  }
+
+  return state;
+}
+
+/**
+ * Add an undo entry for an action whose group state was captured before it ran
+ * @param {string} actionType - Type of action performed
+ * @param {{windows: Array<Object>}} previousGroups - State from captureGroupState
+ * @param {Object} [changes] - Tabs the action closed or opened
+ * @param {Array<Object>} [changes.closedTabs] - Closed tabs (from describeClosedTabs), reopened on undo
+ * @param {Array<number>} [changes.openedTabIds] - Opened tabs, closed on undo
+ * @returns {Promise<boolean>} True if the entry was saved
+ */
+export async function recordUndoEntry(actionType, previousGroups, changes = {}) {
+  try {
+    await pushUndoEntry({
+      type: actionType,
+      timestamp: Date.now(),
+      previousGroups,
+      closedTabs: changes.closedTabs || [],
+      openedTabIds: changes.openedTabIds || []
+    });
+    return true;
+  } catch (error) {
+    console.error('[UndoManager] Error saving undo state:', error);
+    return false;
+  }
+}
+
+/**
+ * Save undo state before performing an action
+ * @param {string} actionType - Type of action being performed
+ * @param {Array<Object>} [closedTabs] - Tabs the action closes (from describeClosedTabs), reopened on undo
+ * @returns {Promise<boolean>} True if the state was saved
+ */
+export async function saveUndoState(actionType, closedTabs = []) {
+  try {
+    return await recordUndoEntry(actionType, await captureGroupState(), { closedTabs });
+  } catch (error) {
+    console.error('[UndoManager] Error capturing undo state:', error);
+    return false;
+  }
+}
+
+/**
+ * Close tabs an undone action opened, ignoring any the user already closed
+ * @param {Array<number>} [tabIds] - Tab IDs to close
+ * @returns {Promise<void>}
+ */
+async function closeOpenedTabs(tabIds = []) {
+  if (tabIds.length === 0) {
+    return;
+  }
+
+  const openIds = new Set((await chrome.tabs.query({})).map(tab => tab.id));
+  const stillOpen = tabIds.filter(tabId => openIds.has(tabId));
+  if (stillOpen.length > 0) {
+    await chrome.tabs.remove(stillOpen);
+  }
+}
+
+/**
+ * Move locks and type-group tracking from the groups an undo recreated to their new ids
+ * @param {Array<{oldId: number, newId: number, locked: boolean, category: (string|null)}>} regrouped - Recreated groups
+ * @returns {Promise<void>}
+ */
+async function carryOverGroupMarks(regrouped) {
+  if (regrouped.length === 0) {
+    return;
+  }
+
+  try {
+    const [lockedIds, managedGroups] = await Promise.all([getLockedGroupIds(), getManagedTypeGroups()]);
+    const oldIds = new Set(regrouped.map(group => group.oldId));
+    const locked = lockedIds.filter(groupId => !oldIds.has(groupId));
+
+    for (const group of regrouped) {
+      delete managedGroups[group.oldId];
+      if (group.locked && !locked.includes(group.newId)) {
+        locked.push(group.newId);
+      }
+      if (group.category) {
+        managedGroups[group.newId] = group.category;
+      }
+    }
+
+    await chrome.storage.local.set({ lockedGroupIds: locked, managedTypeGroups: managedGroups });
+  } catch (error) {
+    console.warn('[UndoManager] Error carrying over group locks:', error);
+    // Continue - the groups themselves are restored
+  }
+}
+
+/**
+ * Regroup tabs as they were in a captured group state
+ * Recreated groups get new ids, so their locks and type-group tracking are moved to them.
+ * @param {{windows: Array<Object>}} state - State from captureGroupState
+ * @param {Map<number, number>} [reopenedIds] - Old tab id to new tab id for tabs reopened by the undo
+ * @returns {Promise<void>}
+ */
+async function restoreGroupState(state, reopenedIds = new Map()) {
+  const regrouped = [];
+
+  for (const windowState of state.windows) {
+    try {
+      const window = await chrome.windows.get(windowState.id).catch(() => null);
+      if (!window) continue;
+
+      const currentTabs = await chrome.tabs.query({ windowId: window.id });
+      for (const tab of currentTabs) {
+        if (tab.groupId !== chrome.tabs.TAB_ID_NONE) {
+          try {
+            await chrome.tabs.ungroup([tab.id]);
+          } catch (error) {
+            console.warn('[UndoManager] Error ungrouping tab:', error);
+            // Continue with other tabs
+          }
+        }
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      for (const group of windowState.groups) {
+        const existingTabs = await chrome.tabs.query({ windowId: window.id });
+        const tabsToGroup = [];
+
+        for (const savedTabId of group.tabIds) {
+          let tab = existingTabs.find(t => t.id === (reopenedIds.get(savedTabId) || savedTabId));
+
+          // Fall back to the URL if the tab was closed and reopened some other way
+          if (!tab) {
+            const savedTab = windowState.tabs.find(t => t.id === savedTabId);
+            if (savedTab) {
+              tab = existingTabs.find(t => t.url === savedTab.url);
+            }
+          }
+
+          if (tab) {
+            tabsToGroup.push(tab.id);
+          }
+        }
+
+        if (tabsToGroup.length > 0) {
+          try {
+            await markProgrammaticGroupMoves(tabsToGroup);
+            const newGroupId = await chrome.tabs.group({ tabIds: tabsToGroup });
+            await chrome.tabGroups.update(newGroupId, {
+              title: group.title,
+              color: group.color,
+              collapsed: group.collapsed
+            });
+            regrouped.push({ oldId: group.id, newId: newGroupId, locked: group.locked === true, category: group.category || null });
+          } catch (error) {
+            console.warn('[UndoManager] Error recreating group:', error);
+            // Continue with other groups
+          }
+        }
+      }
+    } catch (error) {
+      console.warn('[UndoManager] Error restoring window:', error);
+      // Continue with other windows
+    }
+  }
+
+  await carryOverGroupMarks(regrouped);
+}
+
+/**
+ * Undo the most recent action: close the tabs it opened, reopen the tabs it closed and put the groups back
+ * @returns {Promise<boolean>} True if an action was undone, false if there was nothing to undo
+ * @throws {Error} If the undo history cannot be read or the state cannot be restored
+ */
+export async function undoLastAction() {
+  try {
+    const lastState = await popUndoEntry();
+
+    if (!lastState) {
+      return false;
+    }
+
+    await closeOpenedTabs(lastState.openedTabIds);
+
+    // Bring back closed tabs first so they can rejoin their groups
+    const reopenedIds = await reopenClosedTabs(lastState.closedTabs);
+    await restoreGroupState(lastState.previousGroups, reopenedIds);
+    return true;
+  } catch (error) {
+    console.error('[UndoManager] Error undoing action:', error);
+    throw new Error('Failed to undo action. Please try again.');
+  }
+}
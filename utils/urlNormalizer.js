@@ -0,0 +1,73 @@
+/**
+ * URL Normalizer - Version 1.0.0
+ * Configurable URL normalization for matching tabs that point at the same page
+ * @fileoverview Shared by duplicate detection and session restore matching
+ */
+
+/** @constant {RegExp[]} Query parameters that only track where a visit came from */
+const TRACKING_PARAM_PATTERNS = [
+  /^utm_/,
+  /^(fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|twclid|igshid)$/,
+  /^mc_(cid|eid)$/,
+  /^_(ga|gl)$/,
+  /^ref_src$/
+];
+
+/**
+ * @constant {Object} Default normalization options
+ * @property {boolean} ignoreFragment - Drop "#section" anchors
+ * @property {boolean} ignoreTrackingParams - Drop utm_* and other tracking parameters
+ * @property {boolean} ignoreTrailingSlash - Treat "/docs/" and "/docs" as the same path
+ * @property {boolean} ignoreProtocol - Treat http:// and https:// as the same page
+ */
+export const DEFAULT_URL_NORMALIZATION = {
+  ignoreFragment: true,
+  ignoreTrackingParams: true,
+  ignoreTrailingSlash: true,
+  ignoreProtocol: false
+};
+
+/**
+ * Check whether a query parameter is a tracking parameter
+ * @param {string} name - Parameter name
+ * @returns {boolean} True if the parameter only tracks the visit source
+ */
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAM_PATTERNS.some(pattern => pattern.test(lower));
+}
+
+/**
+ * Normalize a URL so equivalent pages compare equal
+ * @param {string} url - URL to normalize
+ * @param {Object} [options] - Overrides for DEFAULT_URL_NORMALIZATION
+ * @returns {string} Normalized URL, or the input unchanged if it cannot be parsed
+ */
+export function normalizeUrl(url, options = {}) {
+  const settings = { ...DEFAULT_URL_NORMALIZATION, ...options };
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url || '';
+  }
+
+  if (settings.ignoreTrackingParams) {
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (isTrackingParam(name)) {
+        parsed.searchParams.delete(name);
+      }
+    }
+  }
+
+  let pathname = parsed.pathname;
+  if (settings.ignoreTrailingSlash) {
+    pathname = pathname.replace(/\/+$/, '');
+  }
+
+  const prefix = settings.ignoreProtocol ? '' : `${parsed.protocol}//`;
+  const fragment = settings.ignoreFragment ? '' : parsed.hash;
+
+  return `${prefix}${parsed.host}${pathname}${parsed.search}${fragment}`;
+}